@@ -94,7 +94,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       }
       
       // 2. Mute Tabs
-      const muteResult = await handleMuteTabsMessage(msg);
+      const muteResult = await handleMuteTabsMessage(msg, sender);
       if (muteResult !== null) {
         sendResponse(muteResult);
         return;
@@ -1,7 +1,8 @@
 // ============================================================================
 // TABITHA CONTENT SCRIPT
 // ============================================================================
-// Handles floating mic chip overlay for global voice listening
+// Handles floating mic chip overlay for global voice listening, and reports
+// in-call state from meeting sites back to mute-tabs
 // ============================================================================
 
 const log = (msg, data) => console.log(`[Tabitha::content] ${msg}`, data ?? "");
@@ -270,4 +271,147 @@ document.addEventListener('keydown', (e) => {
   }
 });
 
+// ============================================================================
+// MEETING DETECTORS
+// ============================================================================
+// Being on meet.google.com doesn't mean being in a call (landing page, green
+// room, post-call screen). Each detector reads the call controls from the DOM
+// and returns { inCall, micMuted, cameraOff } — mic/camera are null when the
+// page doesn't expose them. Selectors are best-effort, so inCall is null
+// ("can't tell") unless a call control or a pre-join marker is actually on
+// the page; mute-tabs then keeps using its domain heuristic. A stale selector
+// or a translated label only costs the signal, never the detection.
+
+const $ = (selectors) => document.querySelector(selectors);
+
+/**
+ * true when a call control is on the page, false when a pre-join / landing
+ * marker is (or notInCall() says so), null when neither turns up
+ */
+function callState(inCallSelectors, preJoinSelectors, notInCall = () => false) {
+  if ($(inCallSelectors)) return true;
+  if ((preJoinSelectors && $(preJoinSelectors)) || notInCall()) return false;
+  return null;
+}
+
+/**
+ * Read on/off state from a toggle button: explicit data attributes first,
+ * then the aria-label, which names the action ("Unmute" = currently muted)
+ */
+function toggleOff(el) {
+  if (!el) return null;
+  if (el.dataset.isMuted) return el.dataset.isMuted === 'true';
+  const pressed = el.getAttribute('aria-pressed');
+  const label = (el.getAttribute('aria-label') || el.title || el.textContent || '').toLowerCase();
+  if (/\b(unmute|turn on|start)\b/.test(label)) return true;
+  if (/\b(mute|turn off|stop)\b/.test(label)) return false;
+  if (pressed !== null) return pressed === 'true';
+  return null;
+}
+
+const MEETING_DETECTORS = [
+  {
+    site: 'meet',
+    match: (host) => host === 'meet.google.com',
+    detect: () => ({
+      inCall: callState('[aria-label="Leave call"], [jsname="CQylAd"]', '[jsname="Qx7uuf"]',
+        () => !/^\/[a-z]{3}-[a-z]{4}-[a-z]{3}\b/.test(location.pathname)), // landing page
+      micMuted: toggleOff($('[data-is-muted][aria-label*="microphone" i]')),
+      cameraOff: toggleOff($('[data-is-muted][aria-label*="camera" i]'))
+    })
+  },
+  {
+    site: 'zoom',
+    match: (host) => host === 'zoom.us' || host.endsWith('.zoom.us'),
+    detect: () => ({
+      inCall: callState('.footer__leave-btn, [aria-label="Leave"], .footer-button__leave', '.preview-join-button, #prejoin-join-button'),
+      micMuted: toggleOff($('.join-audio-container__btn')),
+      cameraOff: toggleOff($('.send-video-container__btn'))
+    })
+  },
+  {
+    site: 'teams',
+    match: (host) => host === 'teams.microsoft.com' || host === 'teams.live.com',
+    detect: () => ({
+      inCall: callState('#hangup-button, [data-tid="hangup-main-btn"], [data-tid="call-hangup"]', '#prejoin-join-button, [data-tid="prejoin-join-button"]'),
+      micMuted: toggleOff($('#microphone-button, [data-tid="toggle-mute"]')),
+      cameraOff: toggleOff($('#video-button, [data-tid="toggle-video"]'))
+    })
+  },
+  {
+    site: 'webex',
+    match: (host) => host === 'webex.com' || host.endsWith('.webex.com'),
+    detect: () => ({
+      inCall: callState('[data-test="call-control-leave"], [aria-label="Leave meeting"], [aria-label="End meeting"]', '[data-test="join-button"]'),
+      micMuted: toggleOff($('[data-test="microphone-button"]')),
+      cameraOff: toggleOff($('[data-test="camera-button"]'))
+    })
+  },
+  {
+    site: 'whereby',
+    match: (host) => host === 'whereby.com' || host.endsWith('.whereby.com'),
+    detect: () => ({
+      inCall: callState('[data-testid="leave-button"], [aria-label="Leave"]', '[data-testid="join-button"]'),
+      micMuted: toggleOff($('[data-testid="toggle-microphone"], [aria-label*="microphone" i]')),
+      cameraOff: toggleOff($('[data-testid="toggle-camera"], [aria-label*="camera" i]'))
+    })
+  },
+  {
+    site: 'slack-huddle',
+    match: (host) => host === 'app.slack.com',
+    detect: () => ({
+      inCall: callState('[data-qa="huddle_sidebar_footer_leave_button"], [data-qa="huddle_mini_player_leave_button"], [aria-label="Leave huddle"]', null),
+      micMuted: toggleOff($('[data-qa="huddle_mini_player_mute_button"], [data-qa="huddle_sidebar_footer_mute_button"]')),
+      cameraOff: toggleOff($('[data-qa="huddle_mini_player_video_button"], [data-qa="huddle_sidebar_footer_video_button"]'))
+    })
+  }
+];
+
+let lastCallReport = null;
+let callCheckTimer = null;
+
+function reportCallState(detector) {
+  let result;
+  try {
+    result = detector.detect();
+  } catch (err) {
+    log('Meeting detector failed', err);
+    return;
+  }
+  const report = { site: detector.site, ...result };
+  const key = JSON.stringify(report);
+  if (key === lastCallReport) return; // only send changes
+  lastCallReport = key;
+
+  chrome.runtime.sendMessage({ type: 'MEETING_CALL_STATE', ...report }).catch(() => {
+    // Worker asleep or extension reloaded; resend on the next change
+    lastCallReport = null;
+  });
+}
+
+function startMeetingDetection() {
+  const host = location.hostname.replace(/^www\./, '');
+  const detector = MEETING_DETECTORS.find(d => d.match(host));
+  if (!detector) return;
+
+  const schedule = () => {
+    if (callCheckTimer) return;
+    callCheckTimer = setTimeout(() => {
+      callCheckTimer = null;
+      reportCallState(detector);
+    }, 500);
+  };
+
+  new MutationObserver(schedule).observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['aria-label', 'aria-pressed', 'data-is-muted']
+  });
+  reportCallState(detector);
+  log(`Meeting detection active (${detector.site})`);
+}
+
+startMeetingDetection();
+
 log('Content script loaded ✅');
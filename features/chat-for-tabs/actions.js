@@ -1,11 +1,14 @@
 // Chat with your Tabs - Action Layer
-// Executes user intents: open, close, find_open, reopen, save, show, ask, mute, unmute, pin, unpin, reload, discard
+// Executes user intents: open, close, find_open, reopen, save, show, ask, mute, unmute, pin, unpin, reload, discard, close_duplicates, search_archive, workspace
 // Handles tab activation, closing, bookmarking, muting, pinning, reloading, discarding, and conversational questions
 
 import { structuredLog, recordTelemetry, normalizeUrl, addUndoEntry, getLatestUndoEntry, postToOffscreen } from './utils.js';
 import { formatAge } from './search.js';
 import { formatConversationForPrompt, getChatSessionId } from './conversation.js';
 import { Indexer } from './indexer.js';
+import { mergeDuplicates, undoMerge } from '../organize-tabs/duplicates.js';
+import { searchArchive } from '../organize-tabs/archive.js';
+import { saveWorkspace, listWorkspaces, openWorkspace, deleteWorkspace, findWorkspace } from '../organize-tabs/workspaces.js';
 
 const log = (...a) => console.log("[Tabitha::chat]", ...a);
 
@@ -330,6 +333,10 @@ export async function executeCloseAction(filters, tabIds = null, confirmed = fal
 // ==== PHASE 6: UNDO CLOSE ACTION ====
 export async function undoLastCloseAction() {
   const undoEntry = getLatestUndoEntry();
+  if (undoEntry?.type === 'close_duplicates') {
+    const res = await undoMerge(undoEntry.batch);
+    return res.ok ? { ok: true, restored: undoEntry.closed, method: 'checkpoint' } : { ok: false, error: 'no_undo_available' };
+  }
   if (!undoEntry || undoEntry.type !== 'close') {
     return { ok: false, error: 'no_undo_available' };
   }
@@ -1581,3 +1588,129 @@ export async function executeDiscardAction(cardIds, intent = null) {
     return { ok: false, error: String(err?.message || err) };
   }
 }
+
+// ==== CLOSE_DUPLICATES ACTION ====
+// "close duplicates": one copy of each page stays (the one used last), across
+// every window. Undo reopens the rest where they were.
+export async function executeCloseDuplicatesAction(requestId = null) {
+  try {
+    const res = await mergeDuplicates();
+    if (!res.ok) return { ok: false, error: 'no_duplicates' };
+
+    addUndoEntry({
+      type: 'close_duplicates',
+      batch: res.batch,
+      closed: res.counts.closed,
+      timestamp: Date.now(),
+      requestId
+    });
+
+    structuredLog('Phase 6', 'execute_action', {
+      intent: 'close_duplicates',
+      result: 'success',
+      closedCount: res.counts.closed,
+      pages: res.counts.pages
+    });
+    return { ok: true, count: res.counts.closed, pages: res.counts.pages, undoAvailable: true };
+  } catch (err) {
+    structuredLog('Phase 6', 'execute_action', {
+      intent: 'close_duplicates',
+      result: 'error',
+      error: String(err?.message || err)
+    });
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+// ==== SEARCH_ARCHIVE ACTION ====
+// Words that say "look in the archive" rather than what to look for
+const ARCHIVE_FILLER = new Set(['find', 'search', 'show', 'look', 'get', 'restore', 'bring', 'back', 'open', 'reopen',
+  'what', 'whats', "what's", 'is', 'in', 'from', 'my', 'the', 'a', 'an', 'that', 'those', 'i', 'did', 'about', 'for',
+  'archive', 'archived', 'tab', 'tabs', 'me', 'up', 'all', 'please']);
+
+export async function executeSearchArchiveAction(query = '') {
+  try {
+    const words = String(query).toLowerCase().replace(/[^\w\s'.-]/g, ' ').split(/\s+/).filter(w => w && !ARCHIVE_FILLER.has(w));
+    const res = await searchArchive(words.join(' '), { limit: 15 });
+    structuredLog('Phase 6', 'execute_action', {
+      intent: 'search_archive',
+      result: 'success',
+      matches: res.total
+    });
+    return { ok: true, query: words.join(' '), count: res.total, results: res.results };
+  } catch (err) {
+    structuredLog('Phase 6', 'execute_action', {
+      intent: 'search_archive',
+      result: 'error',
+      error: String(err?.message || err)
+    });
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+// ==== WORKSPACE ACTION ====
+// "save this as my thesis workspace", "switch to thesis", "what workspaces do
+// I have". The operation comes from the parser when it gave one, else from
+// the first word; what's left after dropping filler words is the name.
+// Deleting, or saving over a name that's taken, asks first (confirmed: the
+// popup's Confirm button sent the same request again).
+const WORKSPACE_OPERATIONS = ['save', 'open', 'switch', 'list', 'delete'];
+const WORKSPACE_FILLER = new Set(['save', 'store', 'keep', 'remember', 'delete', 'remove', 'forget', 'switch', 'change',
+  'swap', 'go', 'back', 'open', 'load', 'restore', 'reopen', 'bring', 'up', 'list', 'show', 'what', 'whats', "what's",
+  'which', 'are', 'is', 'do', 'i', 'have', 'to', 'my', 'the', 'a', 'this', 'these', 'current', 'everything', 'all',
+  'tabs', 'windows', 'as', 'called', 'named', 'workspace', 'workspaces', 'please', 'me', 'into', 'over']);
+
+function workspaceOperationFrom(text, name) {
+  const lower = String(text).toLowerCase().trim();
+  if (/^(save|store|keep|remember)\b/.test(lower)) return 'save';
+  if (/^(delete|remove|forget)\b/.test(lower)) return 'delete';
+  if (/^(switch|change|swap|go)\b/.test(lower)) return 'switch';
+  if (/^(open|load|restore|reopen|bring)\b/.test(lower)) return 'open';
+  return name ? 'open' : 'list';
+}
+
+export async function executeWorkspaceAction(query = '', operation = null, confirmed = false) {
+  try {
+    const name = String(query).replace(/[^\w\s'.-]/g, ' ').split(/\s+/)
+      .filter(w => w && !WORKSPACE_FILLER.has(w.toLowerCase())).join(' ');
+    const op = WORKSPACE_OPERATIONS.includes(operation) ? operation : workspaceOperationFrom(query, name);
+
+    let res;
+    if (op === 'list') {
+      res = await listWorkspaces();
+    } else if (!name) {
+      res = { ok: false, error: 'missing_name' };
+    } else if (op === 'save') {
+      const existing = confirmed ? null : await findWorkspace(name, { exact: true });
+      res = existing
+        ? { ok: true, preview: true, requiresConfirmation: true, reason: 'replace_workspace', workspace: existing }
+        : await saveWorkspace(name);
+    } else if (op === 'delete') {
+      const target = confirmed ? null : await findWorkspace(name);
+      res = target
+        ? { ok: true, preview: true, requiresConfirmation: true, reason: 'delete_workspace', workspace: target }
+        : await deleteWorkspace(name);
+    } else {
+      res = await openWorkspace(name, { replace: op === 'switch' });
+    }
+    // Not found: say which ones there are
+    if (res.error === 'not_found') {
+      res = { ...res, workspaces: (await listWorkspaces()).workspaces };
+    }
+
+    structuredLog('Phase 6', 'execute_action', {
+      intent: 'workspace',
+      operation: op,
+      result: res.ok ? 'success' : 'error',
+      error: res.ok ? undefined : res.error
+    });
+    return { ...res, operation: op, name };
+  } catch (err) {
+    structuredLog('Phase 6', 'execute_action', {
+      intent: 'workspace',
+      result: 'error',
+      error: String(err?.message || err)
+    });
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
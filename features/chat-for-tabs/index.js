@@ -6,9 +6,10 @@ import { ensureOffscreen, postToOffscreen, structuredLog, recordTelemetry, markA
 import { getChatSessionId, addToConversationHistory, formatConversationForPrompt, addDisambiguationCandidates, getLastDisambiguationCandidates, addActionResult } from './conversation.js';
 import { parseIntent, preprocessQuery, checkPromptApiAvailability } from './intent-parsing.js';
 import { aiSemanticSearch, semanticRerank, processCandidates, filterCandidatesByConstraints, askSpecificClarifier, generateClarifyingQuestion, formatDisambiguationList } from './search.js';
-import { executeOpenAction, executeCloseAction, executeFindOpenAction, executeReopenAction, executeSaveAction, executeShowAction, executeAskAction, executeMuteAction, executeUnmuteAction, executePinAction, executeUnpinAction, executeReloadAction, executeDiscardAction, undoLastCloseAction, setIndexerBooted, executeFocusGroup, executeCloseGroup, executeSaveGroup, executeMoveGroupToWindow, executeRenameGroup, executeCollapseGroup, executeUngroup } from './actions.js';
+import { executeOpenAction, executeCloseAction, executeFindOpenAction, executeReopenAction, executeSaveAction, executeShowAction, executeAskAction, executeMuteAction, executeUnmuteAction, executePinAction, executeUnpinAction, executeReloadAction, executeDiscardAction, executeCloseDuplicatesAction, executeSearchArchiveAction, executeWorkspaceAction, undoLastCloseAction, setIndexerBooted, executeFocusGroup, executeCloseGroup, executeSaveGroup, executeMoveGroupToWindow, executeRenameGroup, executeCollapseGroup, executeUngroup } from './actions.js';
 import { setIndexerBooted as setSearchIndexerBooted } from './search.js';
 import { generateConversationalResponse, understandFollowUp, generateSuccessResponse, generateErrorResponse, generateDisambiguationList } from './conversation-responses.js';
+import { loadSettings, getSetting, setSetting, onSettingsChanged } from '../../shared/settings.js';
 
 const log = (...a) => console.log("[Tabitha::chat]", ...a);
 
@@ -24,16 +25,21 @@ const chatUserHints = {
 // Load chat user hints on initialization
 async function loadChatUserHints() {
   try {
-    const stored = await chrome.storage.local.get(['chatUserHints']);
-    if (stored.chatUserHints) {
-      chatUserHints.phraseToDomain = new Map(stored.chatUserHints.phraseToDomain || []);
-      chatUserHints.phraseToType = new Map(stored.chatUserHints.phraseToType || []);
-    }
+    await loadSettings();
+    const stored = getSetting('chat.userHints');
+    // Saved as [phrase, [[key, weight], ...]] pairs
+    chatUserHints.phraseToDomain = new Map((stored.phraseToDomain || []).map(([k, v]) => [k, new Map(v)]));
+    chatUserHints.phraseToType = new Map((stored.phraseToType || []).map(([k, v]) => [k, new Map(v)]));
   } catch (err) {
     log('Failed to load chat user hints:', err);
   }
 }
 
+// Hints cleared from the options page
+onSettingsChanged((changes) => {
+  if (changes['chat.userHints']) loadChatUserHints();
+});
+
 async function saveChatUserHint(phrase, domain, type, boost = 1) {
   const phraseLower = phrase.toLowerCase();
   
@@ -54,11 +60,9 @@ async function saveChatUserHint(phrase, domain, type, boost = 1) {
   }
   
   try {
-    await chrome.storage.local.set({
-      chatUserHints: {
-        phraseToDomain: Array.from(chatUserHints.phraseToDomain.entries()).map(([k, v]) => [k, Array.from(v.entries())]),
-        phraseToType: Array.from(chatUserHints.phraseToType.entries()).map(([k, v]) => [k, Array.from(v.entries())])
-      }
+    await setSetting('chat.userHints', {
+      phraseToDomain: Array.from(chatUserHints.phraseToDomain.entries()).map(([k, v]) => [k, Array.from(v.entries())]),
+      phraseToType: Array.from(chatUserHints.phraseToType.entries()).map(([k, v]) => [k, Array.from(v.entries())])
     });
   } catch (err) {
     log('Failed to save chat user hint:', err);
@@ -504,6 +508,15 @@ export async function handleChatMessage(msg) {
                 intentObj || intentName
               );
               break;
+            case 'close_duplicates':
+              result = await executeCloseDuplicatesAction(requestId);
+              break;
+            case 'search_archive':
+              result = await executeSearchArchiveAction(msg.query || intentObj?.canonical_query || '');
+              break;
+            case 'workspace':
+              result = await executeWorkspaceAction(msg.query || intentObj?.canonical_query || '', msg.operation || intentObj?.operation || null, msg.confirmed === true);
+              break;
             default:
               result = { ok: false, error: 'unknown_intent' };
           }
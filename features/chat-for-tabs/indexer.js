@@ -3,6 +3,8 @@
 // Only stores active/open tabs (history/bookmarks queried on-demand).
 // Provides lexical search, inverted index, and card management.
 
+import { getBaseDomain } from '../../shared/utils.js';
+
 export const Indexer = (() => {
   const IDX_log = (...a) => console.log('[Tabitha::index]', ...a);
   const IDX_warn = (...a) => console.warn('[Tabitha::index]', ...a);
@@ -411,7 +413,7 @@ export const Indexer = (() => {
       } else if (domainLower.includes('.' + token + '.') || domainLower.endsWith('.' + token)) {
         score += 8;
       } else {
-        const parentDomain = domainLower.split('.').slice(-2).join('.');
+        const parentDomain = getBaseDomain(`https://${domainLower}`); // eTLD+1, so bbc.co.uk not co.uk
         if (parentDomain === token || parentDomain.startsWith(token + '.')) {
           score += 5;
         } else if (domainLower.includes(token) && token.length >= 4) {
@@ -29,6 +29,9 @@ What do they want?
 - If they want to SAVE/BOOKMARK tabs → intent: "save"
 - If they're asking a QUESTION (what/how/when/where) → intent: "ask"
 - If they want to LIST/SHOW tabs → intent: "list"
+- If they want to CLOSE DUPLICATE tabs (same page open twice) → intent: "close_duplicates"
+- If they want something from their ARCHIVE (tabs Tabitha archived) → intent: "search_archive"
+- If they want to SAVE, OPEN, SWITCH TO, LIST or DELETE a named WORKSPACE → intent: "workspace"
 - Other actions: "mute", "unmute", "pin", "unpin", "reload", "discard", "reopen"
 
 Extract:
@@ -101,11 +104,22 @@ time: null`;
 function extractIntent(response, originalText) {
   const lower = (response + ' ' + originalText).toLowerCase();
   
+  // "switch to my thesis workspace" is a workspace switch, not a tab
+  if (/intent:\s*workspace/.test(lower) || /\bworkspaces?\b/.test(originalText.toLowerCase())) {
+    return 'workspace';
+  }
+
   // Check for action words first
   if (/intent:\s*(open|go|jump|switch|take me|show me|navigate|activate|launch)/.test(lower) || 
       /^(open|go to|jump to|switch to|take me to|show me|navigate to|activate|launch)/.test(originalText.toLowerCase())) {
     return 'open';
   }
+  if (/intent:\s*search_archive/.test(lower) || /\b(archived|(my|the) archive)\b/.test(originalText.toLowerCase())) {
+    return 'search_archive';
+  }
+  if (/intent:\s*close_duplicates/.test(lower) || /\b(close|remove|merge)\b.*\b(dup(e|licate)?s?)\b|^dedupe/.test(originalText.toLowerCase())) {
+    return 'close_duplicates';
+  }
   if (/intent:\s*close/.test(lower) || /^(close|remove|delete|get rid of|dismiss)/.test(originalText.toLowerCase())) {
     return 'close';
   }
@@ -78,7 +78,7 @@ ${preprocessInfo}
 "Can you" is polite phrasing for a command, not a question.
 
 ## Intents (enum)
-open | find_open | close | reopen | save | list | ask | mute | unmute | pin | unpin | reload | discard
+open | find_open | close | reopen | save | list | ask | mute | unmute | pin | unpin | reload | discard | close_duplicates | search_archive | workspace
 
 - open: Activate/open a tab (defaults to OPEN TABS ONLY unless time mentioned)
 - find_open: Locate open tabs without switching yet
@@ -93,6 +93,9 @@ open | find_open | close | reopen | save | list | ask | mute | unmute | pin | un
 - unpin: Unpin matching tabs (set pinned:false)
 - reload: Reload/refresh matching tabs
 - discard: Discard (sleep) matching tabs to save memory
+- close_duplicates: Close extra copies of pages open more than once ("close duplicates", "dedupe my tabs"); no query needed
+- search_archive: Find tabs Tabitha archived as stale ("find the recipe I archived", "what's in my archive"); canonical_query = what to look for
+- workspace: Save, open, switch to, list or delete a named workspace (every window's tabs and groups) ("save this as my thesis workspace", "switch to my thesis workspace"); operation = save|open|switch|list|delete, canonical_query = the workspace name
 
 ## Output schema
 {
@@ -274,7 +277,7 @@ JSON:`;
     }
     
     // Validate intent (strict enum)
-    const validIntents = ['open', 'close', 'find_open', 'reopen', 'save', 'list', 'ask', 'mute', 'unmute', 'pin', 'unpin', 'reload', 'discard'];
+    const validIntents = ['open', 'close', 'find_open', 'reopen', 'save', 'list', 'ask', 'mute', 'unmute', 'pin', 'unpin', 'reload', 'discard', 'close_duplicates', 'search_archive', 'workspace'];
     if (!validIntents.includes(parsed.intent)) {
       // Failure fallback: return find_open with disambiguationNeeded
       return {
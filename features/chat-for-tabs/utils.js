@@ -1,6 +1,8 @@
 // Chat with your Tabs - Shared utilities
 // Includes: offscreen document management, logging, telemetry, undo buffer, concurrency guards
 
+import { getSetting, onSettingsChanged } from '../../shared/settings.js';
+
 const log = (...a) => console.log("[Tabitha::chat]", ...a);
 
 // ==== OFFScreen Document Management ====
@@ -100,6 +102,7 @@ const telemetry = {
 };
 
 export async function recordTelemetry(category, event, success = true) {
+  if (!getSetting('privacy.chatTelemetry')) return;
   try {
     if (telemetry[category] && telemetry[category][event]) {
       if (success) {
@@ -118,6 +121,17 @@ export async function recordTelemetry(category, event, success = true) {
   }
 }
 
+// Turning telemetry off in the options page also deletes what was collected
+onSettingsChanged((changes) => {
+  if (changes['privacy.chatTelemetry']?.newValue !== false) return;
+  for (const category of Object.values(telemetry)) {
+    for (const key of Object.keys(category)) {
+      category[key] = typeof category[key] === 'number' ? 0 : { success: 0, failed: 0 };
+    }
+  }
+  chrome.storage.local.remove('chatTelemetry').catch(() => {});
+});
+
 async function loadTelemetry() {
   try {
     const stored = await chrome.storage.local.get(['chatTelemetry']);
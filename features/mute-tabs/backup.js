@@ -0,0 +1,51 @@
+// Mute Tabs - Configuration export/import
+// The options page bundles these with the shared settings into one JSON file
+// so a team can share a standard setup. Only the user-editable lists travel;
+// calendars, history and learned data stay on the machine.
+
+import { getRules, replaceRules } from './rules.js';
+import { listPolicies, replacePolicies } from './policies.js';
+import { loadFocusSchedules, saveFocusSchedules } from './focus.js';
+import { listMuteActions, replaceMuteActions } from './ducking.js';
+
+const log = (...a) => console.log("[Tabitha::mute-backup]", ...a);
+
+export async function exportMuteConfig() {
+  const rules = getRules();
+  return {
+    rules: {
+      meeting: rules.meeting.map(r => r.pattern),
+      buzzy: rules.buzzy.map(r => r.pattern)
+    },
+    policies: Object.fromEntries(listPolicies().map(p => [p.domain, p.policy])),
+    actions: Object.fromEntries(listMuteActions().actions.map(a => [a.domain, a.action])),
+    focusSchedules: await loadFocusSchedules()
+  };
+}
+
+/**
+ * Apply an exported mute configuration. Sections missing from the file are
+ * left as they are.
+ */
+export async function importMuteConfig(config = {}) {
+  const applied = [];
+  if (config.rules) {
+    await replaceRules(config.rules);
+    applied.push('rules');
+  }
+  if (config.policies) {
+    await replacePolicies(config.policies);
+    applied.push('policies');
+  }
+  if (config.actions) {
+    await replaceMuteActions(config.actions);
+    applied.push('actions');
+  }
+  if (Array.isArray(config.focusSchedules)) {
+    const res = await saveFocusSchedules(config.focusSchedules);
+    if (!res.ok) return { ok: false, error: res.error, applied };
+    applied.push('focusSchedules');
+  }
+  log('Imported mute configuration:', applied);
+  return { ok: true, applied };
+}
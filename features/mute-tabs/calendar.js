@@ -0,0 +1,449 @@
+// Mute Tabs - Calendar awareness
+// Parses local .ics files (or an ICS URL cached locally) so Tabitha can pre-arm
+// auto-mute shortly before a scheduled meeting, before any chime can leak.
+
+import { state, persistSessionState } from './state.js';
+import { getDomain } from '../../shared/utils.js';
+
+const log = (...a) => console.log("[Tabitha::mute-calendar]", ...a);
+
+const SOURCES_KEY = 'tabitha_calendarSources';
+export const PRE_ARM_MS = 60 * 1000;           // arm one minute before start
+const LOOKAHEAD_MS = 7 * 24 * 60 * 60 * 1000;  // expand recurrences a week out
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+export const ALARM_PRE_ARM = 'calendarPreArm';
+export const ALARM_DISARM = 'calendarDisarm';
+export const ALARM_REFRESH = 'calendarRefresh';
+
+const MEETING_LINK_RE = /https?:\/\/[^\s"<>\\]*(?:meet\.google\.com|zoom\.us|teams\.microsoft\.com|teams\.live\.com|webex\.com|whereby\.com|slack\.com)[^\s"<>\\]*/i;
+
+// ============================================================================
+// ICS PARSING
+// ============================================================================
+
+/**
+ * Parse an ICS date value. Floating and TZID times are treated as local time
+ * (no tz database is bundled); "Z" suffixed values are UTC.
+ */
+function parseIcsDate(value, params = '') {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const [, y, mo, d, h = '0', mi = '0', s = '0', z] = m;
+  if (z) return Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+  const allDay = !m[4] || /VALUE=DATE(?!-)/.test(params);
+  return new Date(+y, +mo - 1, +d, allDay ? 0 : +h, allDay ? 0 : +mi, allDay ? 0 : +s).getTime();
+}
+
+function unescapeText(v) {
+  return String(v || '').replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+function parseRRule(value) {
+  const rule = {};
+  for (const part of String(value).split(';')) {
+    const [k, v] = part.split('=');
+    if (k && v) rule[k.toUpperCase()] = v;
+  }
+  return rule;
+}
+
+/**
+ * Parse ICS text into a list of VEVENTs:
+ * { uid, summary, start, end, allDay, meetingUrl, rrule, exdates }
+ */
+export function parseICS(text) {
+  // Unfold continuation lines (RFC 5545 §3.1)
+  const lines = String(text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const events = [];
+  let ev = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') { ev = { exdates: [] }; continue; }
+    if (line === 'END:VEVENT') {
+      if (ev && ev.start) {
+        if (!ev.end) ev.end = ev.start + (ev.allDay ? ONE_DAY : 30 * 60 * 1000);
+        ev.meetingUrl = ev.url || findMeetingLink(`${ev.location || ''}\n${ev.description || ''}`);
+        events.push({
+          uid: ev.uid || `${ev.start}-${ev.summary || ''}`,
+          summary: ev.summary || 'Meeting',
+          start: ev.start,
+          end: ev.end,
+          allDay: !!ev.allDay,
+          meetingUrl: ev.meetingUrl || null,
+          rrule: ev.rrule || null,
+          exdates: ev.exdates
+        });
+      }
+      ev = null;
+      continue;
+    }
+    if (!ev) continue;
+
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const head = line.slice(0, colon);
+    const value = line.slice(colon + 1);
+    const [name, ...paramParts] = head.split(';');
+    const params = paramParts.join(';');
+
+    switch (name.toUpperCase()) {
+      case 'UID': ev.uid = value.trim(); break;
+      case 'SUMMARY': ev.summary = unescapeText(value); break;
+      case 'LOCATION': ev.location = unescapeText(value); break;
+      case 'DESCRIPTION': ev.description = unescapeText(value); break;
+      case 'URL': if (MEETING_LINK_RE.test(value)) ev.url = value.trim(); break;
+      case 'DTSTART':
+        ev.start = parseIcsDate(value, params);
+        ev.allDay = !/T/.test(value);
+        break;
+      case 'DTEND': ev.end = parseIcsDate(value, params); break;
+      case 'RRULE': ev.rrule = parseRRule(value); break;
+      case 'EXDATE':
+        for (const v of value.split(',')) {
+          const ts = parseIcsDate(v, params);
+          if (ts) ev.exdates.push(ts);
+        }
+        break;
+      default:
+        // Some providers put the join link in a custom property
+        if (/^X-/.test(name) && !ev.url && MEETING_LINK_RE.test(value)) {
+          ev.url = value.match(MEETING_LINK_RE)[0];
+        }
+    }
+  }
+  return events;
+}
+
+function findMeetingLink(text) {
+  const m = String(text || '').match(MEETING_LINK_RE);
+  return m ? m[0].replace(/[).,;]+$/, '') : null;
+}
+
+const BYDAY = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+/**
+ * Expand an event (and its DAILY/WEEKLY recurrence) into concrete occurrences
+ * overlapping [from, to]. Other frequencies fall back to the first instance.
+ */
+function expandOccurrences(event, from, to) {
+  const duration = event.end - event.start;
+  const out = [];
+  const push = (start) => {
+    if (event.exdates.includes(start)) return;
+    if (start + duration >= from && start <= to) out.push({ ...event, start, end: start + duration });
+  };
+
+  const rule = event.rrule;
+  if (!rule || !['DAILY', 'WEEKLY'].includes(rule.FREQ)) {
+    push(event.start);
+    return out;
+  }
+
+  const interval = Math.max(1, parseInt(rule.INTERVAL || '1', 10));
+  const until = rule.UNTIL ? parseIcsDate(rule.UNTIL) : Infinity;
+  const maxCount = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const days = rule.FREQ === 'WEEKLY' && rule.BYDAY
+    ? rule.BYDAY.split(',').map(d => BYDAY[d.slice(-2)]).filter(d => d !== undefined)
+    : null;
+
+  const first = new Date(event.start);
+  let count = 0;
+  // Walk day by day; cheap enough for a one-week window plus history
+  for (let i = 0; ; i++) {
+    const day = new Date(first);
+    day.setDate(first.getDate() + i);
+    const start = day.getTime();
+    if (start > until || start > to || count >= maxCount) break;
+
+    let matches;
+    if (rule.FREQ === 'DAILY') {
+      matches = i % interval === 0;
+    } else {
+      const week = Math.floor(i / 7);
+      matches = week % interval === 0 && (days ? days.includes(day.getDay()) : day.getDay() === first.getDay());
+    }
+    if (!matches) continue;
+    count++;
+    push(start);
+  }
+  return out;
+}
+
+// ============================================================================
+// MEETING LINK MATCHING
+// ============================================================================
+
+// "zoom:123…" / "meet:abc-defg-hij" / … when the URL names one meeting, else null
+function meetingIdFromUrl(u, host) {
+  if (host.endsWith('zoom.us')) {
+    const id = u.pathname.match(/\/(?:j|wc|s|w)\/(\d{9,12})/);
+    if (id) return `zoom:${id[1]}`;
+  }
+  if (host === 'meet.google.com') {
+    const code = u.pathname.match(/[a-z]{3}-[a-z]{4}-[a-z]{3}/i);
+    if (code) return `meet:${code[0].toLowerCase()}`;
+  }
+  // Teams join links carry the meeting's thread id; the v2 client itself doesn't
+  if (host.endsWith('teams.microsoft.com') || host.endsWith('teams.live.com')) {
+    const thread = u.pathname.match(/\/l\/meetup-join\/([^/]+)/);
+    if (thread) return `teams:${decodeURIComponent(thread[1]).toLowerCase()}`;
+  }
+  // Webex: scheduled meetings (?MTID=…) and personal rooms (/meet/<name>)
+  if (host.endsWith('webex.com')) {
+    const mtid = u.searchParams.get('MTID') || u.searchParams.get('mtid');
+    if (mtid) return `webex:${mtid.toLowerCase()}`;
+    const room = u.pathname.match(/\/meet\/([^/]+)/);
+    if (room) return `webex:${host}/meet/${room[1].toLowerCase()}`;
+  }
+  return null;
+}
+
+/**
+ * Reduce a meeting URL to a comparable key, so a calendar link like
+ * zoom.us/j/123?pwd=… matches the web client at us02web.zoom.us/wc/123/join.
+ * Falls back to host + path for sites we can't read a meeting id from.
+ */
+export function meetingKey(url) {
+  try {
+    const u = new URL(url);
+    const host = u.hostname.toLowerCase().replace(/^www\./, '');
+    return meetingIdFromUrl(u, host) || `${host}${u.pathname.replace(/\/+$/, '').toLowerCase()}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * meetingKey() only when the URL names a specific meeting. Teams' v2 client,
+ * Slack huddles and the like keep one path for every call, so a host + path
+ * key there would stand for all of them.
+ */
+export function meetingIdKey(url) {
+  try {
+    const u = new URL(url);
+    return meetingIdFromUrl(u, u.hostname.toLowerCase().replace(/^www\./, ''));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the open tab that matches the armed meeting's link (or null)
+ */
+export function findTabForArmedMeeting() {
+  const armed = state.armedMeeting;
+  if (!armed?.meetingUrl) return null;
+  const key = meetingKey(armed.meetingUrl);
+  if (!key) return null;
+  for (const t of state.tabs.values()) {
+    if (t.url && meetingKey(t.url) === key) return t;
+  }
+  return null;
+}
+
+/**
+ * True if a tab is the armed meeting's destination (never mute it on pre-arm)
+ */
+export function isArmedMeetingTab(tab) {
+  const armed = state.armedMeeting;
+  if (!armed?.meetingUrl || !tab?.url) return false;
+  const key = meetingKey(armed.meetingUrl);
+  return !!key && meetingKey(tab.url) === key;
+}
+
+// ============================================================================
+// SOURCES (chrome.storage.local)
+// ============================================================================
+
+async function loadSources() {
+  try {
+    const result = await chrome.storage.local.get([SOURCES_KEY]);
+    return result[SOURCES_KEY] || [];
+  } catch (err) {
+    log('Failed to load calendar sources:', err);
+    return [];
+  }
+}
+
+async function saveSources(sources) {
+  try {
+    await chrome.storage.local.set({ [SOURCES_KEY]: sources });
+  } catch (err) {
+    log('Failed to save calendar sources:', err);
+  }
+}
+
+function summarizeSource(s) {
+  return { id: s.id, name: s.name, kind: s.kind, url: s.url || null, importedAt: s.importedAt, eventCount: s.events.length };
+}
+
+export async function listCalendarSources() {
+  return (await loadSources()).map(summarizeSource);
+}
+
+/**
+ * Import pasted/loaded ICS text as a file source
+ */
+export async function importCalendarText(name, text) {
+  const events = parseICS(text);
+  if (!events.length) return { ok: false, error: 'no_events_found' };
+  const sources = await loadSources();
+  const source = { id: `file-${Date.now()}`, name: name || 'Calendar', kind: 'file', importedAt: Date.now(), events };
+  sources.push(source);
+  await saveSources(sources);
+  await scheduleCalendarAlarms();
+  log(`Imported ${events.length} events from ${source.name}`);
+  return { ok: true, source: summarizeSource(source) };
+}
+
+/**
+ * Add an ICS URL; it is fetched now and cached locally, then refreshed hourly
+ */
+export async function addCalendarUrl(url, name) {
+  if (!/^https?:\/\//i.test(url || '') && !/^webcal:\/\//i.test(url || '')) {
+    return { ok: false, error: 'invalid_url' };
+  }
+  const fetchUrl = url.replace(/^webcal:/i, 'https:');
+  const sources = await loadSources();
+  const source = { id: `url-${Date.now()}`, name: name || getDomain(fetchUrl) || 'Calendar', kind: 'url', url: fetchUrl, importedAt: 0, events: [] };
+  const res = await fetchSource(source);
+  if (!res.ok) return res;
+  sources.push(source);
+  await saveSources(sources);
+  await scheduleCalendarAlarms();
+  return { ok: true, source: summarizeSource(source) };
+}
+
+async function fetchSource(source) {
+  try {
+    const resp = await fetch(source.url, { cache: 'no-store' });
+    if (!resp.ok) return { ok: false, error: `http_${resp.status}` };
+    source.events = parseICS(await resp.text());
+    source.importedAt = Date.now();
+    return { ok: true };
+  } catch (err) {
+    log('Failed to fetch calendar:', source.url, err);
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+export async function refreshCalendarUrls() {
+  const sources = await loadSources();
+  let changed = false;
+  for (const s of sources) {
+    if (s.kind !== 'url') continue;
+    // Keep the cached copy if the refresh fails (offline, expired token…)
+    if ((await fetchSource(s)).ok) changed = true;
+  }
+  if (changed) await saveSources(sources);
+  await scheduleCalendarAlarms();
+}
+
+export async function removeCalendarSource(id) {
+  const sources = await loadSources();
+  const next = sources.filter(s => s.id !== id);
+  if (next.length === sources.length) return { ok: false, error: 'not_found' };
+  await saveSources(next);
+  await scheduleCalendarAlarms();
+  return { ok: true };
+}
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+/**
+ * All timed (non all-day) occurrences overlapping [from, to], soonest first
+ */
+async function getOccurrences(from, to) {
+  const sources = await loadSources();
+  const all = [];
+  for (const s of sources) {
+    for (const ev of s.events) {
+      if (ev.allDay) continue;
+      all.push(...expandOccurrences(ev, from, to));
+    }
+  }
+  return all.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Next meeting that is running now or starts within the lookahead window
+ */
+export async function getUpcomingMeeting(now = Date.now()) {
+  const occ = await getOccurrences(now, now + LOOKAHEAD_MS);
+  const next = occ.find(o => o.end > now);
+  if (!next) return null;
+  return {
+    uid: next.uid,
+    summary: next.summary,
+    start: next.start,
+    end: next.end,
+    meetingUrl: next.meetingUrl,
+    armed: state.armedMeeting?.uid === next.uid && state.armedMeeting?.start === next.start
+  };
+}
+
+/**
+ * (Re)create the pre-arm and disarm alarms for the next meeting
+ */
+export async function scheduleCalendarAlarms() {
+  await chrome.alarms.clear(ALARM_PRE_ARM);
+  const now = Date.now();
+  const occ = await getOccurrences(now, now + LOOKAHEAD_MS);
+  const next = occ.find(o => o.start - PRE_ARM_MS > now);
+  if (next) {
+    chrome.alarms.create(ALARM_PRE_ARM, { when: next.start - PRE_ARM_MS });
+    log(`Next pre-arm: "${next.summary}" at ${new Date(next.start - PRE_ARM_MS).toISOString()}`);
+  }
+  // A meeting may already be in progress (e.g. after a restart)
+  const current = occ.find(o => o.start - PRE_ARM_MS <= now && o.end > now);
+  if (current && !state.armedMeeting) await armMeeting(current);
+  if (!current && state.armedMeeting && state.armedMeeting.end <= now) disarmMeeting();
+}
+
+async function armMeeting(occurrence) {
+  state.armedMeeting = {
+    uid: occurrence.uid,
+    summary: occurrence.summary,
+    start: occurrence.start,
+    end: occurrence.end,
+    meetingUrl: occurrence.meetingUrl
+  };
+  persistSessionState();
+  chrome.alarms.create(ALARM_DISARM, { when: Math.max(occurrence.end, Date.now() + 1000) });
+  log('Armed for meeting:', state.armedMeeting.summary);
+}
+
+export function disarmMeeting() {
+  if (!state.armedMeeting) return;
+  log('Disarmed meeting:', state.armedMeeting.summary);
+  state.armedMeeting = null;
+  persistSessionState();
+  chrome.alarms.clear(ALARM_DISARM);
+}
+
+/**
+ * Handle the calendar alarms. Returns true when the alarm was ours.
+ */
+export async function handleCalendarAlarm(alarm) {
+  if (alarm.name === ALARM_PRE_ARM) {
+    const now = Date.now();
+    const occ = await getOccurrences(now, now + 2 * PRE_ARM_MS);
+    const next = occ.find(o => o.end > now);
+    if (next) await armMeeting(next);
+    await scheduleCalendarAlarms();
+    return true;
+  }
+  if (alarm.name === ALARM_DISARM) {
+    disarmMeeting();
+    await scheduleCalendarAlarms();
+    return true;
+  }
+  if (alarm.name === ALARM_REFRESH) {
+    await refreshCalendarUrls();
+    return true;
+  }
+  return false;
+}
@@ -1,9 +1,15 @@
 // Mute Tabs core functionality
-import { state, isMeetingTabLike, saveSettings } from './state.js';
-import { BUZZY_DOMAINS_DEFAULT } from '../../shared/config.js';
+import { state, saveSettings, hydrateSessionState, reconcileSessionState, persistSessionState, markAutoMuted } from './state.js';
+import { isMeetingTabLike, isBuzzyTab } from './rules.js';
+import { getPolicy, POLICIES } from './policies.js';
+import { getMuteAction, duckTab, restoreAllDucked, MUTE_ACTIONS } from './ducking.js';
+import { startMeetingLog, endMeetingLog, recordAutoMute } from './history.js';
 import { getDomain } from '../../shared/utils.js';
+import { loadSettings as loadSharedSettings, getSetting, onSettingsChanged } from '../../shared/settings.js';
 import { log } from '../../shared/utils.js';
-import { showMeetingNudgeNotification } from './notifications.js';
+import { showMeetingNudgeNotification, nudgeMeetingStarted } from './notifications.js';
+import { clearStatusBadge } from '../../shared/badge.js';
+import { findTabForArmedMeeting, isArmedMeetingTab } from './calendar.js';
 
 let meetingNotified = false; // module-level, shared across detection
 let autoMuting = false;
@@ -13,6 +19,7 @@ export function getMeetingNotified() { return meetingNotified; }
 export function setMeetingNotified(value) { meetingNotified = value; }
 
 export async function refreshAllTabs() {
+  await hydrateSessionState(); // restore ledger after a worker restart
   const tabs = await chrome.tabs.query({});
   const known = new Set();
 
@@ -33,9 +40,12 @@ export async function refreshAllTabs() {
   for (const id of Array.from(state.tabs.keys())) {
     if (!known.has(id)) state.tabs.delete(id);
   }
+  const ledgerChanged = reconcileSessionState();
 
   // after refresh, re-evaluate meeting + maybe apply policy
   const meetingChanged = detectMeeting();
+  if (ledgerChanged) persistSessionState();
+  await enforceAlwaysMutePolicies();
   if (meetingChanged || state.meetingTabId) {
     if (state.meetingTabId) {
       log("Meeting detected on tab", state.meetingTabId);
@@ -46,61 +56,97 @@ export async function refreshAllTabs() {
           await safeAutoMute(); // always auto-mute first
         }
         if (shouldNotify && !meetingNotified) {
-          // Check notification permission and show badge fallback if blocked
-          chrome.notifications.getPermissionLevel((level) => {
-            const hasNotificationPermission = level === 'granted';
-            
-            if (hasNotificationPermission) {
-              showMeetingNudgeNotification(true, { soundingCount, likelyToChimeCount });
-            } else {
-              // Fallback: badge + store flag for popup snackbar
-              chrome.action.setBadgeText({ text: "MEET" });
-              chrome.action.setBadgeBackgroundColor({ color: "#0ea5e9" });
-              chrome.storage.local.set({ 
-                __tabithaMeetingDetected: Date.now(),
-                __tabithaMeetingMutedCount: soundingCount + likelyToChimeCount
-              });
-            }
-            meetingNotified = true;
-          });
+          // System notification, or badge + popup snackbar (quiet mode / blocked)
+          nudgeMeetingStarted({ soundingCount, likelyToChimeCount });
+          meetingNotified = true;
         }
       })();
     } else {
-      log("Meeting ended");
-      meetingNotified = false;
-      chrome.action.setBadgeText({ text: "" });
-      chrome.storage.local.remove(['__tabithaMeetingDetected', '__tabithaMeetingMutedCount']);
-      chrome.notifications.getPermissionLevel((level) => {
-        if (level === 'granted') {
-          showMeetingNudgeNotification(false);
-        }
-      });
+      await handleMeetingEnded();
     }
+  } else if (state.armedMeeting && !state.armedMeeting.joined && state.settings.autoMuteDuringMeetings) {
+    // Calendar says a meeting is about to start, but no call tab is live yet
+    await safeAutoMute();
+  } else if (state.focus) {
+    // Focus session: keep newly noisy tabs quiet
+    await safeAutoMute();
   }
 }
 
+/**
+ * The last meeting tab ended. Ducked and paused tabs come back right away
+ * (unless a focus session still wants quiet); muted ones wait for the
+ * "unmute all?" nudge, which quiet mode, a snooze or blocked notifications
+ * can hold back.
+ */
+export async function handleMeetingEnded() {
+  log("Meeting ended");
+  meetingNotified = false;
+  clearStatusBadge();
+  chrome.storage.local.remove(['__tabithaMeetingDetected', '__tabithaMeetingMutedCount']);
+  if (!state.focus) await restoreAllDucked();
+  showMeetingNudgeNotification(false); // skipped in quiet mode / while snoozed
+}
+
+// A meeting tab that goes silent and loses focus stays a meeting this long,
+// so switching to another tab mid-call doesn't count as "meeting ended".
+const MEETING_GRACE_MS = 5 * 60 * 1000;
+
 export function detectMeeting() {
   const prev = state.meetingTabId;
-  // Prefer focused window + active tab if it's a meeting
-  const activeMeeting = Array.from(state.tabs.values())
-    .filter(t => t.active)
-    .find(t => isMeetingTabLike(t));
+  const prevIds = state.meetingTabIds.join(',');
+  const now = Date.now();
+
+  // Calendar pre-arm: the tab holding the scheduled meeting's link
+  const armedMeeting = findTabForArmedMeeting();
+  // In-call reports from content.js beat the domain heuristic, which can't
+  // tell a call from the landing page or the post-call screen. A report that
+  // couldn't tell (inCall: null) leaves the heuristic in charge.
+  const signalFor = (id) => {
+    const signal = state.callSignals[id];
+    return typeof signal?.inCall === 'boolean' ? signal : null;
+  };
+  const isLive = (t) => {
+    if (signalFor(t.id)) return signalFor(t.id).inCall;
+    return (isMeetingTabLike(t) && (t.active || t.audible)) || t.id === armedMeeting?.id;
+  };
 
-  if (activeMeeting) {
-    state.meetingTabId = activeMeeting.id;
+  // New meetings go to the front (handoff); active tabs last so they end up first
+  const live = Array.from(state.tabs.values())
+    .filter(isLive)
+    .sort((a, b) => Number(a.active) - Number(b.active));
+  for (const t of live) {
+    if (!state.meetingTabIds.includes(t.id)) state.meetingTabIds.unshift(t.id);
+    state.meetingLastLive[t.id] = now;
+  }
+
+  // Drop meetings that closed, navigated away, or went quiet past the grace period
+  state.meetingTabIds = state.meetingTabIds.filter(id => {
+    const t = state.tabs.get(id);
+    const signal = signalFor(id);
+    const keep = !!t && (signal
+      ? signal.inCall // left the call: no grace period needed
+      : (isMeetingTabLike(t) || id === armedMeeting?.id) && now - (state.meetingLastLive[id] || 0) <= MEETING_GRACE_MS);
+    if (!keep) delete state.meetingLastLive[id];
+    return keep;
+  });
+
+  // Explicit priority beats handoff order
+  const pinned = state.meetingPriorityTabId;
+  if (pinned !== null && state.meetingTabIds.includes(pinned)) {
+    state.meetingTabIds = [pinned, ...state.meetingTabIds.filter(id => id !== pinned)];
   } else {
-    // fallback: any audible meeting tab
-    const audibleMeeting = Array.from(state.tabs.values())
-      .find(t => t.audible && isMeetingTabLike(t));
-    state.meetingTabId = audibleMeeting ? audibleMeeting.id : null;
+    state.meetingPriorityTabId = null;
+  }
+
+  state.meetingTabId = state.meetingTabIds[0] ?? null;
+  if (state.meetingTabId && state.armedMeeting && !state.armedMeeting.joined) {
+    state.armedMeeting.joined = true; // stop pre-arm muting once the call is live
   }
 
-  // Reset meetingNotified when meeting changes
+  // Reset meetingNotified when a meeting starts or ends (not on handoff)
   const changed = prev !== state.meetingTabId;
-  if (changed && state.meetingTabId) {
-    meetingNotified = false; // new meeting -> allow notify once
-  } else if (changed && !state.meetingTabId) {
-    // Meeting ended
+  if (changed && (prev === null || state.meetingTabId === null)) {
     meetingNotified = false;
   }
 
@@ -110,40 +156,75 @@ export function detectMeeting() {
     if (t.muted) {
       chrome.tabs.update(t.id, { muted: false }).catch(() => {});
       state.mutedByTabitha.delete(t.id); // we want it live
+      persistSessionState();
     }
   }
+  if (changed) {
+    if (state.meetingTabId) startMeetingLog(state.tabs.get(state.meetingTabId)); // no-op on handoff
+    else endMeetingLog();
+    if (prev !== null && state.meetingTabId !== null) log(`Meeting handoff: tab ${prev} → ${state.meetingTabId}`);
+  }
+  if (changed || prevIds !== state.meetingTabIds.join(',')) persistSessionState();
   return changed;
 }
 
+/**
+ * Store an in-call report from content.js (inCall true, false, or null when
+ * the page couldn't tell). Returns true if that changed, so the caller knows
+ * to re-run meeting detection.
+ */
+export function updateCallSignal(tabId, report) {
+  const prev = state.callSignals[tabId];
+  const inCall = typeof report.inCall === 'boolean' ? report.inCall : null;
+  state.callSignals[tabId] = {
+    site: report.site,
+    inCall,
+    micMuted: report.micMuted ?? null,
+    cameraOff: report.cameraOff ?? null,
+    at: Date.now()
+  };
+  persistSessionState();
+  return !prev || prev.inCall !== inCall;
+}
+
+export function clearCallSignal(tabId) {
+  if (!(tabId in state.callSignals)) return;
+  delete state.callSignals[tabId];
+  persistSessionState();
+}
+
 export async function autoMuteForMeeting() {
   const meetingId = state.meetingTabId;
-  if (!meetingId) {
-    log("No meeting tab found, skipping auto-mute");
+  if (!meetingId && !state.armedMeeting && !state.focus) {
+    log("No meeting tab or focus session, skipping auto-mute");
     return;
   }
-
-  const meetingDomain = getDomain(state.tabs.get(meetingId)?.url);
-  const preferDomains = new Set([
-    ...BUZZY_DOMAINS_DEFAULT,
-    ...state.autoMutePreferredDomains
-  ]);
-  
-  log("Auto-muting for meeting, buzzy domains:", Array.from(preferDomains));
+  log("Auto-muting for meeting, buzzy rules:", state.rules.buzzy);
 
   for (const t of state.tabs.values()) {
-    if (t.id === meetingId) continue;
+    if (t.id === meetingId || isArmedMeetingTab(t)) continue;
 
     const domain = getDomain(t.url);
-    const shouldMute =
-      t.audible ||                       // currently making sound
-      preferDomains.has(domain);         // likely to chime soon
+    const reason = muteReasonForMeeting(t);
+    const shouldMute = !!reason;
     
-    log(`Tab ${t.id} (${domain}): audible=${t.audible}, shouldMute=${shouldMute}, alreadyMuted=${t.muted}`);
+    log(`Tab ${t.id} (${domain}): audible=${t.audible}, shouldMute=${shouldMute} (${reason}), alreadyMuted=${t.muted}`);
 
-    if (shouldMute && !t.muted) {
+    if (shouldMute && !t.muted && !state.duckedByTabitha[t.id]) {
+      // Per-domain preference: turn the music down or pause it instead of muting.
+      // Only for the heuristic reasons — explicit mute policies and other meetings stay muted.
+      const action = getMuteAction(t.url);
+      if (action !== MUTE_ACTIONS.MUTE && (reason === 'audible' || reason === 'buzzy')) {
+        if (await duckTab(t.id, action, reason)) {
+          recordAutoMute(t, `${action}:${reason}`);
+          continue;
+        }
+        // Page can't be scripted (chrome://, Web Store...): fall back to muting
+      }
       try {
         await chrome.tabs.update(t.id, { muted: true });
-        state.mutedByTabitha.add(t.id);
+        markAutoMuted(t.id, reason);
+        recordAutoMute(t, reason);
         log(`Muted tab ${t.id} (${domain})`);
       } catch (err) {
         log(`Failed to mute tab ${t.id}:`, err);
@@ -152,6 +233,45 @@ export async function autoMuteForMeeting() {
   }
 }
 
+// Why a tab should be muted during a meeting (null = leave it alone).
+// Explicit per-domain policies win over the audible/buzzy heuristics.
+// Secondary meeting tabs (a webinar during a call) only get muted while audible.
+export function muteReasonForMeeting(tab) {
+  const policy = getPolicy(tab.url);
+  if (policy === POLICIES.NEVER) return null;
+  // Only the priority meeting stays live; other meeting tabs are muted if they make sound
+  if (state.meetingTabIds.includes(tab.id)) return tab.audible ? 'secondary-meeting' : null;
+  if (policy === POLICIES.MEETING || policy === POLICIES.ALWAYS) return `policy:${policy}`;
+  if (tab.audible) return 'audible';          // currently making sound
+  if (isBuzzyTab(tab)) return 'buzzy';        // likely to chime soon
+  return null;
+}
+
+// The user unmuted this tab themselves: "always mute" leaves it alone
+// until it moves to another site
+export function noteUserUnmuted(tabId, url) {
+  state.userUnmuted[tabId] = getDomain(url);
+  persistSessionState();
+}
+
+// "Always mute" policy applies outside meetings too
+export async function enforceAlwaysMutePolicies() {
+  for (const t of state.tabs.values()) {
+    if (t.id == null || t.muted || t.id === state.meetingTabId) continue; // id-less: only seen via onUpdated so far
+    if (getPolicy(t.url) !== POLICIES.ALWAYS) continue;
+    if (state.userUnmuted[t.id] && state.userUnmuted[t.id] === getDomain(t.url)) continue;
+    try {
+      await chrome.tabs.update(t.id, { muted: true });
+      t.muted = true;
+      markAutoMuted(t.id, `policy:${POLICIES.ALWAYS}`);
+      recordAutoMute(t, `policy:${POLICIES.ALWAYS}`);
+      log(`Muted tab ${t.id} (always-mute policy)`);
+    } catch (err) {
+      log(`Failed to mute tab ${t.id}:`, err);
+    }
+  }
+}
+
 export async function safeAutoMute(){
   if (autoMuting) return;
   autoMuting = true;
@@ -168,8 +288,9 @@ export async function computeNoiseSituation() {
   let likelyToChimeCount = 0;
   for (const t of state.tabs.values()) {
     if (t.id === meetingId) continue;
-    const domain = getDomain(t.url);
-    const likely = BUZZY_DOMAINS_DEFAULT.includes(domain) || state.autoMutePreferredDomains.has(domain);
+    const policy = getPolicy(t.url);
+    if (policy === POLICIES.NEVER) continue;
+    const likely = policy === POLICIES.MEETING || policy === POLICIES.ALWAYS || isBuzzyTab(t);
     if (t.audible && !t.muted) soundingCount += 1;
     else if (!t.muted && likely) likelyToChimeCount += 1;
   }
@@ -177,20 +298,59 @@ export async function computeNoiseSituation() {
   return { shouldNotify, soundingCount, likelyToChimeCount };
 }
 
-export function unmuteAllAutoMuted() {
+export async function unmuteAllAutoMuted() {
+  await hydrateSessionState(); // the worker may have just been woken by a button click
   log("Unmuting all auto-muted tabs:", Array.from(state.mutedByTabitha));
+  const keepReason = `policy:${POLICIES.ALWAYS}`;
   for (const id of Array.from(state.mutedByTabitha)) {
+    if (state.autoMuteReasons[id] === keepReason) continue; // stays muted by policy
     chrome.tabs.update(id, { muted: false }).then(() => {
       log(`Unmuted tab ${id}`);
     }).catch((err) => {
       log(`Failed to unmute tab ${id}:`, err);
     });
+    state.mutedByTabitha.delete(id);
+    delete state.autoMuteReasons[id];
   }
-  state.mutedByTabitha.clear();
+  persistSessionState();
+  await restoreAllDucked(); // put volumes back / resume what we paused
+}
+
+function applyMuteSettings() {
+  state.settings.autoMuteDuringMeetings = getSetting('mute.autoMuteDuringMeetings');
+  state.settings.rememberPreferences = getSetting('mute.rememberPreferences');
+  state.settings.duckLevel = getSetting('mute.duckLevel');
+  state.settings.nudge = getSetting('mute.nudge');
+  state.autoMutePreferredDomains = new Set(getSetting('mute.preferredDomains'));
 }
 
 export async function loadSettings() {
-  const { settings = {} } = await chrome.storage.sync.get("settings");
-  Object.assign(state.settings, settings);
+  await loadSharedSettings();
+  applyMuteSettings();
 }
 
+// Toggles flipped in the popup or options page apply without a reload
+export function watchSettings() {
+  onSettingsChanged((changes) => {
+    if (Object.keys(changes).some(key => key.startsWith('mute.'))) applyMuteSettings();
+  });
+}
+
+/**
+ * Pin a meeting tab as the priority meeting (it stays live, others get muted)
+ */
+export async function setMeetingPriority(tabId) {
+  if (!state.meetingTabIds.includes(tabId)) return { ok: false, error: 'not_a_meeting_tab' };
+  state.meetingPriorityTabId = tabId;
+  detectMeeting();
+  if (state.settings.autoMuteDuringMeetings) await safeAutoMute();
+  return { ok: true, meetings: getMeetingTabs() };
+}
+
+export function getMeetingTabs() {
+  return state.meetingTabIds.map((id, priority) => {
+    const t = state.tabs.get(id) || {};
+    const call = state.callSignals[id] || null;
+    return { id, priority, title: t.title, url: t.url, pinned: id === state.meetingPriorityTabId, call };
+  });
+}
@@ -0,0 +1,216 @@
+// Mute Tabs - Volume ducking and pausing
+// Muting is all-or-nothing; for background music it's nicer to turn the volume
+// down (duck) or pause playback while a meeting is on. Both work by injecting
+// into the page and touching its <audio>/<video> elements, so the original
+// levels can be put back when the meeting ends.
+
+import { state, persistSessionState } from './state.js';
+import { getDomain } from '../../shared/utils.js';
+import { setSetting } from '../../shared/settings.js';
+
+const log = (...a) => console.log("[Tabitha::mute-ducking]", ...a);
+
+const ACTIONS_KEY = 'muteActions';
+
+export const MUTE_ACTIONS = Object.freeze({
+  MUTE: 'mute',   // chrome.tabs.update({ muted: true }) — the default
+  DUCK: 'duck',   // scale media volume down, pause autoplaying video
+  PAUSE: 'pause'  // pause whatever is playing
+});
+
+const VALID = new Set(Object.values(MUTE_ACTIONS));
+
+// ============================================================================
+// PER-DOMAIN ACTIONS (chrome.storage.sync)
+// ============================================================================
+
+function normalizeDomain(domain) {
+  return String(domain || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+}
+
+/**
+ * Action for a URL; like policies, "youtube.com" also covers "music.youtube.com"
+ */
+export function getMuteAction(url) {
+  const host = getDomain(url || '');
+  if (!host) return MUTE_ACTIONS.MUTE;
+  const labels = host.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const action = state.muteActions[labels.slice(i).join('.')];
+    if (action) return action;
+  }
+  return MUTE_ACTIONS.MUTE;
+}
+
+export async function loadMuteActions() {
+  try {
+    const { [ACTIONS_KEY]: stored } = await chrome.storage.sync.get(ACTIONS_KEY);
+    state.muteActions = stored || {};
+  } catch (err) {
+    log('Failed to load mute actions:', err);
+  }
+}
+
+export function watchMuteActions() {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes[ACTIONS_KEY]) state.muteActions = changes[ACTIONS_KEY].newValue || {};
+  });
+}
+
+export function listMuteActions() {
+  return {
+    actions: Object.entries(state.muteActions)
+      .map(([domain, action]) => ({ domain, action }))
+      .sort((a, b) => a.domain.localeCompare(b.domain)),
+    duckLevel: state.settings.duckLevel
+  };
+}
+
+/**
+ * Set (or clear, when action is falsy or "mute") the meeting action for a domain
+ */
+export async function setMuteAction(domain, action) {
+  const d = normalizeDomain(domain);
+  if (!d || (!d.includes('.') && !d.startsWith('localhost'))) return { ok: false, error: 'invalid_domain' };
+  if (action && !VALID.has(action)) return { ok: false, error: 'invalid_action' };
+
+  const next = { ...state.muteActions };
+  if (action && action !== MUTE_ACTIONS.MUTE) next[d] = action;
+  else delete next[d];
+  state.muteActions = next;
+  await chrome.storage.sync.set({ [ACTIONS_KEY]: next });
+  return { ok: true, ...listMuteActions() };
+}
+
+/**
+ * Replace every per-domain action (configuration import)
+ */
+export async function replaceMuteActions(actions = {}) {
+  const next = {};
+  for (const [domain, action] of Object.entries(actions)) {
+    const d = normalizeDomain(domain);
+    if (d && VALID.has(action) && action !== MUTE_ACTIONS.MUTE) next[d] = action;
+  }
+  state.muteActions = next;
+  await chrome.storage.sync.set({ [ACTIONS_KEY]: next });
+  return { ok: true, ...listMuteActions() };
+}
+
+export async function setDuckLevel(level) {
+  const n = Number(level);
+  if (!Number.isFinite(n)) return { ok: false, error: 'invalid_level' };
+  const res = await setSetting('mute.duckLevel', n); // clamped by the schema
+  if (!res.ok) return res;
+  state.settings.duckLevel = res.settings['mute.duckLevel'];
+
+  // Re-apply to tabs that are ducked right now
+  for (const [id, entry] of Object.entries(state.duckedByTabitha)) {
+    if (entry.action === MUTE_ACTIONS.DUCK) await runInTab(Number(id), applyInPage, [MUTE_ACTIONS.DUCK, state.settings.duckLevel]);
+  }
+  return { ok: true, ...listMuteActions() };
+}
+
+// ============================================================================
+// IN-PAGE (serialized and run in the tab by chrome.scripting)
+// ============================================================================
+// Runs in the extension's isolated world, so window.__tabithaDuck survives
+// between injections without the page seeing it.
+
+function applyInPage(action, level) {
+  const ctl = window.__tabithaDuck || (window.__tabithaDuck = {
+    volumes: new Map(),  // element -> original volume
+    paused: new Set(),   // elements we paused
+    action: null,
+    level: 1,
+    onPlay: null
+  });
+  ctl.action = action;
+  ctl.level = level;
+
+  const duck = (el) => {
+    if (!ctl.volumes.has(el)) ctl.volumes.set(el, el.volume);
+    el.volume = ctl.volumes.get(el) * ctl.level;
+  };
+  const pause = (el) => {
+    if (el.paused) return;
+    el.pause();
+    ctl.paused.add(el);
+  };
+
+  for (const el of document.querySelectorAll('audio, video')) {
+    if (action === 'pause') pause(el);
+    else duck(el);
+  }
+
+  // Media that starts later: duck it too, and stop autoplay (no user gesture)
+  if (!ctl.onPlay) {
+    ctl.onPlay = (e) => {
+      const el = e.target;
+      if (!(el instanceof HTMLMediaElement) || !ctl.action) return;
+      const userStarted = navigator.userActivation?.isActive;
+      if (!userStarted && (ctl.action === 'pause' || el instanceof HTMLVideoElement)) {
+        pause(el);
+        return;
+      }
+      if (ctl.action === 'duck') duck(el);
+    };
+    document.addEventListener('play', ctl.onPlay, true);
+  }
+  return true;
+}
+
+function restoreInPage() {
+  const ctl = window.__tabithaDuck;
+  if (!ctl) return false;
+  document.removeEventListener('play', ctl.onPlay, true);
+  for (const [el, volume] of ctl.volumes) {
+    try { el.volume = volume; } catch { /* element gone */ }
+  }
+  for (const el of ctl.paused) {
+    if (el.isConnected) el.play().catch(() => {});
+  }
+  delete window.__tabithaDuck;
+  return true;
+}
+
+async function runInTab(tabId, func, args = []) {
+  try {
+    await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func, args });
+    return true;
+  } catch (err) {
+    // chrome:// pages, the Web Store, tabs that closed...
+    log(`Couldn't script tab ${tabId}:`, err?.message || err);
+    return false;
+  }
+}
+
+// ============================================================================
+// LEDGER (duckedByTabitha, persisted with the session state)
+// ============================================================================
+
+/**
+ * Duck or pause a tab's media. Returns false if the page can't be scripted,
+ * so the caller can fall back to a plain mute.
+ */
+export async function duckTab(tabId, action, reason) {
+  const ok = await runInTab(tabId, applyInPage, [action, state.settings.duckLevel]);
+  if (!ok) return false;
+  state.duckedByTabitha[tabId] = { action, reason, at: Date.now() };
+  persistSessionState();
+  log(`${action === MUTE_ACTIONS.PAUSE ? 'Paused' : 'Ducked'} tab ${tabId}`);
+  return true;
+}
+
+export async function restoreDuckedTab(tabId) {
+  if (!state.duckedByTabitha[tabId]) return false;
+  delete state.duckedByTabitha[tabId];
+  persistSessionState();
+  return runInTab(tabId, restoreInPage);
+}
+
+export async function restoreAllDucked() {
+  const ids = Object.keys(state.duckedByTabitha).map(Number);
+  for (const id of ids) await restoreDuckedTab(id);
+  if (ids.length) log(`Restored ${ids.length} ducked/paused tab(s)`);
+}
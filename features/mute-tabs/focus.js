@@ -0,0 +1,246 @@
+// Mute Tabs - Focus sessions
+// Quiet time that isn't tied to a meeting: started from a timer ("focus for
+// 45 minutes") or from recurring quiet-hour schedules. Reuses the meeting
+// auto-mute machinery and can optionally discard distracting tabs.
+
+import { state, persistSessionState, hydrateSessionState } from './state.js';
+import { safeAutoMute, unmuteAllAutoMuted } from './core.js';
+import { isBuzzyTab } from './rules.js';
+import { getPolicy, POLICIES } from './policies.js';
+import { showFocusNotification } from './notifications.js';
+
+const log = (...a) => console.log("[Tabitha::mute-focus]", ...a);
+
+const SCHEDULES_KEY = 'focusSchedules';
+export const ALARM_FOCUS_END = 'focusEnd';
+export const ALARM_FOCUS_SCHEDULE = 'focusScheduleCheck';
+
+export const DEFAULT_FOCUS_MINUTES = 45;
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+export function getFocusStatus() {
+  const f = state.focus;
+  if (!f) return { active: false };
+  return {
+    active: true,
+    source: f.source,
+    startedAt: f.startedAt,
+    endsAt: f.endsAt,
+    discard: f.discard,
+    discardedCount: f.discardedTabIds.length
+  };
+}
+
+/**
+ * Start a focus session. Options: { minutes, endsAt, discard, source, scheduleId }
+ */
+export async function startFocus(opts = {}) {
+  await hydrateSessionState();
+  const now = Date.now();
+  const endsAt = opts.endsAt || now + Math.max(1, Number(opts.minutes) || DEFAULT_FOCUS_MINUTES) * 60 * 1000;
+
+  if (state.focus) {
+    // Already focusing: just move the finish line
+    state.focus.endsAt = Math.max(state.focus.endsAt, endsAt);
+  } else {
+    state.focus = {
+      source: opts.source || 'timer',
+      scheduleId: opts.scheduleId || null,
+      startedAt: now,
+      endsAt,
+      discard: !!opts.discard,
+      discardedTabIds: []
+    };
+    log(`Focus started (${state.focus.source}) until ${new Date(endsAt).toISOString()}`);
+    await safeAutoMute();
+    if (state.focus.discard) await discardDistractingTabs();
+    showFocusNotification(true, getFocusStatus());
+  }
+
+  persistSessionState();
+  chrome.alarms.create(ALARM_FOCUS_END, { when: state.focus.endsAt });
+  return { ok: true, focus: getFocusStatus() };
+}
+
+export async function extendFocus(minutes = 15) {
+  await hydrateSessionState();
+  if (!state.focus) return { ok: false, error: 'no_focus_session' };
+  state.focus.endsAt += minutes * 60 * 1000;
+  persistSessionState();
+  chrome.alarms.create(ALARM_FOCUS_END, { when: state.focus.endsAt });
+  return { ok: true, focus: getFocusStatus() };
+}
+
+/**
+ * End the focus session and put everything back the way it was
+ */
+export async function stopFocus({ reason = 'ended' } = {}) {
+  await hydrateSessionState();
+  const f = state.focus;
+  if (!f) return { ok: false, error: 'no_focus_session' };
+  state.focus = null;
+  chrome.alarms.clear(ALARM_FOCUS_END);
+
+  // A scheduled session the user stopped by hand stays off until its window ends
+  if (reason === 'user' && f.source === 'schedule') {
+    state.focusDismissedUntil = f.endsAt;
+  }
+
+  // If a meeting is still on, the tabs stay quiet for it; when it ends,
+  // handleMeetingEnded() brings ducked tabs back and the nudge offers to
+  // unmute the rest. Otherwise unmute and un-duck everything now.
+  if (!state.meetingTabId) await unmuteAllAutoMuted(); // also restores ducked / paused tabs
+  const restored = await restoreDiscardedTabs(f.discardedTabIds);
+  persistSessionState();
+
+  log(`Focus ended (${reason}), restored ${restored} discarded tab(s)`);
+  showFocusNotification(false, { restoredCount: restored });
+  return { ok: true, restoredCount: restored };
+}
+
+async function discardDistractingTabs() {
+  for (const t of state.tabs.values()) {
+    if (t.id == null || t.active || t.audible || t.id === state.meetingTabId) continue; // discard(undefined) picks a tab itself
+    if (getPolicy(t.url) === POLICIES.NEVER) continue;
+    if (!isBuzzyTab(t)) continue;
+    try {
+      // discard() may hand back a tab with a new id
+      const discarded = await chrome.tabs.discard(t.id);
+      state.focus.discardedTabIds.push(discarded?.id ?? t.id);
+    } catch (err) {
+      log(`Failed to discard tab ${t.id}:`, err);
+    }
+  }
+}
+
+async function restoreDiscardedTabs(tabIds) {
+  let restored = 0;
+  for (const id of tabIds) {
+    try {
+      const tab = await chrome.tabs.get(id);
+      if (tab.discarded) await chrome.tabs.reload(id);
+      restored++;
+    } catch {
+      // Closed during the session
+    }
+  }
+  return restored;
+}
+
+// ============================================================================
+// QUIET-HOUR SCHEDULES (chrome.storage.sync)
+// ============================================================================
+// { id, days: [0-6], start: "HH:MM", end: "HH:MM", discard, enabled }
+
+export async function loadFocusSchedules() {
+  try {
+    const { [SCHEDULES_KEY]: stored } = await chrome.storage.sync.get(SCHEDULES_KEY);
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    log('Failed to load focus schedules:', err);
+    return [];
+  }
+}
+
+function parseHHMM(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  if (!m || +m[1] > 23 || +m[2] > 59) return null;
+  return +m[1] * 60 + +m[2];
+}
+
+export async function saveFocusSchedules(schedules) {
+  if (!Array.isArray(schedules)) return { ok: false, error: 'invalid_schedules' };
+  const clean = [];
+  for (const s of schedules) {
+    const start = parseHHMM(s.start);
+    const end = parseHHMM(s.end);
+    const days = (s.days || []).map(Number).filter(d => d >= 0 && d <= 6);
+    if (start === null || end === null || start === end || !days.length) {
+      return { ok: false, error: 'invalid_schedule' };
+    }
+    clean.push({
+      id: s.id || `focus-${Date.now()}-${clean.length}`,
+      days,
+      start: s.start,
+      end: s.end,
+      discard: !!s.discard,
+      enabled: s.enabled !== false
+    });
+  }
+  await chrome.storage.sync.set({ [SCHEDULES_KEY]: clean });
+  await checkFocusSchedules();
+  return { ok: true, schedules: clean };
+}
+
+/**
+ * If `now` falls inside a schedule window, return { schedule, endsAt }.
+ * Windows may cross midnight (e.g. 22:00–07:00 starting on the listed day).
+ */
+function activeWindow(schedules, now = new Date()) {
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const today = now.getDay();
+  const yesterday = (today + 6) % 7;
+
+  for (const s of schedules) {
+    if (!s.enabled) continue;
+    const start = parseHHMM(s.start);
+    const end = parseHHMM(s.end);
+    const endDate = new Date(now);
+    endDate.setSeconds(0, 0);
+
+    if (start < end) {
+      if (s.days.includes(today) && minutes >= start && minutes < end) {
+        endDate.setHours(0, end);
+        return { schedule: s, endsAt: endDate.getTime() };
+      }
+    } else {
+      if (s.days.includes(today) && minutes >= start) {
+        endDate.setDate(endDate.getDate() + 1);
+        endDate.setHours(0, end);
+        return { schedule: s, endsAt: endDate.getTime() };
+      }
+      if (s.days.includes(yesterday) && minutes < end) {
+        endDate.setHours(0, end);
+        return { schedule: s, endsAt: endDate.getTime() };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Start or stop scheduled focus sessions; runs every minute
+ */
+export async function checkFocusSchedules() {
+  await hydrateSessionState(); // runs at module load, so maybe on a freshly woken worker
+  const schedules = await loadFocusSchedules();
+  const win = activeWindow(schedules);
+  const now = Date.now();
+
+  if (state.focusDismissedUntil && now >= state.focusDismissedUntil) {
+    state.focusDismissedUntil = null;
+  }
+
+  if (win && !state.focus && !state.focusDismissedUntil) {
+    await startFocus({ source: 'schedule', scheduleId: win.schedule.id, endsAt: win.endsAt, discard: win.schedule.discard });
+  } else if (!win && state.focus?.source === 'schedule') {
+    await stopFocus({ reason: 'schedule' });
+  }
+}
+
+/**
+ * Handle focus alarms. Returns true when the alarm was ours.
+ */
+export async function handleFocusAlarm(alarm) {
+  if (alarm.name !== ALARM_FOCUS_END && alarm.name !== ALARM_FOCUS_SCHEDULE) return false;
+  await hydrateSessionState(); // alarms can wake an evicted worker
+  if (alarm.name === ALARM_FOCUS_END) {
+    if (state.focus && Date.now() >= state.focus.endsAt - 1000) await stopFocus({ reason: 'timer' });
+    return true;
+  }
+  await checkFocusSchedules();
+  return true;
+}
@@ -0,0 +1,146 @@
+// Mute Tabs - Meeting history log
+// Records what happened during each meeting (who got muted, by whom, and how
+// many sounds we swallowed) so noisy sites can be spotted and policies tuned.
+
+import { state, persistSessionState } from './state.js';
+import { getDomain } from '../../shared/utils.js';
+import { getSetting } from '../../shared/settings.js';
+
+const log = (...a) => console.log("[Tabitha::mute-history]", ...a);
+
+const HISTORY_KEY = 'tabitha_meetingHistory';
+const MAX_SESSIONS = 100;
+
+// ============================================================================
+// CURRENT SESSION (lives in state.meetingLog, persisted with the session state)
+// ============================================================================
+
+export function startMeetingLog(tab) {
+  if (state.meetingLog || !getSetting('privacy.meetingHistory')) return;
+  state.meetingLog = {
+    id: `meeting-${Date.now()}`,
+    startedAt: Date.now(),
+    endedAt: null,
+    meetingDomain: getDomain(tab?.url || ''),
+    meetingTitle: tab?.title || '',
+    calendarEvent: state.armedMeeting?.summary || null,
+    autoMuted: [],   // [{ tabId, domain, title, reason, at }]
+    userMuted: [],   // [{ tabId, domain, title, at }]
+    suppressed: {}   // domain -> sounds that started while we had the tab muted
+  };
+  persistSessionState();
+  log('Meeting log started:', state.meetingLog.meetingDomain);
+}
+
+export function recordAutoMute(tab, reason) {
+  const entry = state.meetingLog;
+  if (!entry) return;
+  if (entry.autoMuted.some(m => m.tabId === tab.id)) return;
+  entry.autoMuted.push({ tabId: tab.id, domain: getDomain(tab.url || ''), title: tab.title || '', reason, at: Date.now() });
+  persistSessionState();
+}
+
+export function recordUserMute(tab) {
+  const entry = state.meetingLog;
+  if (!entry || !tab) return;
+  entry.userMuted.push({ tabId: tab.id, domain: getDomain(tab.url || ''), title: tab.title || '', at: Date.now() });
+  persistSessionState();
+}
+
+// Called when a tab we muted starts making sound again
+export function recordSuppressedSound(tab) {
+  const entry = state.meetingLog;
+  if (!entry || !tab) return;
+  const domain = getDomain(tab.url || '') || 'unknown';
+  entry.suppressed[domain] = (entry.suppressed[domain] || 0) + 1;
+  persistSessionState();
+}
+
+/**
+ * Close the current session and append it to the stored history
+ */
+export async function endMeetingLog() {
+  const entry = state.meetingLog;
+  if (!entry) return;
+  state.meetingLog = null;
+  persistSessionState();
+  entry.endedAt = Date.now();
+
+  try {
+    const history = await loadHistory();
+    history.unshift(entry);
+    await chrome.storage.local.set({ [HISTORY_KEY]: history.slice(0, MAX_SESSIONS) });
+    log(`Meeting log saved (${Math.round((entry.endedAt - entry.startedAt) / 60000)} min)`);
+  } catch (err) {
+    log('Failed to save meeting log:', err);
+  }
+}
+
+// ============================================================================
+// HISTORY + NOISE REPORT
+// ============================================================================
+
+async function loadHistory() {
+  const result = await chrome.storage.local.get([HISTORY_KEY]);
+  return result[HISTORY_KEY] || [];
+}
+
+function summarizeSession(s) {
+  const suppressedCount = Object.values(s.suppressed || {}).reduce((a, b) => a + b, 0);
+  return {
+    id: s.id,
+    startedAt: s.startedAt,
+    endedAt: s.endedAt,
+    durationMinutes: Math.round(((s.endedAt || Date.now()) - s.startedAt) / 60000),
+    meetingDomain: s.meetingDomain,
+    meetingTitle: s.meetingTitle,
+    calendarEvent: s.calendarEvent,
+    autoMuted: s.autoMuted,
+    userMuted: s.userMuted,
+    suppressed: s.suppressed,
+    suppressedCount
+  };
+}
+
+/**
+ * Per-domain interruption totals across sessions, noisiest first
+ */
+export function buildNoiseReport(sessions) {
+  const byDomain = new Map();
+  const row = (domain) => {
+    if (!byDomain.has(domain)) {
+      byDomain.set(domain, { domain, meetings: 0, autoMuted: 0, userMuted: 0, suppressed: 0, _seen: null });
+    }
+    return byDomain.get(domain);
+  };
+  const touch = (r, sessionId) => {
+    if (r._seen !== sessionId) { r.meetings++; r._seen = sessionId; }
+  };
+
+  for (const s of sessions) {
+    for (const m of s.autoMuted || []) { const r = row(m.domain); r.autoMuted++; touch(r, s.id); }
+    for (const m of s.userMuted || []) { const r = row(m.domain); r.userMuted++; touch(r, s.id); }
+    for (const [domain, n] of Object.entries(s.suppressed || {})) { const r = row(domain); r.suppressed += n; touch(r, s.id); }
+  }
+
+  return Array.from(byDomain.values())
+    .filter(r => r.domain)
+    .map(({ _seen, ...r }) => ({ ...r, interruptions: r.userMuted + r.suppressed }))
+    .sort((a, b) => b.interruptions - a.interruptions || b.autoMuted - a.autoMuted);
+}
+
+export async function getMeetingHistory(limit = 20) {
+  const history = await loadHistory();
+  return {
+    ok: true,
+    current: state.meetingLog ? summarizeSession(state.meetingLog) : null,
+    sessions: history.slice(0, limit).map(summarizeSession),
+    report: buildNoiseReport(history),
+    totalSessions: history.length
+  };
+}
+
+export async function clearMeetingHistory() {
+  await chrome.storage.local.remove(HISTORY_KEY);
+  return { ok: true };
+}
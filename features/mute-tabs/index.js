@@ -1,9 +1,15 @@
 // Mute Tabs feature entry point
-import { state, isMeetingTabLike, saveSettings } from './state.js';
-import { refreshAllTabs, detectMeeting, autoMuteForMeeting, safeAutoMute, computeNoiseSituation, unmuteAllAutoMuted, loadSettings } from './core.js';
-import { showMeetingNudgeNotification, setupNotificationHandlers } from './notifications.js';
+import { state, saveSettings, persistSessionState, hydrateSessionState, markAutoMuted, forgetAutoMuted } from './state.js';
+import { isBuzzyTab, loadRules, watchRules, getRules, addRule, removeRule, updateRule, resetRules } from './rules.js';
+import { refreshAllTabs, detectMeeting, autoMuteForMeeting, safeAutoMute, computeNoiseSituation, unmuteAllAutoMuted, loadSettings, watchSettings, enforceAlwaysMutePolicies, noteUserUnmuted, handleMeetingEnded, getMeetingTabs, setMeetingPriority, updateCallSignal, clearCallSignal } from './core.js';
+import { startFocus, stopFocus, extendFocus, getFocusStatus, loadFocusSchedules, saveFocusSchedules, checkFocusSchedules, handleFocusAlarm, ALARM_FOCUS_SCHEDULE } from './focus.js';
+import { recordUserMute, recordSuppressedSound, getMeetingHistory, clearMeetingHistory } from './history.js';
+import { getPolicyForUrl, loadPolicies, watchPolicies, listPolicies, setPolicy, POLICIES, POLICY_LABELS } from './policies.js';
+import { loadMuteActions, watchMuteActions, listMuteActions, setMuteAction, setDuckLevel, restoreDuckedTab, MUTE_ACTIONS } from './ducking.js';
+import { exportMuteConfig, importMuteConfig } from './backup.js';
+import { showMeetingNudgeNotification, setupNotificationHandlers, getNudgeSettings, setNudgeQuiet, snoozeNudges, neverNudgeForMeeting, forgetNeverNudge } from './notifications.js';
+import { handleCalendarAlarm, scheduleCalendarAlarms, getUpcomingMeeting, importCalendarText, addCalendarUrl, refreshCalendarUrls, removeCalendarSource, listCalendarSources, ALARM_REFRESH, ALARM_DISARM } from './calendar.js';
 import { getDomain } from '../../shared/utils.js';
-import { BUZZY_DOMAINS_DEFAULT } from '../../shared/config.js';
 import { log } from '../../shared/utils.js';
 
 // meetingNotified is now managed in core.js
@@ -12,19 +18,47 @@ import { getMeetingNotified, setMeetingNotified } from './core.js';
 // Setup notification handlers
 setupNotificationHandlers(autoMuteForMeeting);
 
+// " · mic off · camera on" when the meeting site exposes it
+function describeCall(call) {
+  if (!call) return "";
+  const parts = [];
+  if (call.micMuted !== null) parts.push(call.micMuted ? "mic off" : "mic on");
+  if (call.cameraOff !== null) parts.push(call.cameraOff ? "camera off" : "camera on");
+  return parts.map(p => ` · ${p}`).join("");
+}
+
 // Event listeners
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (!state.tabs.has(tabId)) state.tabs.set(tabId, {});
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  await hydrateSessionState(); // any tab event can wake an evicted worker
+  if (!state.tabs.has(tabId)) state.tabs.set(tabId, { id: tabId });
   const entry = state.tabs.get(tabId);
   if ("title" in changeInfo) entry.title = changeInfo.title;
   if ("url" in changeInfo) entry.url = changeInfo.url;
   if ("audible" in changeInfo) entry.audible = !!changeInfo.audible;
   if ("mutedInfo" in changeInfo) entry.muted = !!(changeInfo.mutedInfo && changeInfo.mutedInfo.muted);
+  // Full page load: the new page's content script reports afresh (if it's a meeting site)
+  if (changeInfo.status === 'loading') clearCallSignal(tabId);
+
+  // Meeting history: sounds we swallowed, and mutes the user did from Chrome's tab UI
+  if (changeInfo.audible && entry.muted && state.mutedByTabitha.has(tabId)) {
+    recordSuppressedSound(entry);
+  }
+  if (changeInfo.mutedInfo?.muted && changeInfo.mutedInfo.reason === 'user' && state.meetingTabId) {
+    recordUserMute({ ...entry, id: tabId });
+  }
 
   // Re-check meeting
   const meetingChanged = detectMeeting();
   if (meetingChanged && state.meetingTabId && state.settings.autoMuteDuringMeetings) {
     autoMuteForMeeting();
+  } else if (meetingChanged && !state.meetingTabId) {
+    handleMeetingEnded();
+  }
+  // Unmuted by hand from Chrome's tab UI: don't mute it straight back
+  if (changeInfo.mutedInfo && !changeInfo.mutedInfo.muted && changeInfo.mutedInfo.reason === 'user') {
+    noteUserUnmuted(tabId, entry.url ?? tab?.url);
+  } else if ("url" in changeInfo || "mutedInfo" in changeInfo) {
+    enforceAlwaysMutePolicies();
   }
 });
 
@@ -33,10 +67,16 @@ chrome.tabs.onActivated.addListener(async () => {
   // Meeting detection and notification handled in refreshAllTabs()
 });
 
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await hydrateSessionState(); // closing a tab can wake an evicted worker
   state.tabs.delete(tabId);
-  state.mutedByTabitha.delete(tabId);
-  if (state.meetingTabId === tabId) state.meetingTabId = null;
+  const wasMeeting = state.meetingTabIds.includes(tabId);
+  delete state.callSignals[tabId];
+  delete state.duckedByTabitha[tabId];
+  delete state.userUnmuted[tabId];
+  await forgetAutoMuted(tabId); // also persists the session state
+  // Closing a meeting tab hands off to the next meeting, or ends the meeting
+  if (wasMeeting) refreshAllTabs();
 });
 
 chrome.windows.onFocusChanged.addListener(async () => {
@@ -62,24 +102,49 @@ chrome.alarms.create('muteHeartbeat', { periodInMinutes: 1 });
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === 'muteHeartbeat') {
     await refreshAllTabs();
+    return;
+  }
+  if (await handleFocusAlarm(alarm)) return;
+  if (await handleCalendarAlarm(alarm)) {
+    await refreshAllTabs();
+    // Scheduled meeting ended without a call tab ever going live
+    if (alarm.name === ALARM_DISARM && !state.meetingTabId && state.mutedByTabitha.size) {
+      showMeetingNudgeNotification(false);
+    }
   }
 });
 
-// Load settings on startup
+// Focus: check quiet-hour schedules every minute
+chrome.alarms.create(ALARM_FOCUS_SCHEDULE, { periodInMinutes: 1 });
+checkFocusSchedules();
+
+// Calendar: hourly refresh of ICS URLs, and schedule the next pre-arm
+chrome.alarms.create(ALARM_REFRESH, { periodInMinutes: 60 });
+scheduleCalendarAlarms();
+
+// Load settings and site rules on startup
 loadSettings();
+watchSettings();
+loadRules();
+watchRules();
+loadPolicies();
+watchPolicies();
+loadMuteActions();
+watchMuteActions();
 
 // Message handlers
-export function handleMuteTabsMessage(msg) {
+export function handleMuteTabsMessage(msg, sender) {
   switch (msg.type) {
     case "GET_SETTINGS":
-      return Promise.resolve({ ok: true, settings: state.settings });
+      return loadSettings().then(() => ({ ok: true, settings: state.settings }));
 
     case "TOGGLE_AUTOMUTE":
       state.settings.autoMuteDuringMeetings = !!msg.enabled;
       return saveSettings().then(() => ({ ok: true, settings: state.settings }));
 
     case "GET_DASHBOARD":
-      return refreshAllTabs().then(() => {
+      return refreshAllTabs().then(async () => {
+        const upcomingMeeting = await getUpcomingMeeting().catch(() => null);
         const meetingId = state.meetingTabId;
         const sounding = [];
         const silent = [];
@@ -92,27 +157,55 @@ export function handleMuteTabsMessage(msg) {
             audible: t.audible,
             muted: t.muted,
             meeting: t.id === meetingId,
+            secondaryMeeting: t.id !== meetingId && state.meetingTabIds.includes(t.id),
+            policy: getPolicyForUrl(t.url)?.policy || null,
             label: ""
           };
+          const policyLabel = entry.policy ? POLICY_LABELS[entry.policy] : null;
+          const call = state.callSignals[t.id];
+          if (call && (entry.meeting || entry.secondaryMeeting)) {
+            entry.call = { micMuted: call.micMuted, cameraOff: call.cameraOff };
+          }
           if (entry.meeting) {
-            entry.label = "Priority tab (meeting) — Keep Live";
+            entry.label = "Priority tab (meeting) — Keep Live" + describeCall(call);
             sounding.unshift(entry);
             continue;
           }
+          if (entry.secondaryMeeting) {
+            entry.label = t.muted ? "Other meeting — Muted (not priority)" : "Other meeting";
+            (t.muted ? silent : sounding).push(entry);
+            continue;
+          }
+          const ducked = state.duckedByTabitha[t.id];
+          if (ducked && !t.muted) {
+            entry.ducked = ducked.action;
+            entry.label = ducked.action === MUTE_ACTIONS.PAUSE
+              ? "Paused by Tabitha"
+              : `Turned down by Tabitha (${Math.round(state.settings.duckLevel * 100)}%)`;
+            silent.push(entry);
+            continue;
+          }
           if (t.audible && !t.muted) {
-            entry.label = "Sounding";
+            entry.label = entry.policy === POLICIES.NEVER ? "Sounding (never mute policy)" : "Sounding";
             sounding.push(entry);
             continue;
           }
           if (t.muted) {
-            entry.label = state.mutedByTabitha.has(t.id)
-              ? "Muted by Tabitha (auto)"
-              : "Muted by user";
+            const reason = state.autoMuteReasons[t.id] || '';
+            entry.label = !state.mutedByTabitha.has(t.id)
+              ? "Muted by user"
+              : reason.startsWith('policy:')
+                ? `Muted by Tabitha (policy: ${policyLabel || reason.slice(7)})`
+                : "Muted by Tabitha (auto)";
+            silent.push(entry);
+            continue;
+          }
+          if (entry.policy === POLICIES.MEETING) {
+            entry.label = `Quiet (policy: ${policyLabel})`;
             silent.push(entry);
             continue;
           }
-          const domain = entry.domain;
-          if (BUZZY_DOMAINS_DEFAULT.includes(domain) || state.autoMutePreferredDomains.has(domain)) {
+          if (entry.policy !== POLICIES.NEVER && isBuzzyTab(t)) {
             entry.label = "Quiet (likely to chime)";
             silent.push(entry);
           }
@@ -120,50 +213,167 @@ export function handleMuteTabsMessage(msg) {
         return {
           ok: true,
           meeting: meetingId,
+          meetings: getMeetingTabs(),
           summary: {
             soundingCount: sounding.filter(x => x.audible && !x.muted).length,
             mutedByTabithaCount: Array.from(state.mutedByTabitha).length
           },
           sounding,
           silent,
-          autoMuteDuringMeetings: state.settings.autoMuteDuringMeetings
+          autoMuteDuringMeetings: state.settings.autoMuteDuringMeetings,
+          upcomingMeeting,
+          focus: getFocusStatus()
         };
       });
 
+    case "GET_MUTE_RULES":
+      return Promise.resolve({ ok: true, rules: getRules() });
+
+    case "ADD_MUTE_RULE":
+      return addRule(msg.kind, msg.pattern);
+
+    case "REMOVE_MUTE_RULE":
+      return removeRule(msg.kind, msg.pattern);
+
+    case "UPDATE_MUTE_RULE":
+      return updateRule(msg.kind, msg.oldPattern, msg.pattern);
+
+    case "RESET_MUTE_RULES":
+      return resetRules(msg.kind);
+
+    case "GET_CALENDARS":
+      return listCalendarSources().then(sources => ({ ok: true, sources }));
+
+    case "IMPORT_CALENDAR_ICS":
+      if (!msg.text) return Promise.resolve({ ok: false, error: 'missing_text' });
+      return importCalendarText(msg.name, msg.text);
+
+    case "ADD_CALENDAR_URL":
+      return addCalendarUrl(msg.url, msg.name);
+
+    case "REFRESH_CALENDARS":
+      return refreshCalendarUrls().then(() => ({ ok: true }));
+
+    case "REMOVE_CALENDAR":
+      return removeCalendarSource(msg.id);
+
+    case "GET_FOCUS":
+      return loadFocusSchedules().then(schedules => ({ ok: true, focus: getFocusStatus(), schedules }));
+
+    case "START_FOCUS":
+      return refreshAllTabs().then(() => startFocus({ minutes: msg.minutes, discard: msg.discard }));
+
+    case "STOP_FOCUS":
+      return stopFocus({ reason: 'user' });
+
+    case "EXTEND_FOCUS":
+      return extendFocus(Number(msg.minutes) || 15);
+
+    case "SET_FOCUS_SCHEDULES":
+      return saveFocusSchedules(msg.schedules);
+
+    case "GET_MEETING_HISTORY":
+      return getMeetingHistory(Number(msg.limit) || 20);
+
+    case "CLEAR_MEETING_HISTORY":
+      return clearMeetingHistory();
+
+    case "MEETING_CALL_STATE": {
+      // Sent by content.js on meeting sites whenever the call state changes
+      const tabId = sender?.tab?.id;
+      if (tabId == null) return Promise.resolve({ ok: false, error: 'no_tab' });
+      const joinedOrLeft = updateCallSignal(tabId, msg);
+      if (!joinedOrLeft) return Promise.resolve({ ok: true });
+      return refreshAllTabs().then(() => ({ ok: true, meeting: state.meetingTabIds.includes(tabId) }));
+    }
+
+    case "GET_MUTE_ACTIONS":
+      return Promise.resolve({ ok: true, ...listMuteActions() });
+
+    case "SET_MUTE_ACTION":
+      return setMuteAction(msg.domain, msg.action || null);
+
+    case "SET_DUCK_LEVEL":
+      return setDuckLevel(msg.level);
+
+    case "GET_MEETINGS":
+      return refreshAllTabs().then(() => ({ ok: true, meetings: getMeetingTabs() }));
+
+    case "SET_MEETING_PRIORITY":
+      return refreshAllTabs().then(() => setMeetingPriority(Number(msg.tabId)));
+
+    case "GET_MUTE_POLICIES":
+      return Promise.resolve({ ok: true, policies: listPolicies() });
+
+    case "SET_MUTE_POLICY":
+      return setPolicy(msg.domain, msg.policy || null).then(async (res) => {
+        if (res.ok) await refreshAllTabs(); // apply "always mute" right away
+        return res;
+      });
+
     case "MUTE_TAB":
-      return chrome.tabs.update(msg.id, { muted: true }).then(() => {
-        state.mutedByTabitha.add(msg.id);
-        if (msg.byUser) state.mutedByTabitha.delete(msg.id);
+      return hydrateSessionState().then(() => chrome.tabs.update(msg.id, { muted: true })).then(async () => {
+        if (msg.byUser) {
+          await forgetAutoMuted(msg.id);
+          if (state.meetingTabId) recordUserMute({ ...state.tabs.get(msg.id), id: msg.id });
+        } else {
+          await markAutoMuted(msg.id, 'manual');
+        }
         return { ok: true };
       }).catch(err => ({ ok: false, error: String(err?.message || err) }));
 
     case "UNMUTE_TAB":
-      return chrome.tabs.update(msg.id, { muted: false }).then(() => {
-        state.mutedByTabitha.delete(msg.id);
+      return hydrateSessionState().then(() => chrome.tabs.update(msg.id, { muted: false })).then(async () => {
+        await forgetAutoMuted(msg.id);
+        noteUserUnmuted(msg.id, state.tabs.get(msg.id)?.url);
+        await restoreDuckedTab(msg.id);
         return { ok: true };
       }).catch(err => ({ ok: false, error: String(err?.message || err) }));
 
     case "USER_MUTED_DURING_MEETING":
-      const { url } = msg;
-      const domain = getDomain(url);
-      if (state.meetingTabId && domain) {
-        state.domainMuteCount[domain] = (state.domainMuteCount[domain] || 0) + 1;
-        if (state.domainMuteCount[domain] >= 3) {
-          state.autoMutePreferredDomains.add(domain);
-          return chrome.storage.local.set({
-            autoMutePreferredDomains: Array.from(state.autoMutePreferredDomains)
-          }).then(() => ({ ok: true }));
+      return hydrateSessionState().then(async () => {
+        const domain = getDomain(msg.url);
+        if (state.meetingTabId && domain && state.settings.rememberPreferences) {
+          state.domainMuteCount[domain] = (state.domainMuteCount[domain] || 0) + 1;
+          await persistSessionState();
+          if (state.domainMuteCount[domain] >= 3) {
+            state.autoMutePreferredDomains.add(domain);
+            await saveSettings();
+          }
         }
-      }
-      return Promise.resolve({ ok: true });
+        return { ok: true };
+      });
 
     case "UNMUTE_ALL_AUTOMUTED":
-      unmuteAllAutoMuted();
-      return Promise.resolve({ ok: true });
+      return unmuteAllAutoMuted().then(() => ({ ok: true }));
 
     case "AUTO_MUTE_FOR_MEETING":
       return autoMuteForMeeting().then(() => ({ ok: true }));
 
+    case "EXPORT_MUTE_CONFIG":
+      return exportMuteConfig().then(config => ({ ok: true, config }));
+
+    case "IMPORT_MUTE_CONFIG":
+      return importMuteConfig(msg.config).then(async (res) => {
+        if (res.ok) await refreshAllTabs(); // new policies/rules apply right away
+        return res;
+      });
+
+    case "GET_NUDGE_SETTINGS":
+      return refreshAllTabs().then(() => ({ ok: true, nudge: getNudgeSettings() }));
+
+    case "SET_NUDGE_QUIET":
+      return setNudgeQuiet(msg.enabled);
+
+    case "SNOOZE_NUDGES":
+      return snoozeNudges(msg.minutes);
+
+    case "NEVER_NUDGE_MEETING":
+      return neverNudgeForMeeting(msg.url);
+
+    case "FORGET_NEVER_NUDGE":
+      return forgetNeverNudge(msg.key);
+
     case "TEST_NOTIFICATION":
       log("Testing notification from popup...");
       showMeetingNudgeNotification(true);
@@ -1,11 +1,120 @@
 // Mute Tabs notifications
-import { state } from './state.js';
+import { state, hydrateSessionState, saveSettings } from './state.js';
 import { log } from '../../shared/utils.js';
 import { unmuteAllAutoMuted } from './core.js';
+import { stopFocus, extendFocus } from './focus.js';
+import { meetingIdKey } from './calendar.js';
+import { clearStatusBadge } from '../../shared/badge.js';
 
 const NOTE_ID = "tabitha-meeting-note";
+const FOCUS_NOTE_ID = "tabitha-focus-note";
+
+// ============================================================================
+// NUDGE PREFERENCES (state.settings.nudge, saved with the mute settings)
+// ============================================================================
+// quiet:        badge only, never a system notification
+// snoozedUntil: no nudges at all until this timestamp
+// neverFor:     meeting keys (see calendar.meetingIdKey) we never nudge for
+
+// null when the meeting tab's URL doesn't name one meeting: "never for this
+// meeting" isn't offered then, as it would silence every call on the site
+function meetingTabKey() {
+  const tab = state.tabs.get(state.meetingTabId);
+  return tab?.url ? meetingIdKey(tab.url) : null;
+}
+
+/**
+ * Why the current meeting shouldn't be nudged ('snoozed'|'never'), or null
+ */
+export function nudgeSuppressedReason() {
+  const nudge = state.settings.nudge;
+  if (nudge.snoozedUntil && Date.now() < nudge.snoozedUntil) return 'snoozed';
+  const key = meetingTabKey();
+  if (key && nudge.neverFor.includes(key)) return 'never';
+  return null;
+}
+
+export function getNudgeSettings() {
+  const nudge = state.settings.nudge;
+  const snoozed = !!nudge.snoozedUntil && Date.now() < nudge.snoozedUntil;
+  return {
+    quiet: nudge.quiet,
+    snoozedUntil: snoozed ? nudge.snoozedUntil : null,
+    neverFor: nudge.neverFor,
+    currentMeeting: meetingTabKey()
+  };
+}
+
+export async function setNudgeQuiet(quiet) {
+  state.settings.nudge.quiet = !!quiet;
+  await saveSettings();
+  return { ok: true, nudge: getNudgeSettings() };
+}
+
+// minutes <= 0 (or missing) resumes nudges
+export async function snoozeNudges(minutes) {
+  const m = Number(minutes) || 0;
+  state.settings.nudge.snoozedUntil = m > 0 ? Date.now() + m * 60 * 1000 : null;
+  await saveSettings();
+  if (m > 0) chrome.notifications.clear(NOTE_ID);
+  return { ok: true, nudge: getNudgeSettings() };
+}
+
+/**
+ * Never nudge for a meeting URL (defaults to the current meeting tab)
+ */
+export async function neverNudgeForMeeting(url) {
+  const key = url ? meetingIdKey(url) : meetingTabKey();
+  if (!key) return { ok: false, error: 'no_meeting' };
+  const nudge = state.settings.nudge;
+  if (!nudge.neverFor.includes(key)) nudge.neverFor = [...nudge.neverFor, key];
+  await saveSettings();
+  return { ok: true, nudge: getNudgeSettings() };
+}
+
+export async function forgetNeverNudge(key) {
+  const nudge = state.settings.nudge;
+  nudge.neverFor = nudge.neverFor.filter(k => k !== key);
+  await saveSettings();
+  return { ok: true, nudge: getNudgeSettings() };
+}
+
+// Badge + popup snackbar flag: used in quiet mode and when notifications are blocked
+function showMeetingBadge(mutedCount) {
+  chrome.action.setBadgeText({ text: "MEET" });
+  chrome.action.setBadgeBackgroundColor({ color: "#0ea5e9" });
+  chrome.storage.local.set({
+    __tabithaMeetingDetected: Date.now(),
+    __tabithaMeetingMutedCount: mutedCount
+  });
+}
+
+/**
+ * Tell the user a meeting started: system notification, or the badge in
+ * quiet mode / without notification permission. Respects snoozes.
+ */
+export function nudgeMeetingStarted(counts) {
+  const suppressed = nudgeSuppressedReason();
+  if (suppressed) {
+    log(`Meeting nudge skipped (${suppressed})`);
+    return;
+  }
+  const mutedCount = (counts?.soundingCount || 0) + (counts?.likelyToChimeCount || 0);
+  if (state.settings.nudge.quiet) {
+    showMeetingBadge(mutedCount);
+    return;
+  }
+  chrome.notifications.getPermissionLevel((level) => {
+    if (level === 'granted') showMeetingNudgeNotification(true, counts);
+    else showMeetingBadge(mutedCount);
+  });
+}
 
 export function showMeetingNudgeNotification(meetingStarted, counts) {
+  if (state.settings.nudge.quiet || nudgeSuppressedReason() === 'snoozed') {
+    log("Quiet mode or snoozed; skipping system notification");
+    return;
+  }
   chrome.notifications.getPermissionLevel((level) => {
     if (level !== "granted") {
       log("Notifications not granted; skipping system notification");
@@ -17,14 +126,14 @@ export function showMeetingNudgeNotification(meetingStarted, counts) {
       const message = state.settings.autoMuteDuringMeetings
         ? `Muted ${sounding} sounding tab(s).${likely ? ` ${likely} likely to chime.` : ''}`
         : `Detected ${sounding} sounding tab(s)${likely ? ` + ${likely} likely to chime` : ''}.`;
+      const buttons = [{ title: state.settings.autoMuteDuringMeetings ? "Unmute all" : "Mute others" }];
+      if (meetingTabKey()) buttons.push({ title: "Don't ask for this meeting" });
       chrome.notifications.create(NOTE_ID, {
         type: "basic",
         iconUrl: "icons/icon128.png",
         title: "🎙️ Meeting detected",
         message,
-        buttons: state.settings.autoMuteDuringMeetings
-          ? [{ title: "Unmute all" }]
-          : [{ title: "Mute others" }, { title: "Ignore" }],
+        buttons,
         priority: 1,
         requireInteraction: true
       });
@@ -42,17 +151,65 @@ export function showMeetingNudgeNotification(meetingStarted, counts) {
   });
 }
 
+export function showFocusNotification(focusStarted, info) {
+  chrome.notifications.getPermissionLevel((level) => {
+    if (level !== "granted") {
+      // Badge-only fallback, same as meeting detection
+      if (focusStarted) {
+        chrome.action.setBadgeText({ text: "FOCUS" });
+        chrome.action.setBadgeBackgroundColor({ color: "#7B61FF" });
+      } else {
+        clearStatusBadge();
+      }
+      return;
+    }
+    if (focusStarted) {
+      const until = new Date(info?.endsAt || Date.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      const discarded = info?.discardedCount || 0;
+      chrome.notifications.create(FOCUS_NOTE_ID, {
+        type: "basic",
+        iconUrl: "icons/icon128.png",
+        title: "🎧 Focus session started",
+        message: `Noisy tabs muted until ${until}.${discarded ? ` ${discarded} distracting tab(s) put to sleep.` : ''}`,
+        buttons: [{ title: "End focus" }, { title: "+15 min" }],
+        priority: 0
+      });
+    } else {
+      const restored = info?.restoredCount || 0;
+      chrome.notifications.create(FOCUS_NOTE_ID, {
+        type: "basic",
+        iconUrl: "icons/icon128.png",
+        title: "Focus session ended",
+        message: `Sound is back on.${restored ? ` Restored ${restored} tab(s).` : ''}`,
+        priority: 0
+      });
+    }
+  });
+}
+
 export function setupNotificationHandlers(autoMuteForMeeting) {
-  chrome.notifications.onButtonClicked.addListener((notifId, btnIndex) => {
-    log("Notification button clicked:", { notifId, btnIndex, meetingTabId: state.meetingTabId });
+  chrome.notifications.onButtonClicked.addListener(async (notifId, btnIndex) => {
+    if (notifId === FOCUS_NOTE_ID) {
+      if (btnIndex === 0) await stopFocus({ reason: 'user' });
+      else await extendFocus(15);
+      chrome.notifications.clear(FOCUS_NOTE_ID);
+      return;
+    }
     if (notifId !== NOTE_ID) return;
+    await hydrateSessionState(); // clicks can wake an evicted worker
+    log("Notification button clicked:", { notifId, btnIndex, meetingTabId: state.meetingTabId });
     // Meeting started
     if (state.meetingTabId) {
-      if (!state.settings.autoMuteDuringMeetings && btnIndex === 0) {
+      if (btnIndex === 1) {
+        await neverNudgeForMeeting();
+        log("Won't nudge for this meeting again");
+      } else if (state.settings.autoMuteDuringMeetings) {
+        log("Unmuting all auto-muted tabs");
+        unmuteAllAutoMuted();
+      } else {
         log("Auto-muting for meeting");
         autoMuteForMeeting();
       }
-      // Ignore path (btnIndex === 1) does nothing
     } else {
       // Meeting ended
       if (btnIndex === 0) {
@@ -0,0 +1,100 @@
+// Mute Tabs - Per-domain mute policies
+// Explicit user choices that override the audible/buzzy heuristics.
+// Stored in chrome.storage.sync alongside the site rules.
+
+import { state } from './state.js';
+import { getDomain } from '../../shared/utils.js';
+
+const log = (...a) => console.log("[Tabitha::mute-policies]", ...a);
+
+const POLICIES_KEY = 'mutePolicies';
+
+export const POLICIES = Object.freeze({
+  MEETING: 'meeting', // always mute while a meeting is on
+  NEVER: 'never',     // never auto-mute (e.g. a music player you rely on)
+  ALWAYS: 'always'    // keep muted everywhere, meeting or not
+});
+
+export const POLICY_LABELS = {
+  [POLICIES.MEETING]: 'always mute in meetings',
+  [POLICIES.NEVER]: 'never mute',
+  [POLICIES.ALWAYS]: 'always mute'
+};
+
+const VALID = new Set(Object.values(POLICIES));
+
+function normalizeDomain(domain) {
+  return String(domain || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+}
+
+/**
+ * Policy for a URL; a policy on "youtube.com" also covers "music.youtube.com"
+ * unless the subdomain has its own entry.
+ * Returns { policy, domain } or null.
+ */
+export function getPolicyForUrl(url) {
+  const host = getDomain(url || '');
+  if (!host) return null;
+  const labels = host.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (state.policies[candidate]) return { policy: state.policies[candidate], domain: candidate };
+  }
+  return null;
+}
+
+export function getPolicy(url) {
+  return getPolicyForUrl(url)?.policy || null;
+}
+
+export async function loadPolicies() {
+  try {
+    const { [POLICIES_KEY]: stored } = await chrome.storage.sync.get(POLICIES_KEY);
+    state.policies = stored || {};
+  } catch (err) {
+    log('Failed to load mute policies:', err);
+  }
+}
+
+export function watchPolicies() {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes[POLICIES_KEY]) state.policies = changes[POLICIES_KEY].newValue || {};
+  });
+}
+
+export function listPolicies() {
+  return Object.entries(state.policies)
+    .map(([domain, policy]) => ({ domain, policy, label: POLICY_LABELS[policy] }))
+    .sort((a, b) => a.domain.localeCompare(b.domain));
+}
+
+/**
+ * Set (or clear, when policy is falsy) the policy for a domain
+ */
+export async function setPolicy(domain, policy) {
+  const d = normalizeDomain(domain);
+  if (!d || (!d.includes('.') && !d.startsWith('localhost'))) return { ok: false, error: 'invalid_domain' };
+  if (policy && !VALID.has(policy)) return { ok: false, error: 'invalid_policy' };
+
+  const next = { ...state.policies };
+  if (policy) next[d] = policy;
+  else delete next[d];
+  state.policies = next;
+  await chrome.storage.sync.set({ [POLICIES_KEY]: next });
+  return { ok: true, policies: listPolicies() };
+}
+
+/**
+ * Replace every policy (configuration import). Invalid entries are dropped.
+ */
+export async function replacePolicies(policies = {}) {
+  const next = {};
+  for (const [domain, policy] of Object.entries(policies)) {
+    const d = normalizeDomain(domain);
+    if (d && VALID.has(policy)) next[d] = policy;
+  }
+  state.policies = next;
+  await chrome.storage.sync.set({ [POLICIES_KEY]: next });
+  return { ok: true, policies: listPolicies() };
+}
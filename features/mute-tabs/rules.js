@@ -0,0 +1,188 @@
+// Mute Tabs - User-editable meeting and buzzy site rules
+// Stored in chrome.storage.sync so they follow the user across machines.
+//
+// Pattern syntax:
+//   "zoom.us"                 exact host (a leading "www." is ignored)
+//   "*.zoom.us"               the host itself and any subdomain
+//   "app.slack.com/huddle/*"  host plus a path prefix ("*" matches anything)
+
+import { state } from './state.js';
+import { MEETING_DOMAINS, BUZZY_DOMAINS_DEFAULT } from '../../shared/config.js';
+import { getDomain } from '../../shared/utils.js';
+
+const log = (...a) => console.log("[Tabitha::mute-rules]", ...a);
+
+const RULES_KEY = 'muteRules';
+export const RULE_KINDS = ['meeting', 'buzzy'];
+
+const DEFAULT_RULES = {
+  meeting: MEETING_DOMAINS,
+  buzzy: BUZZY_DOMAINS_DEFAULT
+};
+
+// ============================================================================
+// PATTERN MATCHING
+// ============================================================================
+
+/**
+ * Parse a rule pattern into { type: 'domain'|'subdomain'|'path', host, path }
+ * Returns null for anything we can't match reliably.
+ */
+export function parseRulePattern(pattern) {
+  let p = String(pattern || '').trim().toLowerCase();
+  if (!p) return null;
+  p = p.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '');
+
+  const slash = p.indexOf('/');
+  const hostPart = slash === -1 ? p : p.slice(0, slash);
+  const pathPart = slash === -1 ? '' : p.slice(slash);
+
+  const wildcard = hostPart.startsWith('*.');
+  const host = wildcard ? hostPart.slice(2) : hostPart;
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?$/.test(host)) return null;
+
+  if (pathPart && pathPart !== '/' && pathPart !== '/*') {
+    return { type: 'path', host, wildcardHost: wildcard, path: pathPart };
+  }
+  return { type: wildcard ? 'subdomain' : 'domain', host, wildcardHost: wildcard, path: '' };
+}
+
+function hostMatches(hostname, rule) {
+  if (hostname === rule.host) return true;
+  return rule.wildcardHost && hostname.endsWith(`.${rule.host}`);
+}
+
+function pathMatches(pathname, rulePath) {
+  // Glob → regex; "*" matches any run of characters
+  const re = new RegExp('^' + rulePath.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  const trimmed = rulePath.endsWith('*') ? rulePath.slice(0, -1).replace(/\/$/, '') : null;
+  return re.test(pathname) || (trimmed !== null && pathname === trimmed);
+}
+
+/**
+ * True if a URL matches a single rule pattern
+ */
+export function urlMatchesPattern(url, pattern) {
+  const rule = typeof pattern === 'string' ? parseRulePattern(pattern) : pattern;
+  if (!rule) return false;
+  let u;
+  try { u = new URL(url); } catch { return false; }
+  const hostname = u.hostname.toLowerCase().replace(/^www\./, '');
+  const hostWithPort = u.port ? `${hostname}:${u.port}` : hostname;
+  if (!hostMatches(hostname, rule) && !hostMatches(hostWithPort, rule)) return false;
+  return rule.type !== 'path' || pathMatches(u.pathname.toLowerCase(), rule.path);
+}
+
+function matchesAny(url, patterns) {
+  return patterns.some(p => urlMatchesPattern(url, p));
+}
+
+export function isMeetingTabLike(tab) {
+  return !!tab?.url && matchesAny(tab.url, state.rules.meeting);
+}
+
+/**
+ * Buzzy = matches a buzzy rule, or a domain Tabitha learned from manual mutes
+ */
+export function isBuzzyTab(tab) {
+  if (!tab?.url) return false;
+  return matchesAny(tab.url, state.rules.buzzy) || state.autoMutePreferredDomains.has(getDomain(tab.url));
+}
+
+// ============================================================================
+// STORAGE (chrome.storage.sync)
+// ============================================================================
+
+function applyRules(stored = {}) {
+  for (const kind of RULE_KINDS) {
+    state.rules[kind] = Array.isArray(stored[kind]) ? stored[kind] : [...DEFAULT_RULES[kind]];
+  }
+}
+
+export async function loadRules() {
+  try {
+    const { [RULES_KEY]: stored } = await chrome.storage.sync.get(RULES_KEY);
+    applyRules(stored);
+  } catch (err) {
+    log('Failed to load mute rules:', err);
+    applyRules();
+  }
+}
+
+async function saveRules() {
+  await chrome.storage.sync.set({
+    [RULES_KEY]: { meeting: state.rules.meeting, buzzy: state.rules.buzzy }
+  });
+}
+
+// Keep every worker/device in sync when rules change elsewhere
+export function watchRules() {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes[RULES_KEY]) applyRules(changes[RULES_KEY].newValue);
+  });
+}
+
+function normalizePattern(pattern) {
+  return String(pattern || '').trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '');
+}
+
+export function getRules() {
+  return {
+    meeting: state.rules.meeting.map(pattern => ({ pattern, ...parseRulePattern(pattern) })),
+    buzzy: state.rules.buzzy.map(pattern => ({ pattern, ...parseRulePattern(pattern) }))
+  };
+}
+
+export async function addRule(kind, pattern) {
+  if (!RULE_KINDS.includes(kind)) return { ok: false, error: 'invalid_kind' };
+  const p = normalizePattern(pattern);
+  if (!parseRulePattern(p)) return { ok: false, error: 'invalid_pattern' };
+  if (!state.rules[kind].includes(p)) {
+    state.rules[kind] = [...state.rules[kind], p];
+    await saveRules();
+  }
+  return { ok: true, rules: getRules() };
+}
+
+export async function removeRule(kind, pattern) {
+  if (!RULE_KINDS.includes(kind)) return { ok: false, error: 'invalid_kind' };
+  const before = state.rules[kind].length;
+  state.rules[kind] = state.rules[kind].filter(p => p !== pattern);
+  if (state.rules[kind].length === before) return { ok: false, error: 'not_found' };
+  await saveRules();
+  return { ok: true, rules: getRules() };
+}
+
+export async function updateRule(kind, oldPattern, pattern) {
+  if (!RULE_KINDS.includes(kind)) return { ok: false, error: 'invalid_kind' };
+  const p = normalizePattern(pattern);
+  if (!parseRulePattern(p)) return { ok: false, error: 'invalid_pattern' };
+  const idx = state.rules[kind].indexOf(oldPattern);
+  if (idx === -1) return { ok: false, error: 'not_found' };
+  const next = [...state.rules[kind]];
+  next[idx] = p;
+  state.rules[kind] = Array.from(new Set(next));
+  await saveRules();
+  return { ok: true, rules: getRules() };
+}
+
+export async function resetRules(kind) {
+  for (const k of RULE_KINDS) {
+    if (!kind || kind === k) state.rules[k] = [...DEFAULT_RULES[k]];
+  }
+  await saveRules();
+  return { ok: true, rules: getRules() };
+}
+
+/**
+ * Replace both lists at once (configuration import). Invalid patterns are dropped.
+ */
+export async function replaceRules(rules = {}) {
+  for (const kind of RULE_KINDS) {
+    if (!Array.isArray(rules[kind])) continue;
+    const clean = rules[kind].map(normalizePattern).filter(p => parseRulePattern(p));
+    state.rules[kind] = Array.from(new Set(clean));
+  }
+  await saveRules();
+  return { ok: true, rules: getRules() };
+}
@@ -1,28 +1,157 @@
 // Mute Tabs state management
 import { MEETING_DOMAINS, BUZZY_DOMAINS_DEFAULT } from '../../shared/config.js';
-import { getDomain } from '../../shared/utils.js';
+import { setSettings } from '../../shared/settings.js';
 
 export const state = {
   tabs: new Map(),             // tabId -> {id,title,url,audible,muted,active,windowId}
-  meetingTabId: null,          // current meeting tabId (or null)
+  meetingTabId: null,          // priority meeting tabId (or null) — always meetingTabIds[0]
+  meetingTabIds: [],           // every live meeting tab, highest priority first
+  meetingLastLive: {},         // tabId -> last time the meeting tab was active/audible
+  meetingPriorityTabId: null,  // meeting the user pinned as priority (wins over handoff)
+  callSignals: {},             // tabId -> { site, inCall, micMuted, cameraOff, at } from content.js
   mutedByTabitha: new Set(),   // tabIds this session auto-muted by us
+  autoMuteReasons: {},         // tabId -> why we muted it ('audible'|'buzzy'|'secondary-meeting'|'policy:<name>')
   // learned preferences (domain -> count)
   domainMuteCount: {},         // increments when user mutes during meeting
   autoMutePreferredDomains: new Set(), // domains we'll pre-mute in meetings
+  rules: {                     // user-editable site patterns (see rules.js)
+    meeting: [...MEETING_DOMAINS],
+    buzzy: [...BUZZY_DOMAINS_DEFAULT]
+  },
+  policies: {},                // domain -> 'meeting'|'never'|'always' (see policies.js)
+  muteActions: {},             // domain -> 'duck'|'pause' during meetings (see ducking.js)
+  duckedByTabitha: {},         // tabId -> { action, reason, at } for tabs we ducked/paused
+  meetingLog: null,            // running meeting-history entry (see history.js)
+  focus: null,                 // active focus session (see focus.js)
+  focusDismissedUntil: null,   // scheduled focus the user ended early stays off until then
+  userUnmuted: {},             // tabId -> domain the user unmuted by hand; "always mute" leaves it be there
+  armedMeeting: null,          // calendar event we pre-armed for {uid,summary,start,end,meetingUrl,joined}
   settings: {
-    autoMuteDuringMeetings: true
+    autoMuteDuringMeetings: true,
+    rememberPreferences: true,   // learn buzzy domains from manual mutes
+    duckLevel: 0.15,             // volume factor for ducked tabs
+    nudge: {                     // meeting notification preferences (see notifications.js)
+      quiet: false,
+      snoozedUntil: null,
+      neverFor: []
+    }
   }
 };
 
-export function isMeetingTabLike(tab) {
-  const domain = getDomain(tab.url || '');
-  return MEETING_DOMAINS.some(md => domain.includes(md));
-}
-
+// Mute settings live in the shared settings store (shared/settings.js);
+// state.settings is the worker's copy, refreshed by watchSettings() in core.js
 export function saveSettings() {
-  return chrome.storage.local.set({
-    autoMuteDuringMeetings: state.settings.autoMuteDuringMeetings,
-    autoMutePreferredDomains: Array.from(state.autoMutePreferredDomains)
+  return setSettings({
+    'mute.autoMuteDuringMeetings': state.settings.autoMuteDuringMeetings,
+    'mute.rememberPreferences': state.settings.rememberPreferences,
+    'mute.preferredDomains': Array.from(state.autoMutePreferredDomains),
+    'mute.duckLevel': state.settings.duckLevel,
+    'mute.nudge': state.settings.nudge
   });
 }
 
+
+// Session persistence: the MV3 worker can be evicted mid-meeting, so the
+// auto-mute ledger lives in chrome.storage.session (cleared on browser exit).
+const SESSION_KEY = 'tabitha_muteSession';
+let sessionHydrated = null; // Promise, resolved once per worker lifetime
+
+// Always after hydration: a write from a freshly woken worker would otherwise
+// replace the saved ledger with its empty in-memory one
+export async function persistSessionState() {
+  await hydrateSessionState();
+  return chrome.storage.session.set({
+    [SESSION_KEY]: {
+      mutedByTabitha: Array.from(state.mutedByTabitha),
+      autoMuteReasons: state.autoMuteReasons,
+      duckedByTabitha: state.duckedByTabitha,
+      meetingTabId: state.meetingTabId,
+      meetingTabIds: state.meetingTabIds,
+      meetingLastLive: state.meetingLastLive,
+      meetingPriorityTabId: state.meetingPriorityTabId,
+      callSignals: state.callSignals,
+      domainMuteCount: state.domainMuteCount,
+      armedMeeting: state.armedMeeting,
+      focus: state.focus,
+      meetingLog: state.meetingLog,
+      focusDismissedUntil: state.focusDismissedUntil,
+      userUnmuted: state.userUnmuted
+    }
+  }).catch(() => {});
+}
+
+export function hydrateSessionState() {
+  if (!sessionHydrated) {
+    sessionHydrated = (async () => {
+      try {
+        const { [SESSION_KEY]: saved } = await chrome.storage.session.get(SESSION_KEY);
+        if (!saved) return;
+        for (const id of saved.mutedByTabitha || []) state.mutedByTabitha.add(id);
+        state.autoMuteReasons = { ...(saved.autoMuteReasons || {}), ...state.autoMuteReasons };
+        state.duckedByTabitha = { ...(saved.duckedByTabitha || {}), ...state.duckedByTabitha };
+        if (state.meetingTabId === null && saved.meetingTabId != null) {
+          state.meetingTabId = saved.meetingTabId;
+        }
+        if (!state.meetingTabIds.length && saved.meetingTabIds) state.meetingTabIds = saved.meetingTabIds;
+        state.meetingLastLive = { ...(saved.meetingLastLive || {}), ...state.meetingLastLive };
+        if (state.meetingPriorityTabId === null) state.meetingPriorityTabId = saved.meetingPriorityTabId ?? null;
+        state.callSignals = { ...(saved.callSignals || {}), ...state.callSignals };
+        Object.assign(state.domainMuteCount, saved.domainMuteCount || {});
+        if (!state.armedMeeting && saved.armedMeeting) state.armedMeeting = saved.armedMeeting;
+        if (!state.focus && saved.focus) state.focus = saved.focus;
+        if (!state.meetingLog && saved.meetingLog) state.meetingLog = saved.meetingLog;
+        if (!state.focusDismissedUntil) state.focusDismissedUntil = saved.focusDismissedUntil || null;
+        state.userUnmuted = { ...(saved.userUnmuted || {}), ...state.userUnmuted };
+      } catch {}
+    })();
+  }
+  return sessionHydrated;
+}
+
+// Drop ledger entries for tabs that were closed or unmuted by hand while the
+// worker was asleep, so "Unmute all" never touches a tab we no longer own.
+export function reconcileSessionState() {
+  let changed = false;
+  for (const id of Array.from(state.mutedByTabitha)) {
+    const t = state.tabs.get(id);
+    if (!t || !t.muted) {
+      state.mutedByTabitha.delete(id);
+      delete state.autoMuteReasons[id];
+      changed = true;
+    }
+  }
+  for (const id of Object.keys(state.duckedByTabitha)) {
+    if (!state.tabs.has(Number(id))) {
+      delete state.duckedByTabitha[id];
+      changed = true;
+    }
+  }
+  for (const id of Object.keys(state.callSignals)) {
+    if (!state.tabs.has(Number(id))) {
+      delete state.callSignals[id];
+      changed = true;
+    }
+  }
+  for (const id of Object.keys(state.userUnmuted)) {
+    if (!state.tabs.has(Number(id))) {
+      delete state.userUnmuted[id];
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+// Both hydrate first, so the change isn't undone by the saved ledger merging in
+export async function markAutoMuted(tabId, reason) {
+  await hydrateSessionState();
+  state.mutedByTabitha.add(tabId);
+  state.autoMuteReasons[tabId] = reason;
+  return persistSessionState();
+}
+
+export async function forgetAutoMuted(tabId) {
+  await hydrateSessionState();
+  state.mutedByTabitha.delete(tabId);
+  delete state.autoMuteReasons[tabId];
+  return persistSessionState();
+}
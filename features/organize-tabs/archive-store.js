@@ -0,0 +1,63 @@
+// Organize Tabs - Archive storage
+// IndexedDB store for tabs closed into the archive (archive.js). One row per
+// tab: { id, url, title, favIconUrl, group: { title, color } | null,
+// archivedAt, lastUsedAt }. IndexedDB rather than chrome.storage because the
+// archive only grows until the user restores or clears it.
+
+const log = (...a) => console.log("[Tabitha::organize-archive]", ...a);
+
+const DB_NAME = 'tabitha_archive';
+const STORE = 'tabs';
+
+let db = null;
+
+function openDB() {
+  if (db) return Promise.resolve(db);
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = (e) => {
+      const store = e.target.result.createObjectStore(STORE, { keyPath: 'id' });
+      store.createIndex('byArchivedAt', 'archivedAt', { unique: false });
+      store.createIndex('byUrl', 'url', { unique: false });
+    };
+    req.onsuccess = () => {
+      db = req.result;
+      db.onclose = () => { db = null; };
+      resolve(db);
+    };
+    req.onerror = () => {
+      log('Failed to open archive database:', req.error);
+      reject(req.error);
+    };
+  });
+}
+
+// Run fn(store) in one transaction; resolves with fn's request result, if any
+async function withStore(mode, fn) {
+  const conn = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = conn.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export function putArchived(rows) {
+  if (!rows?.length) return Promise.resolve();
+  return withStore('readwrite', (store) => { for (const r of rows) store.put(r); });
+}
+
+export async function getAllArchived() {
+  return (await withStore('readonly', (store) => store.getAll())) || [];
+}
+
+export async function getArchived(ids) {
+  const wanted = new Set(ids);
+  return (await getAllArchived()).filter(r => wanted.has(r.id));
+}
+
+export function deleteArchived(ids) {
+  if (!ids?.length) return Promise.resolve();
+  return withStore('readwrite', (store) => { for (const id of ids) store.delete(id); });
+}
@@ -0,0 +1,244 @@
+// Organize Tabs - Stale tab archive
+// Tabs nobody has looked at for a while (organize.archiveAfterDays, going by
+// metadata.js focus times and Chrome's lastAccessed) can be closed into an
+// archive kept in IndexedDB (archive-store.js), then found again from chat
+// and restored one by one or all at once, back into a group of the same name.
+// With organize.archiveStale on, an alarm checks every few hours and offers
+// the current candidates in a notification; nothing is archived until the
+// user says so. Pinned, playing, active and locked-group tabs are never stale.
+
+import { isHttpLike, safeURL } from './utils.js';
+import { getLockedTabIds, isGroupLocked, noteOwnGroup } from './locks.js';
+import { loadTabMeta, getTabMeta } from './metadata.js';
+import { putArchived, getAllArchived, getArchived, deleteArchived } from './archive-store.js';
+import { getSetting, loadSettings } from '../../shared/settings.js';
+
+const log = (...a) => console.log("[Tabitha::organize-archive]", ...a);
+
+export const ALARM_ARCHIVE = 'archiveStaleTabs';
+const CHECK_EVERY_MIN = 180;
+const NOTE_ID = 'tabitha-archive';
+const PENDING_KEY = 'tabitha_archivePending';      // storage.session: tab ids the notification offered
+const SNOOZE_KEY = 'tabitha_archiveSnoozedUntil';  // storage.local: "Not now" until then
+const SNOOZE_MS = 24 * 60 * 60 * 1000;
+const ONE_DAY = 24 * 60 * 60 * 1000;
+const NOTE_ITEMS = 5;
+
+// Last time anyone looked at a tab (0 = no idea, so never stale)
+function lastUsedAt(tab, meta) {
+  const m = meta.get(tab.id);
+  return Math.max(m?.lastFocusedAt || 0, tab.lastAccessed || 0, m?.createdAt || 0);
+}
+
+function hostOf(url) {
+  return safeURL(url)?.hostname.replace(/^www\./, '') || '';
+}
+
+// ============================================================================
+// FINDING AND ARCHIVING
+// ============================================================================
+
+/**
+ * Open tabs unused for `days` days, least recently used first
+ */
+export async function findStaleTabs({ days = null } = {}) {
+  await Promise.all([loadSettings(), loadTabMeta()]);
+  const cutoff = Date.now() - (days ?? getSetting('organize.archiveAfterDays')) * ONE_DAY;
+  const [tabs, locked] = await Promise.all([chrome.tabs.query({}), getLockedTabIds()]);
+  const meta = getTabMeta();
+
+  return tabs
+    .filter(t => !t.pinned && !t.active && !t.audible && !t.incognito && isHttpLike(t.url) && !locked.has(t.id))
+    .map(t => ({ tab: t, usedAt: lastUsedAt(t, meta) }))
+    .filter(({ usedAt }) => usedAt && usedAt < cutoff)
+    .sort((a, b) => a.usedAt - b.usedAt)
+    .map(({ tab, usedAt }) => ({
+      id: tab.id,
+      windowId: tab.windowId,
+      title: tab.title || '',
+      url: tab.url,
+      favIconUrl: tab.favIconUrl || '',
+      groupId: tab.groupId,
+      lastUsedAt: usedAt
+    }));
+}
+
+/**
+ * Close tabs into the archive. Returns the archive ids of the new rows.
+ */
+export async function archiveTabs(tabIds) {
+  await loadTabMeta();
+  const meta = getTabMeta();
+  const tabs = (await Promise.all(tabIds.map(id => chrome.tabs.get(id).catch(() => null))))
+    .filter(t => t && isHttpLike(t.url) && !t.incognito);
+  if (!tabs.length) return { ok: false, error: 'no_tabs' };
+
+  const groups = new Map(); // groupId -> { title, color }
+  for (const t of tabs) {
+    if (t.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE || groups.has(t.groupId)) continue;
+    const g = await chrome.tabGroups.get(t.groupId).catch(() => null);
+    groups.set(t.groupId, g ? { title: g.title || '', color: g.color } : null);
+  }
+
+  const now = Date.now();
+  const rows = tabs.map(t => ({
+    id: `arc-${now.toString(36)}-${t.id}`,
+    url: t.url,
+    title: t.title || '',
+    favIconUrl: t.favIconUrl || '',
+    group: groups.get(t.groupId) || null,
+    archivedAt: now,
+    lastUsedAt: lastUsedAt(t, meta) || null
+  }));
+
+  await putArchived(rows); // stored before anything closes
+  await chrome.tabs.remove(tabs.map(t => t.id));
+  log(`Archived ${rows.length} tab(s)`);
+  return { ok: true, archived: rows.length, ids: rows.map(r => r.id) };
+}
+
+// ============================================================================
+// SEARCH / RESTORE
+// ============================================================================
+
+/**
+ * Archived tabs matching every word of `query` (title, site or group name),
+ * best match first; everything, newest first, for an empty query
+ */
+export async function searchArchive(query = '', { limit = 20 } = {}) {
+  const rows = await getAllArchived();
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+  const scored = rows.map(r => {
+    const title = r.title.toLowerCase();
+    const site = `${hostOf(r.url)} ${r.url.toLowerCase()}`;
+    const group = (r.group?.title || '').toLowerCase();
+    let score = 0;
+    for (const w of words) {
+      const s = (title.includes(w) ? 2 : 0) + (site.includes(w) ? 1 : 0) + (group.includes(w) ? 1 : 0);
+      if (!s) return null;
+      score += s;
+    }
+    return { row: r, score };
+  }).filter(Boolean);
+
+  scored.sort((a, b) => b.score - a.score || b.row.archivedAt - a.row.archivedAt);
+  return {
+    ok: true,
+    total: scored.length,
+    results: scored.slice(0, limit).map(({ row }) => ({ ...row, domain: hostOf(row.url) }))
+  };
+}
+
+/**
+ * Reopen archived tabs in the focused window (in the background) and take
+ * them out of the archive. Tabs archived from a group go back into an
+ * unlocked group of that name, or a new one like it.
+ */
+export async function restoreArchived(ids, { windowId = null } = {}) {
+  const rows = await getArchived(ids);
+  if (!rows.length) return { ok: false, error: 'not_found' };
+
+  const targetWindowId = windowId ?? (await chrome.windows.getLastFocused({ windowTypes: ['normal'] })).id;
+  const byGroup = new Map(); // "title|color" -> { group, tabIds }
+  const restored = [];
+  for (const r of rows) {
+    try {
+      const tab = await chrome.tabs.create({ windowId: targetWindowId, url: r.url, active: false });
+      restored.push(r.id);
+      if (!r.group) continue;
+      const key = `${r.group.title}|${r.group.color}`;
+      if (!byGroup.has(key)) byGroup.set(key, { group: r.group, tabIds: [] });
+      byGroup.get(key).tabIds.push(tab.id);
+    } catch (err) {
+      log('Failed to restore archived tab', r.url, err);
+    }
+  }
+
+  for (const { group, tabIds } of byGroup.values()) {
+    try {
+      const existing = group.title ? await chrome.tabGroups.query({ windowId: targetWindowId, title: group.title }) : [];
+      let target = null;
+      for (const g of existing) {
+        if (!(await isGroupLocked(g.id))) { target = g; break; }
+      }
+      if (target) {
+        await chrome.tabs.group({ groupId: target.id, tabIds });
+      } else {
+        const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: targetWindowId } });
+        await noteOwnGroup(groupId);
+        await chrome.tabGroups.update(groupId, { title: group.title, color: group.color });
+      }
+    } catch (err) {
+      log('Failed to regroup restored tabs', group.title, err);
+    }
+  }
+
+  await deleteArchived(restored);
+  log(`Restored ${restored.length} archived tab(s)`);
+  return { ok: restored.length > 0, restored: restored.length, ...(restored.length ? {} : { error: 'restore_failed' }) };
+}
+
+export async function removeArchived(ids) {
+  await deleteArchived(ids);
+  return { ok: true };
+}
+
+// ============================================================================
+// SCHEDULE + NOTIFICATION
+// ============================================================================
+
+/**
+ * Offer the current stale tabs in a notification (if enabled, not snoozed
+ * and there are any). The offered ids wait in session storage for a click.
+ */
+export async function offerStaleTabs() {
+  await loadSettings();
+  if (!getSetting('organize.archiveStale')) return;
+  const { [SNOOZE_KEY]: snoozedUntil } = await chrome.storage.local.get(SNOOZE_KEY);
+  if (snoozedUntil && Date.now() < snoozedUntil) return;
+
+  const stale = await findStaleTabs();
+  if (!stale.length) return;
+  await chrome.storage.session.set({ [PENDING_KEY]: stale.map(t => t.id) });
+
+  const days = getSetting('organize.archiveAfterDays');
+  chrome.notifications.getPermissionLevel((level) => {
+    if (level !== 'granted') return;
+    chrome.notifications.create(NOTE_ID, {
+      type: "list",
+      iconUrl: "icons/icon128.png",
+      title: `${stale.length} tab${stale.length === 1 ? '' : 's'} untouched for ${days}+ days`,
+      message: "Archive them? Ask Tabitha to bring any of them back.",
+      items: stale.slice(0, NOTE_ITEMS).map(t => ({ title: (t.title || hostOf(t.url)).slice(0, 60), message: hostOf(t.url) })),
+      buttons: [{ title: "Archive them" }, { title: "Not now" }],
+      priority: 0
+    });
+  });
+}
+
+async function handleArchiveNotificationButton(notifId, btnIndex) {
+  if (notifId !== NOTE_ID) return;
+  chrome.notifications.clear(NOTE_ID);
+  if (btnIndex === 1) {
+    await chrome.storage.local.set({ [SNOOZE_KEY]: Date.now() + SNOOZE_MS });
+    return;
+  }
+  // Only what was offered, and only if it's still stale (it may have been used since)
+  const { [PENDING_KEY]: pending = [] } = await chrome.storage.session.get(PENDING_KEY);
+  const stillStale = new Set((await findStaleTabs()).map(t => t.id));
+  await chrome.storage.session.remove(PENDING_KEY);
+  const ids = pending.filter(id => stillStale.has(id));
+  if (ids.length) await archiveTabs(ids);
+}
+
+export async function initArchiveSchedule() {
+  chrome.notifications.onButtonClicked.addListener(handleArchiveNotificationButton);
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === ALARM_ARCHIVE) offerStaleTabs().catch(err => log('Stale tab check failed:', err));
+  });
+  // Re-creating resets the period, so only when it's missing (first run, or cleared)
+  if (!(await chrome.alarms.get(ALARM_ARCHIVE))) {
+    chrome.alarms.create(ALARM_ARCHIVE, { delayInMinutes: 5, periodInMinutes: CHECK_EVERY_MIN });
+  }
+}
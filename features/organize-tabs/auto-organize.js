@@ -0,0 +1,172 @@
+// Organize Tabs - Keep organized
+// Opt-in (organize.keepOrganized): once a window has been organized, tabs
+// opened in it afterwards are slotted into the matching existing group using
+// the rules of the mode that ran last. Only brand-new, still-ungrouped tabs
+// are touched, and only once; anything the user drags or groups by hand
+// before we get to it is left where they put it. No new groups are created,
+// and locked groups (locks.js) never get new members.
+
+import { isHttpLike } from './utils.js';
+import { domainGroupTitle } from './by-domain.js';
+import { cachedIntentForTab, intentGroupStyle } from './by-intent.js';
+import { isGroupLocked } from './locks.js';
+import { getSetting, loadSettings } from '../../shared/settings.js';
+
+const log = (...a) => console.log("[Tabitha::organize-auto]", ...a);
+
+const MODES_KEY = 'tabitha_lastOrganizeMode';
+const DEBOUNCE_MS = 1500;
+const FRESH_FOR_MS = 10 * 60 * 1000; // a tab that hasn't loaded a page by then isn't "new" any more
+
+const freshTabs = new Map(); // tabId -> createdAt, candidates not yet handled
+const pending = new Set();   // tabIds waiting for the debounce
+let timer = null;
+
+// ============================================================================
+// LAST MODE PER WINDOW (chrome.storage.session)
+// ============================================================================
+
+let modes = null; // windowId | '*' -> mode
+
+async function loadModes() {
+  if (modes) return modes;
+  try {
+    const { [MODES_KEY]: stored } = await chrome.storage.session.get(MODES_KEY);
+    modes = stored || {};
+  } catch {
+    modes = {};
+  }
+  return modes;
+}
+
+/**
+ * Remember which mode organized a window (windowId null = every window)
+ */
+export async function rememberModeRun(windowId, mode) {
+  await loadModes();
+  if (windowId == null) modes = { '*': mode };
+  else modes[windowId] = mode;
+  chrome.storage.session.set({ [MODES_KEY]: modes }).catch(() => {});
+}
+
+async function modeForWindow(windowId) {
+  await loadModes();
+  return modes[windowId] ?? modes['*'] ?? null;
+}
+
+export async function forgetWindowMode(windowId) {
+  await loadModes();
+  if (!(windowId in modes)) return;
+  delete modes[windowId];
+  chrome.storage.session.set({ [MODES_KEY]: modes }).catch(() => {});
+}
+
+// ============================================================================
+// TAB EVENTS (wired up from metadata.js)
+// ============================================================================
+
+export function noteTabCreated(tab) {
+  if (tab.pinned) return;
+  freshTabs.set(tab.id, Date.now());
+  if (isHttpLike(tab.url || tab.pendingUrl)) queue(tab.id);
+}
+
+export function noteTabUpdated(tabId, changeInfo) {
+  if (!freshTabs.has(tabId)) return;
+  if (changeInfo.groupId !== undefined || changeInfo.pinned) {
+    // Grouped or pinned before we got to it: the user (or an organize run) decided
+    freshTabs.delete(tabId);
+    pending.delete(tabId);
+    return;
+  }
+  if (changeInfo.url || changeInfo.status === 'complete') queue(tabId);
+}
+
+// Dragged or torn off by hand before the debounce fired
+export function noteTabMoved(tabId) {
+  freshTabs.delete(tabId);
+  pending.delete(tabId);
+}
+
+export function noteTabRemoved(tabId) {
+  freshTabs.delete(tabId);
+  pending.delete(tabId);
+}
+
+function queue(tabId) {
+  pending.add(tabId);
+  clearTimeout(timer);
+  timer = setTimeout(flush, DEBOUNCE_MS);
+}
+
+// ============================================================================
+// SLOTTING
+// ============================================================================
+
+// Title of the group a tab belongs in under `mode` (null = no opinion)
+async function targetTitleFor(tab, mode) {
+  switch (mode) {
+    case 'domain':
+      return domainGroupTitle(tab.url);
+    case 'intent': {
+      const intent = await cachedIntentForTab(tab);
+      return intent ? intentGroupStyle(intent).title : null;
+    }
+    case 'activity':
+      return tab.active ? "Active Now" : "Recently Used";
+    case 'session':
+      return "Today's Flow";
+    case 'lineage': {
+      // Into the group of the tab it was opened from
+      const opener = tab.openerTabId != null ? await chrome.tabs.get(tab.openerTabId).catch(() => null) : null;
+      if (!opener || opener.windowId !== tab.windowId || opener.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) return null;
+      const group = await chrome.tabGroups.get(opener.groupId).catch(() => null);
+      return group?.title || null;
+    }
+    default:
+      return null;
+  }
+}
+
+async function flush() {
+  timer = null;
+  const ids = [...pending];
+  pending.clear();
+
+  await loadSettings();
+  if (!getSetting('organize.keepOrganized')) return;
+
+  for (const tabId of ids) {
+    const createdAt = freshTabs.get(tabId);
+    if (!createdAt) continue;
+    if (Date.now() - createdAt > FRESH_FOR_MS) {
+      freshTabs.delete(tabId);
+      continue;
+    }
+
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.pinned || tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+        freshTabs.delete(tabId);
+        continue;
+      }
+      if (!isHttpLike(tab.url)) continue; // still on the new-tab page; wait for a real URL
+
+      const mode = await modeForWindow(tab.windowId);
+      const title = mode ? await targetTitleFor(tab, mode) : null;
+      freshTabs.delete(tabId); // one try per tab, whatever the outcome
+      if (!title) continue;
+
+      const groups = await chrome.tabGroups.query({ windowId: tab.windowId, title });
+      let target = null;
+      for (const g of groups) {
+        if (!(await isGroupLocked(g.id))) { target = g; break; }
+      }
+      if (!target) continue;
+      await chrome.tabs.group({ groupId: target.id, tabIds: [tabId] });
+      log(`Slotted tab ${tabId} into "${title}" (${mode})`);
+    } catch {
+      freshTabs.delete(tabId); // closed meanwhile
+    }
+  }
+}
@@ -1,9 +1,10 @@
 // Organize Tabs - By Activity
 // Groups tabs by activity level: Active Now, Recently Used, Frequently Used
 
-import { createGroupFor, moveGroupToIndex, snapshotCurrentLayout } from './utils.js';
-import { ensureMeta, minutesSince, hoursSince, getTabMeta } from './metadata.js';
-import { setLastLayoutSnapshot } from './state.js';
+import { createGroupFor, moveGroupToIndex, buildPlanPreview } from './utils.js';
+import { ensureMeta, minutesSince, hoursSince, loadTabMeta } from './metadata.js';
+import { recordCheckpoint } from './checkpoints.js';
+import { withoutLockedTabs } from './locks.js';
 
 const ACTIVITY_CFG = {
   ACTIVE_MINUTES: 60,     // last focused within 60m
@@ -11,6 +12,7 @@ const ACTIVITY_CFG = {
   ACTIVE_CAP: 7,          // at most N tabs in Active Now
   HISTORY_LOOKBACK_DAYS: 7,
   HISTORY_MIN_VISITS: 5,
+  FREQUENT_FOCUS_COUNT: 10, // or switched to this often (tracked across restarts)
 };
 
 async function buildHistoryCounts() {
@@ -35,16 +37,18 @@ async function buildHistoryCounts() {
   return urlCount;
 }
 
-export async function organizeTabsByActivity() {
-  const win = await chrome.windows.getLastFocused({ populate: true });
+// Options as in organizeTabsByDomain()
+export async function organizeTabsByActivity({ windowId = null, checkpoint = true, preview = false } = {}) {
+  const win = windowId != null
+    ? await chrome.windows.get(windowId, { populate: true })
+    : await chrome.windows.getLastFocused({ populate: true });
   if (!win?.tabs?.length) return { ok: false, reason: "No tabs" };
   
-  const snapshot = await snapshotCurrentLayout(win.id);
-  setLastLayoutSnapshot(snapshot);
   const historyCounts = await buildHistoryCounts();
-  const tabMeta = getTabMeta();
+  await loadTabMeta();
   
-  const data = win.tabs
+  const windowTabs = await withoutLockedTabs(win.tabs); // locked groups stay as they are
+  const data = windowTabs
     .filter(t => !t.pinned)
     .map(t => {
       const meta = ensureMeta(t.id);
@@ -78,14 +82,14 @@ export async function organizeTabsByActivity() {
     }
     
     const recentWindow = lastFocus && hoursSince(lastFocus) <= ACTIVITY_CFG.RECENT_HOURS;
-    const newButNotEngaged = !meta.everFocused && minutesSince(meta.createdAt || Date.now()) <= ACTIVITY_CFG.ACTIVE_MINUTES;
+    const newButNotEngaged = !meta.everFocused && meta.createdAt && minutesSince(meta.createdAt) <= ACTIVITY_CFG.ACTIVE_MINUTES;
     
     if (recentWindow || newButNotEngaged) {
       recent.push(tab);
       continue;
     }
     
-    if (visits >= ACTIVITY_CFG.HISTORY_MIN_VISITS) {
+    if (visits >= ACTIVITY_CFG.HISTORY_MIN_VISITS || meta.focusCount >= ACTIVITY_CFG.FREQUENT_FOCUS_COUNT) {
       frequent.push(tab);
     } else {
       other.push(tab);
@@ -98,6 +102,13 @@ export async function organizeTabsByActivity() {
     { title: "Frequently Used", color: "green", tabs: frequent },
   ];
 
+  if (preview) {
+    const plan = buckets.map(b => ({ title: b.title, color: b.color, tabIds: b.tabs.map(t => t.id) }));
+    return buildPlanPreview(win.id, 'activity', plan, windowTabs);
+  }
+
+  if (checkpoint) await recordCheckpoint(win.id, 'activity');
+
   const regroupIds = buckets.flatMap(b => b.tabs.map(t => t.id));
   await Promise.all(regroupIds.map(id => chrome.tabs.ungroup(id).catch(() => {})));
 
@@ -1,58 +1,55 @@
 // Organize Tabs - By Website Domain
 // Groups tabs by their domain (e.g., all google.com tabs together)
-// Hardened version with robust domain extraction, deduplication, and async safety
+// Hardened version with public-suffix-aware domains, deduplication, and async safety
 
-import { snapshotCurrentLayout, niceDomain, pickColorForDomain, isHttpLike } from './utils.js';
-import { setLastLayoutSnapshot } from './state.js';
+import { niceDomain, pickColorForDomain, isHttpLike, buildPlanPreview } from './utils.js';
+import { recordCheckpoint } from './checkpoints.js';
+import { getGroupingDomain } from '../../shared/utils.js';
+import { getRegistrableDomain } from '../../shared/public-suffix.js';
+import { loadSettings } from '../../shared/settings.js';
+import { noteOwnGroup, withoutLockedTabs } from './locks.js';
 
 const log = (...a) => console.log("[Tabitha::organize-domain]", ...a);
 
 /**
- * Normalize hostname: lowercase, remove www., trim trailing dot
+ * Grouping key for a URL: eTLD+1 from the public suffix list, host:port for
+ * local dev servers, or the full host for domains set to split by subdomain
  */
-function normalizeHost(host) {
-  if (!host) return '';
-  return host.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+function getBaseDomain(url) {
+  return getGroupingDomain(url) || 'unknown';
 }
 
 /**
- * Extract base domain from URL (hostname only, robust parsing)
- * Handles: fragments, query params, trailing dots, multi-level TLDs
+ * Title for a grouping key. Split subdomains keep their host: niceDomain()
+ * would call docs.google.com and mail.google.com both "Google".
  */
-function getBaseDomain(url) {
-  try {
-    const u = new URL(url);
-    const hostname = normalizeHost(u.hostname);
-    if (!hostname) return 'unknown';
-    
-    const parts = hostname.split('.');
-    // Extract last 2 parts for base domain
-    if (parts.length >= 2) {
-      return parts.slice(-2).join('.');
-    }
-    return hostname; // Fallback for single-part domains
-  } catch (err) {
-    log('Failed to parse URL:', url, err);
-    return 'unknown';
-  }
+function titleForDomain(domain) {
+  return getRegistrableDomain(domain) === domain ? niceDomain(domain) : domain;
+}
+
+// Group title organizeTabsByDomain gives a URL's tabs (null if it has no domain)
+export function domainGroupTitle(url) {
+  if (!isHttpLike(url)) return null;
+  const domain = getBaseDomain(url);
+  return domain && domain !== 'unknown' ? titleForDomain(domain) : null;
 }
 
-export async function organizeTabsByDomain() {
-  const win = await chrome.windows.getCurrent();
+// windowId: organize that window instead of the current one
+// checkpoint: false when the caller already recorded one (multi-window runs)
+// preview: return the proposed groups without touching any tab
+export async function organizeTabsByDomain({ windowId = null, checkpoint = true, preview = false } = {}) {
+  await loadSettings(); // organize.splitSubdomains
+  const win = windowId != null ? await chrome.windows.get(windowId) : await chrome.windows.getCurrent();
   if (!win?.id) return { ok: false, reason: "No window" };
   
-  // Get tabs for this window
-  const allTabs = await chrome.tabs.query({ windowId: win.id });
+  // Get tabs for this window (locked groups stay out of it)
+  const allTabs = await withoutLockedTabs(await chrome.tabs.query({ windowId: win.id }));
   const tabs = allTabs.filter(t => !t.pinned && t.url?.startsWith('http'));
   
   if (tabs.length === 0) return { ok: false, reason: "No tabs" };
   
   log(`Organizing ${tabs.length} tabs by domain...`);
   
-  // Save snapshot for undo
-  const snapshot = await snapshotCurrentLayout(win.id);
-  setLastLayoutSnapshot(snapshot);
-  
   // Log domain detection for debugging
   const domainLog = tabs.map(t => {
     try {
@@ -94,6 +91,14 @@ export async function organizeTabsByDomain() {
   // Sort by size (largest first)
   const ordered = Array.from(buckets.entries()).sort((a, b) => b[1].length - a[1].length);
   
+  if (preview) {
+    const plan = ordered.map(([domain, ids]) => ({ title: titleForDomain(domain), color: pickColorForDomain(domain), tabIds: ids }));
+    return buildPlanPreview(win.id, 'domain', plan, allTabs);
+  }
+
+  // Save snapshot for undo
+  if (checkpoint) await recordCheckpoint(win.id, 'domain');
+  
   // Ungroup all tabs first (synchronously, await completion)
   const allTabIds = ordered.flatMap(([, ids]) => ids);
   const tabsToUngroup = allTabs.filter(t => t.groupId !== -1 && allTabIds.includes(t.id)).map(t => t.id);
@@ -132,9 +137,10 @@ export async function organizeTabsByDomain() {
       // Group tabs
       log(`Grouping ${ids.length} tabs for domain: ${domain}`);
       const groupId = await chrome.tabs.group({ tabIds: ids });
+      await noteOwnGroup(groupId);
       
       // Update group title and color
-      const groupTitle = niceDomain(domain);
+      const groupTitle = titleForDomain(domain);
       const color = pickColorForDomain(domain);
       await chrome.tabGroups.update(groupId, {
         title: groupTitle,
@@ -176,8 +182,9 @@ export async function organizeTabsByDomain() {
       log(`⚠️ Found ${strays.length} stray tabs for domain ${domain}, attempting to group...`);
       try {
         const groupId = await chrome.tabs.group({ tabIds: strays });
+        await noteOwnGroup(groupId);
         await chrome.tabGroups.update(groupId, {
-          title: niceDomain(domain),
+          title: titleForDomain(domain),
           color: pickColorForDomain(domain)
         });
         log(`✅ Re-grouped ${strays.length} stray tabs for ${domain}`);
@@ -225,7 +232,7 @@ export async function groupByDomain(tabs) {
     if (usedTabIds.has(t.id)) return; // Skip duplicates
     const d = getBaseDomain(t.url);
     if (!d || d === 'unknown') return;
-    if (!cluster[d]) cluster[d] = { tabIds: [], color: pickColorForDomain(d), title: niceDomain(d) };
+    if (!cluster[d]) cluster[d] = { tabIds: [], color: pickColorForDomain(d), title: titleForDomain(d) };
     cluster[d].tabIds.push(t.id);
     usedTabIds.add(t.id);
   });
@@ -3,12 +3,16 @@
 // Supports fixed intent buckets + adaptive grouping for low-confidence tabs
 // Uses URL canonicalization and deterministic intent caching to prevent duplicates
 
-import { createGroupFor, moveGroupToIndex, snapshotCurrentLayout, pickColorForName, isHttpLike } from './utils.js';
+import { createGroupFor, moveGroupToIndex, pickColorForName, isHttpLike, buildPlanPreview } from './utils.js';
 import { getBaseDomain } from '../../shared/utils.js';
-import { setLastLayoutSnapshot } from './state.js';
+import { recordCheckpoint } from './checkpoints.js';
+import { withoutLockedTabs, isGroupLocked } from './locks.js';
 import { ensureOffscreen, postToOffscreen } from '../../features/chat-for-tabs/utils.js';
-import { getTabMeta, minutesSince } from './metadata.js';
-import { canonicalizeUrl, getUrlKey, getCachedIntentForUrl, cacheIntentForUrl, getDomainOverride } from './canonical.js';
+import { getTabMeta, loadTabMeta, minutesSince } from './metadata.js';
+import { canonicalizeUrl, getUrlKey, getCachedIntentForUrl, cacheIntentForUrl, getDomainOverride, retargetIntent } from './canonical.js';
+import { getCustomBuckets, saveCustomBucket, deleteCustomBucket } from './custom-buckets.js';
+import { urlMatchesPattern } from '../mute-tabs/rules.js';
+import { loadSettings } from '../../shared/settings.js';
 
 const log = (...a) => console.log("[Tabitha::organize-intent]", ...a);
 
@@ -76,6 +80,55 @@ const INTENT_BUCKETS = {
   }
 };
 
+// Built-in buckets plus the user's own (custom-buckets.js). Custom ones come
+// first so the heuristics try them before the generic buckets.
+// Call after loadSettings().
+function allBuckets() {
+  const custom = getCustomBuckets()
+    .filter(b => !INTENT_BUCKETS[b.name])
+    .map(({ name, ...b }) => [name, { ...b, custom: true }]);
+  return { ...Object.fromEntries(custom), ...INTENT_BUCKETS };
+}
+
+/**
+ * Bucket names and looks, for the options page
+ */
+export async function listIntentBuckets() {
+  await loadSettings();
+  return Object.entries(allBuckets()).map(([name, b]) => ({
+    name,
+    emoji: b.emoji,
+    color: b.color,
+    domains: b.domains,
+    urlPatterns: b.urlPatterns || [],
+    keywords: b.keywords,
+    custom: !!b.custom
+  }));
+}
+
+/**
+ * Add or edit a custom bucket. Renaming one carries its cached
+ * classifications and domain rules over to the new name.
+ */
+export async function saveIntentBucket(bucket, previousName = null) {
+  const name = String(bucket?.name ?? '').trim();
+  if (INTENT_BUCKETS[name] || Object.keys(INTENT_BUCKETS).some(n => n.toLowerCase() === name.toLowerCase())) {
+    return { ok: false, error: 'reserved_name' };
+  }
+  const res = await saveCustomBucket(bucket, previousName);
+  if (res.ok && res.renamedFrom) await retargetIntent(res.renamedFrom, res.bucket.name);
+  return res;
+}
+
+/**
+ * Remove a custom bucket, and the rules and cached classifications into it
+ */
+export async function deleteIntentBucket(name) {
+  const res = await deleteCustomBucket(name);
+  if (res.ok) await retargetIntent(name, null);
+  return { ok: res.ok, error: res.error };
+}
+
 // Gist cache: tabId -> { gist, timestamp }
 const gistCache = new Map();
 const GIST_CACHE_TTL = 7 * 60 * 1000; // 7 minutes
@@ -90,6 +143,7 @@ const CACHE_UPDATE_THRESHOLD = 0.15; // Only update cache if score improves by t
 // Canonicalizes URLs and adds urlKey for caching
 async function prepareTabRecords(tabs) {
   const records = [];
+  await loadTabMeta();
   
   for (let i = 0; i < tabs.length; i++) {
     const tab = tabs[i];
@@ -177,7 +231,24 @@ async function fetchGistForTab(tab) {
 
 // Build classification prompt
 function buildClassificationPrompt(tabRecords, existingGroups = []) {
-  const intentList = Object.keys(INTENT_BUCKETS).filter(name => name !== "Unknown").join(", ");
+  const buckets = allBuckets();
+  const intentList = Object.keys(buckets).filter(name => name !== "Unknown").join(", ");
+
+  // The user's own buckets, with what they said belongs in them
+  const customLines = Object.entries(buckets)
+    .filter(([, b]) => b.custom)
+    .map(([name, b]) => {
+      const hints = [
+        b.domains.length ? `sites: ${b.domains.join(', ')}` : '',
+        b.urlPatterns.length ? `URLs: ${b.urlPatterns.join(', ')}` : '',
+        b.keywords.length ? `keywords: ${b.keywords.join(', ')}` : ''
+      ].filter(Boolean).join('; ');
+      return `- ${name}${hints ? ` (${hints})` : ''}`;
+    })
+    .join('\n');
+  const customText = customLines
+    ? `\nUSER-DEFINED BUCKETS (prefer these when a tab fits one):\n${customLines}\n`
+    : '';
   
   const tabLines = tabRecords.map(t => {
     const parts = [
@@ -199,7 +270,7 @@ function buildClassificationPrompt(tabRecords, existingGroups = []) {
 INTENT BUCKETS:
 ${intentList}
 Unknown (low confidence)
-
+${customText}
 OUTPUT FORMAT (JSON only, no prose):
 [
   {"index": 1, "intent": "Deep Work", "confidence": 0.92},
@@ -396,7 +467,7 @@ async function classifyLowConfidenceTabs(lowConfidenceRecords, existingGroups) {
     if (json && json.newGroups && json.assignments) {
       // Apply guardrails
       const validGroups = {};
-      const existingGroupNames = new Set(Object.keys(INTENT_BUCKETS).concat(existingGroups));
+      const existingGroupNames = new Set(Object.keys(allBuckets()).concat(existingGroups));
       
       for (const groupName of json.newGroups) {
         const tabIds = json.assignments[groupName] || [];
@@ -434,13 +505,18 @@ function classifyByHeuristics(record) {
   const url = record.url.toLowerCase();
   
   // Domain-based matching
-  for (const [intentName, bucket] of Object.entries(INTENT_BUCKETS)) {
+  for (const [intentName, bucket] of Object.entries(allBuckets())) {
     if (intentName === "Unknown" || intentName === "Misc/Unsorted") continue;
     
     // Check domain matches
     if (bucket.domains.some(d => domain.includes(d.replace(/^www\./, '')))) {
       return { intent: intentName, confidence: 0.6 };
     }
+
+    // Check URL pattern matches (custom buckets)
+    if (bucket.urlPatterns?.some(p => urlMatchesPattern(record.url, p))) {
+      return { intent: intentName, confidence: 0.6 };
+    }
     
     // Check keyword matches
     const allText = `${title} ${url}`;
@@ -453,15 +529,57 @@ function classifyByHeuristics(record) {
   return { intent: "Unknown", confidence: 0.3 };
 }
 
+// Title and color organizeByIntent gives an intent's group
+export function intentGroupStyle(intentName) {
+  const bucket = allBuckets()[intentName] || { emoji: "📁", color: pickColorForName(intentName) };
+  return {
+    title: bucket.emoji ? `${bucket.emoji} ${intentName}` : intentName,
+    color: bucket.color || 'blue'
+  };
+}
+
+/**
+ * Intent for one tab from domain overrides and the URL cache only (no AI
+ * call). Null when we'd have to ask the model.
+ */
+export async function cachedIntentForTab(tab) {
+  if (!isHttpLike(tab?.url)) return null;
+  const domain = getBaseDomain(tab.url);
+  if (!domain) return null;
+  const cached = await getCachedIntentForUrl(getUrlKey(tab.url), domain);
+  return cached && cached.score >= ADAPTIVE_THRESHOLD ? cached.intent : null;
+}
+
+// Preview version of the apply loop below: bucket titles/colors, with
+// singletons folded into Misc/Unsorted the same way
+function planIntentGroups(groupAssignments) {
+  const entries = Object.entries(groupAssignments).filter(([, ids]) => ids.length);
+  const assignments = new Map();
+  for (const [intentName, tabIds] of entries) {
+    const name = tabIds.length === 1 && entries.length > 2 ? 'Misc/Unsorted' : intentName;
+    assignments.set(name, [...(assignments.get(name) || []), ...tabIds]);
+  }
+  // `intent` marks real buckets, so dragging a tab into one in the preview can teach a domain rule
+  const buckets = allBuckets();
+  return Array.from(assignments, ([intentName, tabIds]) => ({
+    ...intentGroupStyle(intentName),
+    ...(buckets[intentName] && intentName !== 'Misc/Unsorted' && intentName !== 'Unknown' ? { intent: intentName } : {}),
+    tabIds
+  }));
+}
+
 // Main organize function
-export async function organizeByIntent(tabs = null) {
+// Options as in organizeTabsByDomain()
+export async function organizeByIntent(tabs = null, { windowId: targetWindowId = null, checkpoint = true, preview = false } = {}) {
   try {
     // Get tabs if not provided
     let targetTabs = tabs;
     let win;
     
     if (!targetTabs) {
-      win = await chrome.windows.getLastFocused({ populate: true });
+      win = targetWindowId != null
+        ? await chrome.windows.get(targetWindowId, { populate: true })
+        : await chrome.windows.getLastFocused({ populate: true });
       if (!win?.tabs?.length) return { ok: false, reason: "No tabs" };
       targetTabs = win.tabs;
     } else {
@@ -470,10 +588,10 @@ export async function organizeByIntent(tabs = null) {
     
     const windowId = win.id;
     
-    // Save snapshot for undo
-    const snapshot = await snapshotCurrentLayout(windowId);
-    setLastLayoutSnapshot(snapshot);
-    
+    // Locked groups stay out of clustering
+    targetTabs = await withoutLockedTabs(targetTabs);
+    await loadSettings(); // custom buckets
+
     // Filter out pinned tabs
     const unpinnedTabs = targetTabs.filter(t => !t.pinned && isHttpLike(t.url));
     if (unpinnedTabs.length === 0) return { ok: false, reason: "No unpinned tabs" };
@@ -610,6 +728,13 @@ export async function organizeByIntent(tabs = null) {
       groupAssignments[groupName] = tabIds;
     }
     
+    if (preview) {
+      return buildPlanPreview(windowId, 'intent', planIntentGroups(groupAssignments), targetTabs);
+    }
+
+    // Save snapshot for undo
+    if (checkpoint) await recordCheckpoint(windowId, 'intent');
+
     // Idempotent apply: compute diff (what actually needs moving)
     // Get current group assignments
     const currentTabs = await chrome.tabs.query({ windowId });
@@ -684,21 +809,19 @@ export async function organizeByIntent(tabs = null) {
       }
       
       // Get bucket config or use defaults
-      const bucket = INTENT_BUCKETS[intentName] || {
-        emoji: "📁",
-        color: pickColorForName(intentName)
-      };
-      
-      const groupTitle = bucket.emoji ? `${bucket.emoji} ${intentName}` : intentName;
-      const color = bucket.color || 'blue';
+      const { title: groupTitle, color } = intentGroupStyle(intentName);
       
       try {
         // Check if group already exists (reuse it)
         const existingGroups = await chrome.tabGroups.query({ windowId });
-        let existingGroup = existingGroups.find(g => {
+        let existingGroup = null;
+        for (const g of existingGroups) {
           const title = (g.title || '').replace(/^[\w\s]*\s/, ''); // Remove emoji
-          return title === intentName;
-        });
+          if (title === intentName && !(await isGroupLocked(g.id))) {
+            existingGroup = g;
+            break;
+          }
+        }
         
         let groupId;
         if (existingGroup) {
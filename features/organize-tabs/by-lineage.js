@@ -0,0 +1,123 @@
+// Organize Tabs - By Lineage
+// Groups each research rabbit-hole: a tab and everything opened from it
+// (search results, the links in those, and so on), following the opener links
+// metadata.js records. Each group is named after its root tab, or after the
+// query when the root is a search results page. Tabs nobody opened anything
+// from, and that weren't opened from another tab, are left where they are.
+
+import { isHttpLike, pickColorForName, buildPlanPreview, applyOrganizePlan, safeURL } from './utils.js';
+import { recordCheckpoint } from './checkpoints.js';
+import { withoutLockedTabs } from './locks.js';
+import { loadTabMeta, getTabMeta } from './metadata.js';
+
+const log = (...a) => console.log("[Tabitha::organize-lineage]", ...a);
+
+const MIN_TREE_SIZE = 2;
+const MAX_TITLE = 32;
+
+// Search engines: host (suffix match) -> query parameter
+const SEARCH_ENGINES = [
+  ['google.', 'q'],
+  ['bing.com', 'q'],
+  ['duckduckgo.com', 'q'],
+  ['search.yahoo.com', 'p'],
+  ['search.brave.com', 'q'],
+  ['ecosia.org', 'q'],
+  ['startpage.com', 'query'],
+  ['kagi.com', 'q'],
+  ['baidu.com', 'wd'],
+  ['yandex.', 'text'],
+  ['youtube.com', 'search_query'],
+  ['perplexity.ai', 'q']
+];
+
+/**
+ * The query of a search results page, or null
+ */
+export function searchQueryOf(url) {
+  const u = safeURL(url);
+  if (!u) return null;
+  const host = u.hostname.replace(/^www\./, '');
+  for (const [engine, param] of SEARCH_ENGINES) {
+    const matches = engine.endsWith('.') ? host.startsWith(engine) || host.includes(`.${engine}`) : host === engine || host.endsWith(`.${engine}`);
+    const query = matches ? u.searchParams.get(param)?.trim() : null;
+    if (query) return query;
+  }
+  return null;
+}
+
+function shorten(text, max = MAX_TITLE) {
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+// Group title for a tree: "🔎 query" for a search, else the root's title
+export function lineageGroupTitle(root) {
+  const query = searchQueryOf(root.url);
+  if (query) return `🔎 ${shorten(query, MAX_TITLE - 2)}`;
+  const title = (root.title || '').trim();
+  return shorten(title || safeURL(root.url)?.hostname.replace(/^www\./, '') || 'Trail');
+}
+
+/**
+ * Split tabs into trees by opener. Openers outside `tabs` (closed, pinned,
+ * other window) don't count, so their children start trees of their own.
+ * Returns [{ root, tabs }] with each tree's tabs root first, then by index.
+ */
+function buildTrees(tabs) {
+  const meta = getTabMeta();
+  const byId = new Map(tabs.map(t => [t.id, t]));
+  const parentOf = (t) => {
+    const id = meta.get(t.id)?.openerTabId ?? t.openerTabId;
+    return id !== t.id && byId.has(id) ? byId.get(id) : null;
+  };
+  const rootOf = (t) => {
+    const seen = new Set([t.id]);
+    let cur = t;
+    for (let p = parentOf(cur); p && !seen.has(p.id); p = parentOf(cur)) {
+      seen.add(p.id);
+      cur = p;
+    }
+    return cur;
+  };
+
+  const trees = new Map(); // rootId -> tabs
+  for (const t of tabs) {
+    const root = rootOf(t);
+    if (!trees.has(root.id)) trees.set(root.id, []);
+    trees.get(root.id).push(t);
+  }
+  return Array.from(trees, ([rootId, members]) => ({
+    root: byId.get(rootId),
+    tabs: members.sort((a, b) => (a.id === rootId ? -1 : b.id === rootId ? 1 : a.index - b.index))
+  }));
+}
+
+// Options as in organizeTabsByDomain()
+export async function organizeTabsByLineage({ windowId = null, checkpoint = true, preview = false } = {}) {
+  const win = windowId != null
+    ? await chrome.windows.get(windowId, { populate: true })
+    : await chrome.windows.getLastFocused({ populate: true });
+  if (!win?.tabs?.length) return { ok: false, reason: "No tabs" };
+
+  await loadTabMeta();
+  const windowTabs = await withoutLockedTabs(win.tabs); // locked groups stay as they are
+  const tabs = windowTabs.filter(t => !t.pinned && isHttpLike(t.url));
+
+  const trees = buildTrees(tabs)
+    .filter(tree => tree.tabs.length >= MIN_TREE_SIZE)
+    .sort((a, b) => a.root.index - b.root.index);
+  if (!trees.length) return { ok: false, reason: "No tabs opened from other tabs" };
+
+  const plan = trees.map(tree => {
+    const title = lineageGroupTitle(tree.root);
+    return { title, color: pickColorForName(title), tabIds: tree.tabs.map(t => t.id) };
+  });
+  log(`${trees.length} trail(s):`, plan.map(g => `${g.title} (${g.tabIds.length})`));
+
+  if (preview) return buildPlanPreview(win.id, 'lineage', plan, windowTabs);
+
+  if (checkpoint) await recordCheckpoint(win.id, 'lineage');
+  const res = await applyOrganizePlan(win.id, plan);
+  const grouped = plan.reduce((n, g) => n + g.tabIds.length, 0);
+  return { ...res, counts: { trails: plan.length, grouped, loose: tabs.length - grouped } };
+}
@@ -1,9 +1,10 @@
 // Organize Tabs - By Session
 // Groups tabs by when they were last visited: Today, Yesterday, Last Week, Older
 
-import { createGroupFor, moveGroupToIndex, snapshotCurrentLayout, isHttpLike } from './utils.js';
-import { setLastLayoutSnapshot } from './state.js';
-import { ensureMeta, getTabMeta } from './metadata.js';
+import { createGroupFor, moveGroupToIndex, isHttpLike, buildPlanPreview } from './utils.js';
+import { recordCheckpoint } from './checkpoints.js';
+import { withoutLockedTabs } from './locks.js';
+import { ensureMeta, loadTabMeta } from './metadata.js';
 
 const log = (...a) => console.log("[Tabitha::organize-session]", ...a);
 
@@ -36,19 +37,22 @@ async function lastVisitBefore(url, cutoffMs) {
   }
 }
 
-export async function groupBySessionTabs() {
-  const win = await chrome.windows.getLastFocused({ populate: true });
+// Options as in organizeTabsByDomain()
+export async function groupBySessionTabs({ windowId = null, checkpoint = true, preview = false } = {}) {
+  const win = windowId != null
+    ? await chrome.windows.get(windowId, { populate: true })
+    : await chrome.windows.getLastFocused({ populate: true });
   if (!win?.tabs?.length) return { ok: false, reason: "No tabs" };
   
-  const snapshot = await snapshotCurrentLayout(win.id);
-  setLastLayoutSnapshot(snapshot);
   const today0 = startOfToday();
   const yest0 = startOfYesterday();
   const week0 = startOfLastWeek();
 
+  const windowTabs = await withoutLockedTabs(win.tabs); // locked groups stay as they are
+
   // Get tab history lookups
   const results = await Promise.allSettled(
-    win.tabs.filter(t => !t.pinned && isHttpLike(t.url)).map(async (t) => {
+    windowTabs.filter(t => !t.pinned && isHttpLike(t.url)).map(async (t) => {
       const url = t.url || "";
       const ts = await lastVisitBefore(url, today0);
       return { tab: t, ts };
@@ -60,8 +64,8 @@ export async function groupBySessionTabs() {
   const week = [];
   const older = [];
 
-  // Get tab metadata for fallback when history is unavailable
-  const tabMeta = getTabMeta();
+  // Tab metadata for fallback when history is unavailable
+  await loadTabMeta();
 
   for (const r of results) {
     if (r.status !== "fulfilled") continue;
@@ -89,33 +93,26 @@ export async function groupBySessionTabs() {
     }
   }
 
+  const plan = [
+    { title: "Today's Flow", color: "blue", tabIds: todays.map(t => t.id) },
+    { title: "Yesterday's Trail", color: "purple", tabIds: ydays.map(t => t.id) },
+    { title: "Last Week", color: "green", tabIds: week.map(t => t.id) },
+    { title: "Older", color: "grey", tabIds: older.map(t => t.id) }
+  ];
+  if (preview) return buildPlanPreview(win.id, 'session', plan, windowTabs);
+
+  if (checkpoint) await recordCheckpoint(win.id, 'session');
+
   // Ungroup involved tabs
   const moveIds = [...todays, ...ydays, ...week, ...older].map(t => t.id);
   await Promise.all(moveIds.map(id => chrome.tabs.ungroup(id).catch(() => {})));
 
   const createdArr = [];
-  if (todays.length) {
-    createdArr.push({
-      groupId: await createGroupFor(win.id, "Today's Flow", "blue", todays.map(t => t.id)),
-      tabs: todays
-    });
-  }
-  if (ydays.length) {
-    createdArr.push({
-      groupId: await createGroupFor(win.id, "Yesterday's Trail", "purple", ydays.map(t => t.id)),
-      tabs: ydays
-    });
-  }
-  if (week.length) {
-    createdArr.push({
-      groupId: await createGroupFor(win.id, "Last Week", "green", week.map(t => t.id)),
-      tabs: week
-    });
-  }
-  if (older.length) {
+  for (const g of plan) {
+    if (!g.tabIds.length) continue;
     createdArr.push({
-      groupId: await createGroupFor(win.id, "Older", "grey", older.map(t => t.id)),
-      tabs: older
+      groupId: await createGroupFor(win.id, g.title, g.color, g.tabIds),
+      tabs: g.tabIds
     });
   }
 
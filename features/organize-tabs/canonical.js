@@ -1,6 +1,10 @@
 // URL Canonicalization and Intent Cache Management
 // Handles URL normalization, deterministic intent caching, and domain overrides
 
+import { loadSettings, getSetting, setSetting } from '../../shared/settings.js';
+import { getDomainCandidates } from '../../shared/utils.js';
+import { matchCustomBucket } from './custom-buckets.js';
+
 const log = (...a) => console.log("[Tabitha::canonical]", ...a);
 
 // ============================================================================
@@ -100,12 +104,14 @@ const DOMAIN_OVERRIDES = {
 };
 
 /**
- * Get forced intent for a domain (if override exists)
+ * Get forced intent for a domain (if override exists). Subdomains inherit
+ * their parent's override up to the registrable domain, most specific first.
  */
 export function getDomainOverride(domain) {
-  if (!domain) return null;
-  const normalizedDomain = domain.toLowerCase().replace(/^www\./, '');
-  return DOMAIN_OVERRIDES[normalizedDomain] || null;
+  for (const candidate of getDomainCandidates(domain)) {
+    if (DOMAIN_OVERRIDES[candidate]) return DOMAIN_OVERRIDES[candidate];
+  }
+  return null;
 }
 
 // ============================================================================
@@ -113,7 +119,6 @@ export function getDomainOverride(domain) {
 // ============================================================================
 
 const CACHE_KEY = 'tabitha_intentCache';
-const DOMAIN_RULES_KEY = 'tabitha_domainRules';
 
 /**
  * Load intent cache from chrome.storage.local
@@ -140,12 +145,12 @@ async function saveIntentCache(cache) {
 }
 
 /**
- * Load domain rules from chrome.storage.local
+ * Load domain rules from the shared settings store
  */
 async function loadDomainRules() {
   try {
-    const result = await chrome.storage.local.get([DOMAIN_RULES_KEY]);
-    return result[DOMAIN_RULES_KEY] || {};
+    await loadSettings();
+    return { ...getSetting('organize.domainRules') };
   } catch (err) {
     log('Failed to load domain rules:', err);
     return {};
@@ -153,11 +158,11 @@ async function loadDomainRules() {
 }
 
 /**
- * Save domain rules to chrome.storage.local
+ * Save domain rules to the shared settings store
  */
 async function saveDomainRules(rules) {
   try {
-    await chrome.storage.local.set({ [DOMAIN_RULES_KEY]: rules });
+    await setSetting('organize.domainRules', rules);
   } catch (err) {
     log('Failed to save domain rules:', err);
   }
@@ -165,26 +170,42 @@ async function saveDomainRules(rules) {
 
 /**
  * Get cached intent for a URL key
- * Returns: { intent, score, updatedAt, source: 'cache'|'override'|null }
+ * Returns: { intent, score, updatedAt, source: 'cache'|'override'|'custom'|null }
+ *
+ * Most specific first: custom bucket URL patterns, the user's domain rules,
+ * custom bucket domains, then the built-in overrides.
  */
 export async function getCachedIntentForUrl(urlKey, domain) {
-  // Check domain override first
-  const domainOverride = getDomainOverride(domain);
-  if (domainOverride) {
+  // The key starts with the full host, which is more specific than `domain`
+  const host = String(urlKey || '').split('/')[0] || domain;
+  const domainRules = await loadDomainRules(); // also loads the custom buckets
+
+  const custom = matchCustomBucket(`https://${urlKey}`);
+  if (custom?.via === 'pattern') {
+    return { intent: custom.intent, score: 0.95, updatedAt: Date.now(), source: 'custom' };
+  }
+
+  // Check domain rules (user-defined)
+  const ruleDomain = getDomainCandidates(host).find(d => domainRules[d]) || (domainRules[domain] ? domain : null);
+  if (ruleDomain) {
     return {
-      intent: domainOverride,
-      score: 1.0, // Maximum confidence for overrides
+      intent: domainRules[ruleDomain],
+      score: 0.95, // High confidence for user rules
       updatedAt: Date.now(),
       source: 'override'
     };
   }
-  
-  // Check domain rules (user-defined)
-  const domainRules = await loadDomainRules();
-  if (domainRules[domain]) {
+
+  if (custom) {
+    return { intent: custom.intent, score: 0.9, updatedAt: Date.now(), source: 'custom' };
+  }
+
+  // Built-in domain overrides
+  const domainOverride = getDomainOverride(host);
+  if (domainOverride) {
     return {
-      intent: domainRules[domain],
-      score: 0.95, // High confidence for user rules
+      intent: domainOverride,
+      score: 1.0, // Maximum confidence for overrides
       updatedAt: Date.now(),
       source: 'override'
     };
@@ -261,6 +282,30 @@ export async function setDomainRule(domain, intent) {
   await saveDomainRules(rules);
 }
 
+/**
+ * Point cached classifications and domain rules for one intent at another
+ * (a custom bucket was renamed), or drop them (to = null: it was deleted)
+ */
+export async function retargetIntent(from, to = null) {
+  const cache = await loadIntentCache();
+  let cacheChanged = false;
+  for (const [urlKey, entry] of Object.entries(cache)) {
+    if (entry.intent !== from) continue;
+    if (to) cache[urlKey] = { ...entry, intent: to };
+    else delete cache[urlKey];
+    cacheChanged = true;
+  }
+  if (cacheChanged) await saveIntentCache(cache);
+
+  const rules = await loadDomainRules();
+  const ruled = Object.keys(rules).filter(d => rules[d] === from);
+  for (const d of ruled) {
+    if (to) rules[d] = to;
+    else delete rules[d];
+  }
+  if (ruled.length) await saveDomainRules(rules);
+}
+
 /**
  * Clear intent cache (optional: for specific URL key)
  */
@@ -0,0 +1,273 @@
+// Organize Tabs - Layout history
+// Every organize run pushes the window's previous layout onto a per-window
+// stack, so several runs can be walked back one by one or jumped over to a
+// named checkpoint ("before cleanup"). Kept in chrome.storage.session: tab
+// ids only mean something until the browser restarts, but the stack has to
+// survive the worker being suspended. A run that closes tabs (merging
+// duplicates) lists them on its checkpoint, and restoring it reopens them.
+
+import { snapshotCurrentLayout, restoreLayoutFromSnapshot, getTargetWindowId } from './utils.js';
+
+const log = (...a) => console.log("[Tabitha::organize-history]", ...a);
+
+const HISTORY_KEY = 'tabitha_layoutHistory';
+const MAX_PER_WINDOW = 15;
+
+let history = null; // windowId -> [checkpoint], newest first
+let loading = null;
+
+async function loadHistory() {
+  if (history) return history;
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const { [HISTORY_KEY]: stored } = await chrome.storage.session.get(HISTORY_KEY);
+        history = stored || {};
+      } catch (err) {
+        log('Failed to load layout history:', err);
+        history = {};
+      }
+      return history;
+    })();
+  }
+  return loading;
+}
+
+function persist() {
+  chrome.storage.session.set({ [HISTORY_KEY]: history }).catch(err => log('Failed to save layout history:', err));
+}
+
+function findCheckpoint(id) {
+  for (const [windowId, stack] of Object.entries(history)) {
+    const index = stack.findIndex(c => c.id === id);
+    if (index !== -1) return { windowId: Number(windowId), stack, index, checkpoint: stack[index] };
+  }
+  return null;
+}
+
+function summarize(c) {
+  return {
+    id: c.id,
+    windowId: c.snapshot.windowId,
+    name: c.name,
+    mode: c.mode,
+    takenAt: c.snapshot.takenAt,
+    tabCount: c.snapshot.tabs.length,
+    groups: c.snapshot.groups.map(g => ({ title: g.title, color: g.color }))
+  };
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Snapshot a window before it gets rearranged.
+ * mode: which organize mode is about to run ("domain", "intent", "manual"...)
+ * batch: shared by the checkpoints of one multi-window run, so they undo together
+ * closes: ids of tabs the run is about to close, reopened on restore
+ */
+export async function recordCheckpoint(windowId, mode, name = '', batch = null, closes = []) {
+  await loadHistory();
+  const snapshot = await snapshotCurrentLayout(windowId);
+  const checkpoint = {
+    id: `layout-${snapshot.takenAt}-${Math.random().toString(36).slice(2, 6)}`,
+    mode,
+    name: String(name || '').trim().slice(0, 60),
+    batch,
+    snapshot,
+    closes: closes.filter(id => snapshot.tabs.some(t => t.id === id))
+  };
+  history[windowId] = [checkpoint, ...(history[windowId] || [])].slice(0, MAX_PER_WINDOW);
+  persist();
+  return checkpoint;
+}
+
+/**
+ * Checkpoint several windows as one step (organizing across windows)
+ */
+export async function recordBatchCheckpoint(windowIds, mode, closes = []) {
+  const batch = `batch-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  for (const windowId of windowIds) await recordCheckpoint(windowId, mode, '', batch, closes);
+  return batch;
+}
+
+export async function renameCheckpoint(id, name) {
+  await loadHistory();
+  const found = findCheckpoint(id);
+  if (!found) return { ok: false, error: 'not_found' };
+  found.checkpoint.name = String(name || '').trim().slice(0, 60);
+  persist();
+  return { ok: true, checkpoint: summarize(found.checkpoint) };
+}
+
+export async function deleteCheckpoint(id) {
+  await loadHistory();
+  const found = findCheckpoint(id);
+  if (!found) return { ok: false, error: 'not_found' };
+  found.stack.splice(found.index, 1);
+  persist();
+  return { ok: true };
+}
+
+// Stacks for closed windows can't be restored any more, except for entries
+// of a multi-window run that's still undoable from another window
+export async function forgetWindowCheckpoints(windowId) {
+  await loadHistory();
+  if (!history[windowId]) return;
+  const liveBatches = new Set(Object.entries(history)
+    .filter(([id]) => Number(id) !== windowId)
+    .flatMap(([, stack]) => stack.map(c => c.batch).filter(Boolean)));
+  const kept = history[windowId].filter(c => c.batch && liveBatches.has(c.batch));
+  if (kept.length) history[windowId] = kept;
+  else delete history[windowId];
+  persist();
+}
+
+// ============================================================================
+// LIST / PREVIEW / RESTORE
+// ============================================================================
+
+/**
+ * Checkpoints for a window (default: the one the user is looking at), newest first
+ */
+export async function listCheckpoints(windowId = null) {
+  await loadHistory();
+  const id = windowId ?? await getTargetWindowId();
+  return { ok: true, windowId: id, checkpoints: (history[id] || []).map(summarize) };
+}
+
+/**
+ * What restoring a checkpoint would produce: its groups and loose tabs in
+ * order, with tabs closed since flagged as missing.
+ */
+export async function previewCheckpoint(id) {
+  await loadHistory();
+  const found = findCheckpoint(id);
+  if (!found) return { ok: false, error: 'not_found' };
+
+  const { snapshot } = found.checkpoint;
+  const alive = new Set((await chrome.tabs.query({})).map(t => t.id));
+  const reopens = new Set(found.checkpoint.closes || []);
+  const isMissing = (t) => !alive.has(t.id) && !reopens.has(t.id);
+  const describe = (t) => ({ id: t.id, title: t.title, url: t.url, pinned: t.pinned, missing: isMissing(t), reopens: !alive.has(t.id) && reopens.has(t.id) });
+
+  const groups = snapshot.groups.map(g => ({
+    ...g,
+    tabs: snapshot.tabs.filter(t => t.groupId === g.id).map(describe)
+  }));
+  const grouped = new Set(snapshot.groups.map(g => g.id));
+  const ungrouped = snapshot.tabs.filter(t => !grouped.has(t.groupId)).map(describe);
+
+  return {
+    ok: true,
+    checkpoint: summarize(found.checkpoint),
+    groups,
+    ungrouped,
+    missingTabs: snapshot.tabs.filter(isMissing).length
+  };
+}
+
+/**
+ * Put a window back to a checkpoint. The current layout is recorded first,
+ * so a restore can itself be undone.
+ */
+export async function restoreCheckpoint(id) {
+  await loadHistory();
+  const found = findCheckpoint(id);
+  if (!found) return { ok: false, error: 'not_found' };
+
+  const windowId = await chrome.windows.get(found.checkpoint.snapshot.windowId).then(w => w.id).catch(() => null);
+  if (windowId != null) await recordCheckpoint(windowId, 'restore');
+
+  const res = await restoreLayoutFromSnapshot(await reopenClosedTabs(found.checkpoint));
+  log(`Restored checkpoint ${found.checkpoint.name || found.checkpoint.mode}`, res);
+  return { ...res, checkpoint: summarize(found.checkpoint) };
+}
+
+/**
+ * Step back one organize run in the focused window: restore the newest
+ * checkpoint and drop it from the stack.
+ */
+export async function undoLastCheckpoint(windowId = null) {
+  await loadHistory();
+  const id = windowId ?? await getTargetWindowId();
+  const stack = history[id] || [];
+  if (!stack.length) return { ok: false, error: 'nothing_to_undo' };
+
+  const top = stack[0];
+  if (top.batch) return undoBatch(top.batch, id);
+
+  const res = await restoreLayoutFromSnapshot(await reopenClosedTabs(top));
+  if (res.ok || res.error === 'tabs_closed') {
+    stack.shift();
+    persist();
+  }
+  return res;
+}
+
+/**
+ * Undo one particular batch (e.g. a duplicate merge undone from chat), from
+ * wherever it sits in the stacks
+ */
+export async function undoCheckpointBatch(batch) {
+  await loadHistory();
+  const exists = Object.values(history).some(stack => stack.some(c => c.batch === batch));
+  if (!batch || !exists) return { ok: false, error: 'nothing_to_undo' };
+  return undoBatch(batch, await getTargetWindowId());
+}
+
+// Restore every window touched by one multi-window run. The window undo was
+// asked from goes last, so tabs pulled into it get sent home first.
+async function undoBatch(batch, windowId) {
+  const members = Object.entries(history)
+    .flatMap(([id, stack]) => stack.filter(c => c.batch === batch).map(c => ({ windowId: Number(id), checkpoint: c })))
+    .sort((a, b) => (a.windowId === windowId) - (b.windowId === windowId));
+
+  let restoredTabs = 0;
+  let restoredGroups = 0;
+  let missingTabs = 0;
+  for (const { checkpoint } of members) {
+    const res = await restoreLayoutFromSnapshot(await reopenClosedTabs(checkpoint));
+    restoredTabs += res.restoredTabs || 0;
+    restoredGroups += res.restoredGroups || 0;
+    missingTabs += res.missingTabs || 0;
+  }
+
+  for (const [id, stack] of Object.entries(history)) {
+    history[id] = stack.filter(c => c.batch !== batch);
+    if (!history[id].length) delete history[id];
+  }
+  persist();
+  return { ok: restoredTabs > 0, windows: members.length, restoredTabs, restoredGroups, missingTabs, ...(restoredTabs ? {} : { error: 'tabs_closed' }) };
+}
+
+/**
+ * Reopen the tabs a run closed on purpose and point the checkpoint's snapshot
+ * at the new tabs, so the restore puts them back in place, group and pin
+ * included. Each closed tab is reopened once, however often it's restored.
+ */
+async function reopenClosedTabs(checkpoint) {
+  if (!checkpoint.closes?.length) return checkpoint.snapshot;
+  const { snapshot } = checkpoint;
+  const alive = new Set((await chrome.tabs.query({})).map(t => t.id));
+  const windowId = await chrome.windows.get(snapshot.windowId).then(w => w.id).catch(() => undefined);
+
+  const newIds = new Map(); // closed tab id -> reopened tab id
+  for (const entry of snapshot.tabs) {
+    if (!checkpoint.closes.includes(entry.id) || alive.has(entry.id)) continue;
+    try {
+      // Window gone: restoreLayoutFromSnapshot() moves it into a new one
+      const tab = await chrome.tabs.create({ windowId, url: entry.url, pinned: entry.pinned, active: false });
+      newIds.set(entry.id, tab.id);
+    } catch (err) {
+      log('Failed to reopen tab', entry.url, err);
+    }
+  }
+
+  checkpoint.snapshot = { ...snapshot, tabs: snapshot.tabs.map(e => ({ ...e, id: newIds.get(e.id) ?? e.id })) };
+  checkpoint.closes = [];
+  persist();
+  log(`Reopened ${newIds.size} closed tab(s)`);
+  return checkpoint.snapshot;
+}
@@ -0,0 +1,111 @@
+// Organize Tabs - Custom intent buckets
+// Buckets the user defines on the options page ("Client: Acme", "Thesis"),
+// sorted into alongside the built-in ones in by-intent.js. Stored in the
+// shared settings store as organize.customBuckets:
+//   { name, emoji, color, domains: [], urlPatterns: [], keywords: [] }
+// URL patterns use the mute rules' syntax ("github.com/acme/*", "*.acme.com").
+
+import { loadSettings, getSetting, setSetting } from '../../shared/settings.js';
+import { getDomainCandidates } from '../../shared/utils.js';
+import { parseRulePattern, urlMatchesPattern } from '../mute-tabs/rules.js';
+import { GROUP_COLORS } from './utils.js';
+
+const MAX_NAME = 40;
+const MAX_ENTRIES = 50; // per list
+const DEFAULT_EMOJI = "🏷️";
+
+function cleanList(values, clean) {
+  const out = [];
+  for (const v of Array.isArray(values) ? values : []) {
+    const c = clean(String(v ?? '').trim().toLowerCase());
+    if (c && !out.includes(c)) out.push(c);
+  }
+  return out.slice(0, MAX_ENTRIES);
+}
+
+function cleanDomain(value) {
+  const d = value.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(d) ? d : null;
+}
+
+function cleanPattern(value) {
+  const p = value.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '');
+  return parseRulePattern(p) ? p : null;
+}
+
+/**
+ * Tidy a bucket from the options page or storage. Null when it has no name.
+ */
+export function normalizeBucket(raw) {
+  const name = String(raw?.name ?? '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME);
+  if (!name) return null;
+  return {
+    name,
+    emoji: String(raw.emoji ?? '').trim().slice(0, 8) || DEFAULT_EMOJI,
+    color: GROUP_COLORS.includes(raw.color) ? raw.color : 'blue',
+    domains: cleanList(raw.domains, cleanDomain),
+    urlPatterns: cleanList(raw.urlPatterns, cleanPattern),
+    keywords: cleanList(raw.keywords, k => k.slice(0, 40))
+  };
+}
+
+/**
+ * The user's buckets, in the order they were added. Call after loadSettings().
+ */
+export function getCustomBuckets() {
+  return getSetting('organize.customBuckets').map(normalizeBucket).filter(Boolean);
+}
+
+/**
+ * Custom bucket a URL belongs to by its patterns or domains (not keywords).
+ * Patterns are checked across every bucket first, since "github.com/acme/*"
+ * is more specific than any domain.
+ * Returns { intent, via: 'pattern' | 'domain' } or null.
+ */
+export function matchCustomBucket(url) {
+  const buckets = getCustomBuckets();
+  const byPattern = buckets.find(b => b.urlPatterns.some(p => urlMatchesPattern(url, p)));
+  if (byPattern) return { intent: byPattern.name, via: 'pattern' };
+
+  let host;
+  try { host = new URL(url).hostname; } catch { return null; }
+  for (const candidate of getDomainCandidates(host)) {
+    const byDomain = buckets.find(b => b.domains.includes(candidate));
+    if (byDomain) return { intent: byDomain.name, via: 'domain' };
+  }
+  return null;
+}
+
+// ============================================================================
+// EDITING (options page, through by-intent.js)
+// ============================================================================
+
+/**
+ * Add a bucket, or replace the one called previousName (a rename keeps its
+ * place in the list). Returns { ok, bucket, renamedFrom } or { ok: false, error }.
+ */
+export async function saveCustomBucket(raw, previousName = null) {
+  await loadSettings();
+  const bucket = normalizeBucket(raw);
+  if (!bucket) return { ok: false, error: 'invalid_name' };
+
+  const list = getCustomBuckets();
+  const sameName = (b) => b.name.toLowerCase() === bucket.name.toLowerCase();
+  if (list.some(b => sameName(b) && b.name !== previousName)) return { ok: false, error: 'duplicate_name' };
+
+  const index = previousName != null ? list.findIndex(b => b.name === previousName) : -1;
+  if (previousName != null && index === -1) return { ok: false, error: 'not_found' };
+  if (index === -1) list.push(bucket);
+  else list[index] = bucket;
+
+  const res = await setSetting('organize.customBuckets', list);
+  if (!res.ok) return res;
+  return { ok: true, bucket, renamedFrom: index !== -1 && previousName !== bucket.name ? previousName : null };
+}
+
+export async function deleteCustomBucket(name) {
+  await loadSettings();
+  const list = getCustomBuckets();
+  if (!list.some(b => b.name === name)) return { ok: false, error: 'not_found' };
+  return setSetting('organize.customBuckets', list.filter(b => b.name !== name));
+}
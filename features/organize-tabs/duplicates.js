@@ -0,0 +1,206 @@
+// Organize Tabs - Duplicates
+// Finds open tabs that are the same page (same canonical URL, in any window)
+// and merges each set down to one copy: the one focused most recently, left
+// where it is, pinned and grouped as it was. The others are closed after a
+// layout checkpoint that lists them, so undo reopens them in place. Copies in
+// locked groups are never closed. The toolbar badge counts the extra copies.
+
+import { isHttpLike } from './utils.js';
+import { canonicalizeUrl } from './canonical.js';
+import { recordBatchCheckpoint, undoCheckpointBatch } from './checkpoints.js';
+import { getLockedTabIds } from './locks.js';
+import { loadTabMeta, getTabMeta } from './metadata.js';
+import { getSetting, loadSettings, onSettingsChanged } from '../../shared/settings.js';
+import { onStatusBadgeCleared } from '../../shared/badge.js';
+
+const log = (...a) => console.log("[Tabitha::organize-duplicates]", ...a);
+
+const BADGE_DEBOUNCE_MS = 1000;
+const BADGE_COLOR = "#64748b";
+
+/**
+ * Key two tabs share when they show the same page: canonicalizeUrl() (no
+ * tracking params, no trailing slash) but with the fragment kept, since
+ * plenty of apps route with it (Gmail's #inbox and #sent aren't the same tab).
+ */
+export function duplicateKey(url) {
+  const hash = url.indexOf('#');
+  return canonicalizeUrl(url) + (hash === -1 || hash === url.length - 1 ? '' : url.slice(hash));
+}
+
+function describe(tab, locked) {
+  return {
+    id: tab.id,
+    windowId: tab.windowId,
+    index: tab.index,
+    title: tab.title || '',
+    url: tab.url || '',
+    favIconUrl: tab.favIconUrl || '',
+    pinned: !!tab.pinned,
+    groupId: tab.groupId,
+    locked: locked.has(tab.id)
+  };
+}
+
+/**
+ * Every page open more than once, across all windows:
+ * [{ key, title, keep, close: [tab], kept: [tab] }] where `keep` is the most
+ * recently focused copy, `close` the copies a merge closes and `kept` any
+ * other copies that stay (locked ones).
+ */
+export async function findDuplicates() {
+  await loadTabMeta();
+  const [tabs, locked, focusedWin] = await Promise.all([
+    chrome.tabs.query({}),
+    getLockedTabIds(),
+    chrome.windows.getLastFocused().catch(() => null)
+  ]);
+  const meta = getTabMeta();
+  // The tab in front of the user always wins, then the last one they looked at
+  const recency = (t) => (t.active && t.windowId === focusedWin?.id)
+    ? Infinity
+    : Math.max(meta.get(t.id)?.lastFocusedAt || 0, t.lastAccessed || 0);
+
+  const sets = new Map(); // key -> tabs
+  for (const t of tabs) {
+    if (!isHttpLike(t.url)) continue;
+    const key = `${t.incognito ? 'incognito:' : ''}${duplicateKey(t.url)}`; // incognito copies aren't the same tab
+    if (!sets.has(key)) sets.set(key, []);
+    sets.get(key).push(t);
+  }
+
+  const out = [];
+  for (const [key, copies] of sets) {
+    if (copies.length < 2) continue;
+    copies.sort((a, b) => recency(b) - recency(a) || a.windowId - b.windowId || a.index - b.index);
+    const [keep, ...rest] = copies;
+    out.push({
+      key,
+      title: keep.title || keep.url,
+      keep: describe(keep, locked),
+      close: rest.filter(t => !locked.has(t.id)).map(t => describe(t, locked)),
+      kept: rest.filter(t => locked.has(t.id)).map(t => describe(t, locked))
+    });
+  }
+  return out.filter(set => set.close.length);
+}
+
+/**
+ * Close the extra copies. tabIds (e.g. from an edited preview) limits which
+ * ones go; a page never loses its last open copy either way. One checkpoint
+ * batch covers every window that loses a tab plus the focused one, so undo
+ * from the popup (or chat) brings them all back.
+ */
+export async function mergeDuplicates({ tabIds = null, checkpoint = true } = {}) {
+  const sets = await findDuplicates();
+  const chosen = tabIds ? new Set(tabIds) : null;
+
+  const closing = [];
+  for (const set of sets) {
+    if (!chosen) {
+      closing.push(...set.close);
+      continue;
+    }
+    const all = [set.keep, ...set.close];
+    const picked = all.filter(t => chosen.has(t.id));
+    // Every copy picked: the usual keeper stays
+    closing.push(...(picked.length === all.length ? picked.filter(t => t.id !== set.keep.id) : picked));
+  }
+  if (!closing.length) return { ok: false, reason: "No duplicate tabs" };
+
+  const closeIds = closing.map(t => t.id);
+  const pages = sets.filter(set => set.close.some(t => closeIds.includes(t.id))).length;
+  let batch = null;
+  if (checkpoint) {
+    const focused = await chrome.windows.getLastFocused().catch(() => null);
+    const windowIds = new Set(closing.map(t => t.windowId));
+    if (focused) windowIds.add(focused.id);
+    batch = await recordBatchCheckpoint([...windowIds], 'duplicates', closeIds);
+  }
+
+  await chrome.tabs.remove(closeIds);
+  log(`Closed ${closeIds.length} duplicate tab(s) of ${pages} page(s)`);
+  return {
+    ok: true,
+    batch,
+    counts: { closed: closeIds.length, pages },
+    summary: `closed ${closeIds.length} duplicate ${closeIds.length === 1 ? 'tab' : 'tabs'}`
+  };
+}
+
+/**
+ * Undo one merge (by the batch mergeDuplicates() returned), even if other
+ * organize runs happened since
+ */
+export async function undoMerge(batch) {
+  const res = await undoCheckpointBatch(batch);
+  if (!res.ok) return res;
+  scheduleBadgeUpdate();
+  return res;
+}
+
+/**
+ * As an organize mode. The preview lists, per page, the copies that would
+ * close; the keepers sit in "left as is". Applying sends the (possibly
+ * edited) list back as MERGE_DUPLICATES.
+ */
+export async function organizeDuplicates({ windowId = null, checkpoint = true, preview = false } = {}) {
+  if (!preview) return mergeDuplicates({ checkpoint });
+
+  const sets = await findDuplicates();
+  if (!sets.length) return { ok: false, reason: "No duplicate tabs" };
+  return {
+    ok: true,
+    preview: true,
+    windowId: windowId ?? (await chrome.windows.getLastFocused()).id,
+    mode: 'duplicates',
+    groups: sets.map(set => ({
+      title: set.title.slice(0, 40),
+      color: 'grey',
+      tabs: set.close.map(({ id, title, url, favIconUrl }) => ({ id, title, url, favIconUrl }))
+    })),
+    untouched: sets.map(({ keep: { id, title, url, favIconUrl } }) => ({ id, title, url, favIconUrl }))
+  };
+}
+
+// ============================================================================
+// BADGE
+// ============================================================================
+
+let badgeTimer = null;
+
+function scheduleBadgeUpdate() {
+  clearTimeout(badgeTimer);
+  badgeTimer = setTimeout(updateBadge, BADGE_DEBOUNCE_MS);
+}
+
+async function updateBadge() {
+  badgeTimer = null;
+  try {
+    await loadSettings();
+    // Meeting and focus badges ("MEET", "FOCUS") matter more than a count
+    const current = await chrome.action.getBadgeText({});
+    if (current && !/^\d+$/.test(current)) return;
+
+    const extra = getSetting('organize.duplicateBadge')
+      ? (await findDuplicates()).reduce((n, set) => n + set.close.length, 0)
+      : 0;
+    await chrome.action.setBadgeText({ text: extra ? String(extra) : "" });
+    if (extra) await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+  } catch (err) {
+    log('Failed to update duplicate badge:', err);
+  }
+}
+
+export function initDuplicateBadge() {
+  scheduleBadgeUpdate();
+  chrome.tabs.onCreated.addListener(scheduleBadgeUpdate);
+  chrome.tabs.onRemoved.addListener(scheduleBadgeUpdate);
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.url || changeInfo.groupId !== undefined) scheduleBadgeUpdate();
+  });
+  onSettingsChanged((changes) => {
+    if ('organize.duplicateBadge' in changes) scheduleBadgeUpdate();
+  });
+  onStatusBadgeCleared(scheduleBadgeUpdate); // a meeting or focus session ended
+}
@@ -1,24 +1,43 @@
 // Organize Tabs feature entry point
-import { createGroupFor, getTargetWindowId, restoreLayoutFromSnapshot } from './utils.js';
+import { createGroupFor, getTargetWindowId, buildPlanPreview, applyOrganizePlan } from './utils.js';
 import { initMetadataListeners } from './metadata.js';
 import { organizeTabsByActivity, groupByActivity } from './by-activity.js';
 import { organizeTabsByDomain, groupByDomain } from './by-domain.js';
 import { groupBySessionTabs, groupBySession } from './by-session.js';
-import { organizeByIntent, groupByIntent } from './by-intent.js';
-import { saveLayoutForWindow, getLayoutForWindow, deleteLayoutForWindow, setLastLayoutSnapshot, getLastLayoutSnapshot } from './state.js';
+import { organizeTabsByLineage } from './by-lineage.js';
+import { findDuplicates, mergeDuplicates, organizeDuplicates, initDuplicateBadge } from './duplicates.js';
+import { findStaleTabs, archiveTabs, searchArchive, restoreArchived, removeArchived, initArchiveSchedule } from './archive.js';
+import { saveWorkspace, listWorkspaces, openWorkspace, renameWorkspace, deleteWorkspace } from './workspaces.js';
+import { organizeByIntent, groupByIntent, listIntentBuckets, saveIntentBucket, deleteIntentBucket } from './by-intent.js';
+import { clearIntentCache, setDomainRule } from './canonical.js';
+import { clearIntentCache as clearTabIntentCache } from './state.js';
+import {
+  recordCheckpoint, undoLastCheckpoint, listCheckpoints, previewCheckpoint,
+  restoreCheckpoint, renameCheckpoint, deleteCheckpoint, forgetWindowCheckpoints
+} from './checkpoints.js';
+import { rememberModeRun, forgetWindowMode } from './auto-organize.js';
+import { initGroupLockListeners, withoutLockedTabs, lockGroup, unlockGroup, listGroups } from './locks.js';
+import { ORGANIZE_SCOPES, isValidScope, organizeAcrossWindows } from './scope.js';
+import { loadSettings, getSetting, setSetting } from '../../shared/settings.js';
 
 // Initialize metadata listeners
 initMetadataListeners();
+initGroupLockListeners();
+initDuplicateBadge();
+initArchiveSchedule();
+chrome.windows.onRemoved.addListener((windowId) => {
+  forgetWindowCheckpoints(windowId);
+  forgetWindowMode(windowId);
+});
 
 // Main organize function that dispatches to different modes
-export async function organizeTabs(mode) {
-  const tabs = await chrome.tabs.query({ currentWindow: true });
-  const windowId = tabs[0]?.windowId;
+export async function organizeTabs(mode, { windowId: targetWindowId = null, checkpoint = true, preview = false } = {}) {
+  const windowTabs = targetWindowId != null
+    ? await chrome.tabs.query({ windowId: targetWindowId })
+    : await chrome.tabs.query({ currentWindow: true });
+  const windowId = targetWindowId ?? windowTabs[0]?.windowId;
+  const tabs = await withoutLockedTabs(windowTabs); // locked groups stay as they are
   
-  // Save snapshot for undo
-  const layout = tabs.map(t => ({ tabId: t.id, oldGroupId: t.groupId, oldIndex: t.index }));
-  saveLayoutForWindow(windowId, layout);
-
   let clusters = {};
   switch (mode) {
     case 'intent':
@@ -38,7 +57,17 @@ export async function organizeTabs(mode) {
       break;
   }
 
-  const targetWindowId = await getTargetWindowId();
+  if (preview) {
+    const plan = Object.entries(clusters).map(([groupLabel, group]) => ({
+      title: group.title || groupLabel,
+      color: group.color || 'blue',
+      tabIds: group.tabIds || []
+    }));
+    return buildPlanPreview(windowId, mode, plan, tabs);
+  }
+
+  // Save snapshot for undo
+  if (checkpoint) await recordCheckpoint(windowId, mode || 'domain');
 
   for (const [groupLabel, group] of Object.entries(clusters)) {
     const { tabIds = [], color, title } = group;
@@ -46,7 +75,7 @@ export async function organizeTabs(mode) {
 
     try {
       await createGroupFor(
-        targetWindowId,
+        windowId,
         title || groupLabel,
         color || 'blue',
         tabIds
@@ -59,24 +88,35 @@ export async function organizeTabs(mode) {
   return { ok: true };
 }
 
+// Run one mode on one window; opts = { windowId, checkpoint, preview }
+async function runOrganizeMode(mode, opts = {}) {
+  switch (mode) {
+    case "activity": return organizeTabsByActivity(opts);
+    case "domain": return organizeTabsByDomain(opts);
+    case "session": return groupBySessionTabs(opts);
+    case "lineage": return organizeTabsByLineage(opts);
+    case "duplicates": return organizeDuplicates(opts);
+    case "intent": return organizeByIntent(null, opts);
+    default:
+      // Generic cluster-based path for anything else
+      return organizeTabs(mode, opts);
+  }
+}
+
 // Undo/Restore Last Layout
-export async function undoLastLayout(windowId) {
-  const snapshot = getLayoutForWindow(windowId);
-  if (!snapshot) return false;
-  
-  // Ungroup all tabs first
-  await chrome.tabs.ungroup(snapshot.map(s => s.tabId));
-  
-  // Optionally, move back to previous positions (Chrome API quirk: this may not always be perfect)
-  for (const { tabId, oldIndex } of snapshot) {
-    try {
-      await chrome.tabs.move(tabId, { index: oldIndex });
-    } catch {}
+// Steps back one organize run; earlier ones stay on the checkpoint stack.
+export function undoLastLayout(windowId = null) {
+  return undoLastCheckpoint(windowId);
+}
+
+// Host a domain rule is keyed on ("www." dropped)
+function domainForRule(domain, url) {
+  let host = String(domain || '').trim().toLowerCase();
+  if (!host && url) {
+    try { host = new URL(url).hostname.toLowerCase(); } catch { return null; }
   }
-  
-  // try to restore group ids (skipped for now, Chrome groups can't be recreated exactly)
-  deleteLayoutForWindow(windowId);
-  return true;
+  host = host.replace(/^www\./, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
 }
 
 // Message handlers
@@ -85,38 +125,139 @@ export function handleOrganizeTabsMessage(msg) {
     case "ORGANIZE_TABS":
       return (async () => {
         try {
-          if (msg.mode === "activity") {
-            const res = await organizeTabsByActivity();
-            return { ok: res.ok, detail: res };
-          }
-          if (msg.mode === "domain") {
-            const res = await organizeTabsByDomain();
-            return { ok: res.ok, detail: res };
-          }
-          if (msg.mode === "session") {
-            const res = await groupBySessionTabs();
-            return { ok: res.ok, detail: res };
-          }
-          if (msg.mode === "intent") {
-            const res = await organizeByIntent();
-            return { ok: res.ok, detail: res };
-          }
-          // Default: use generic organizeTabs with mode
-          await organizeTabs(msg.mode);
-          return { ok: true };
+          // scope: "window" (default), "all", "merge" or "split"
+          // (duplicates always looks at every window, so it ignores scope)
+          const scope = msg.mode === 'duplicates' ? ORGANIZE_SCOPES.WINDOW : msg.scope || ORGANIZE_SCOPES.WINDOW;
+          if (!isValidScope(scope)) return { ok: false, error: 'invalid_scope' };
+
+          const res = scope === ORGANIZE_SCOPES.WINDOW
+            ? await runOrganizeMode(msg.mode)
+            : await organizeAcrossWindows(msg.mode, scope, runOrganizeMode);
+          // "keep organized" follows whichever mode ran last (closing duplicates doesn't group anything)
+          if (res.ok && msg.mode !== 'duplicates') await rememberModeRun(scope === ORGANIZE_SCOPES.WINDOW ? await getTargetWindowId() : null, msg.mode);
+          return { ok: res.ok, detail: res, summary: res.summary };
+        } catch (err) {
+          return { ok: false, error: String(err?.message || err) };
+        }
+      })();
+
+
+    // Dry run: what ORGANIZE_TABS would do to the focused window, as data
+    case "PREVIEW_ORGANIZE":
+      return (async () => {
+        try {
+          return await runOrganizeMode(msg.mode, { windowId: msg.windowId ?? null, preview: true });
+        } catch (err) {
+          return { ok: false, error: String(err?.message || err) };
+        }
+      })();
+
+    // Apply a previewed plan, after the user renamed/moved/dropped groups
+    case "APPLY_ORGANIZE_PLAN":
+      return (async () => {
+        try {
+          if (msg.windowId == null || !Array.isArray(msg.groups)) return { ok: false, error: 'missing_plan' };
+          if (!msg.groups.some(g => g.tabIds?.length)) return { ok: false, error: 'empty_plan' };
+          await recordCheckpoint(msg.windowId, msg.mode || 'plan');
+          const res = await applyOrganizePlan(msg.windowId, msg.groups);
+          if (res.ok && msg.mode) await rememberModeRun(msg.windowId, msg.mode);
+          return { ok: res.ok, detail: res, error: res.error };
+        } catch (err) {
+          return { ok: false, error: String(err?.message || err) };
+        }
+      })();
+
+    // Same page open more than once, across windows
+    case "FIND_DUPLICATES":
+      return findDuplicates()
+        .then(sets => ({ ok: true, sets, extraTabs: sets.reduce((n, set) => n + set.close.length, 0) }))
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    // Close the extra copies (all of them, or just tabIds); undone with UNDO_LAST_LAYOUT
+    case "MERGE_DUPLICATES":
+      return mergeDuplicates({ tabIds: Array.isArray(msg.tabIds) ? msg.tabIds : null })
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    // Stale tab archive: tabs unused for organize.archiveAfterDays (or msg.days)
+    case "GET_STALE_TABS":
+      return findStaleTabs({ days: msg.days ?? null })
+        .then(tabs => ({ ok: true, tabs }))
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    // Close tabs into the archive: msg.tabIds, or every stale tab
+    case "ARCHIVE_TABS":
+      return (async () => {
+        try {
+          const tabIds = Array.isArray(msg.tabIds) ? msg.tabIds : (await findStaleTabs({ days: msg.days ?? null })).map(t => t.id);
+          if (!tabIds.length) return { ok: false, error: 'no_stale_tabs' };
+          return await archiveTabs(tabIds);
+        } catch (err) {
+          return { ok: false, error: String(err?.message || err) };
+        }
+      })();
+
+    case "SEARCH_ARCHIVE":
+      return searchArchive(msg.query || '', { limit: msg.limit ?? 20 })
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    case "RESTORE_ARCHIVED":
+      if (!Array.isArray(msg.ids) || !msg.ids.length) return Promise.resolve({ ok: false, error: 'missing_ids' });
+      return restoreArchived(msg.ids, { windowId: msg.windowId ?? null })
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    case "DELETE_ARCHIVED":
+      if (!Array.isArray(msg.ids) || !msg.ids.length) return Promise.resolve({ ok: false, error: 'missing_ids' });
+      return removeArchived(msg.ids)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    // Saved workspaces: every window's tabs and groups, by name
+    case "SAVE_WORKSPACE":
+      return saveWorkspace(msg.name)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    case "LIST_WORKSPACES":
+      return listWorkspaces()
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    // msg.id or msg.name; replace: true switches (closes what's open after saving it)
+    case "OPEN_WORKSPACE":
+      return openWorkspace(msg.id ?? msg.name, { replace: !!msg.replace })
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    case "RENAME_WORKSPACE":
+      return renameWorkspace(msg.id, msg.name)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    case "DELETE_WORKSPACE":
+      return deleteWorkspace(msg.id ?? msg.name)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    // Locked groups: left alone by every organize mode
+    case "GET_TAB_GROUPS":
+      return (async () => {
+        try {
+          const windowId = msg.windowId ?? await getTargetWindowId();
+          return { ok: true, windowId, groups: await listGroups(windowId) };
         } catch (err) {
           return { ok: false, error: String(err?.message || err) };
         }
       })();
 
+    case "LOCK_GROUP":
+      return lockGroup(msg.groupId)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    case "UNLOCK_GROUP":
+      return unlockGroup(msg.groupId)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
 
     case "USER_HINT_DOMAIN_GROUP":
       return (async () => {
         try {
           if (msg.domain && msg.group) {
             // Store user hints for domain-to-group mappings
-            // Store user hints if needed
-            await chrome.storage.local.set({ domainToGroup: { [msg.domain]: msg.group } });
+            await loadSettings();
+            await setSetting('organize.domainToGroup', { ...getSetting('organize.domainToGroup'), [msg.domain]: msg.group });
             return { ok: true };
           } else {
             return { ok: false, error: 'missing_domain_or_group' };
@@ -129,14 +270,78 @@ export function handleOrganizeTabsMessage(msg) {
     case "UNDO_LAST_LAYOUT":
       return (async () => {
         try {
-          const win = await chrome.windows.getLastFocused();
-          await restoreLayoutFromSnapshot(getLastLayoutSnapshot());
-          return { ok: true };
+          return await undoLastLayout(msg.windowId ?? null);
+        } catch (err) {
+          return { ok: false, error: String(err?.message || err) };
+        }
+      })();
+
+    // Layout checkpoints: one per organize run, plus ones saved by hand
+    case "SAVE_LAYOUT_CHECKPOINT":
+      return (async () => {
+        try {
+          const windowId = msg.windowId ?? await getTargetWindowId();
+          const checkpoint = await recordCheckpoint(windowId, 'manual', msg.name);
+          return { ok: true, id: checkpoint.id };
         } catch (err) {
           return { ok: false, error: String(err?.message || err) };
         }
       })();
 
+    case "LIST_LAYOUT_CHECKPOINTS":
+      return listCheckpoints(msg.windowId ?? null)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    case "PREVIEW_LAYOUT_CHECKPOINT":
+      return previewCheckpoint(msg.id)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    case "RESTORE_LAYOUT_CHECKPOINT":
+      return restoreCheckpoint(msg.id)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    case "RENAME_LAYOUT_CHECKPOINT":
+      return renameCheckpoint(msg.id, msg.name)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    case "DELETE_LAYOUT_CHECKPOINT":
+      return deleteCheckpoint(msg.id)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    case "GET_INTENT_BUCKETS":
+      return listIntentBuckets()
+        .then(buckets => ({ ok: true, buckets }))
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    // Custom buckets (options page); previousName renames an existing one
+    case "SAVE_INTENT_BUCKET":
+      return saveIntentBucket(msg.bucket, msg.previousName ?? null)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    case "DELETE_INTENT_BUCKET":
+      return deleteIntentBucket(msg.name)
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
+    // Domain → intent rule, e.g. taught by dragging a tab between groups in
+    // the intent preview. Takes a domain or a tab URL; no intent clears it.
+    case "SET_DOMAIN_RULE":
+      return (async () => {
+        try {
+          const domain = domainForRule(msg.domain, msg.url);
+          if (!domain) return { ok: false, error: 'invalid_domain' };
+          await setDomainRule(domain, msg.intent ? String(msg.intent) : null);
+          return { ok: true, domain, intent: msg.intent || null };
+        } catch (err) {
+          return { ok: false, error: String(err?.message || err) };
+        }
+      })();
+
+    case "CLEAR_INTENT_CACHE":
+      clearTabIntentCache(); // in-memory per-tab guesses
+      return clearIntentCache()
+        .then(() => ({ ok: true }))
+        .catch(err => ({ ok: false, error: String(err?.message || err) }));
+
     case "UNGROUP_TAB":
       return chrome.tabs.ungroup([msg.tabId])
         .then(() => ({ ok: true }))
@@ -159,6 +364,15 @@ export {
   organizeTabsByActivity,
   organizeTabsByDomain,
   groupBySessionTabs,
-  organizeByIntent
+  organizeTabsByLineage,
+  organizeByIntent,
+  findDuplicates,
+  mergeDuplicates,
+  searchArchive,
+  restoreArchived,
+  saveWorkspace,
+  listWorkspaces,
+  openWorkspace,
+  deleteWorkspace
 };
 
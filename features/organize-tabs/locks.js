@@ -0,0 +1,209 @@
+// Organize Tabs - Locked groups
+// Groups the user built by hand (or locked from the popup) are off limits:
+// organize modes leave their tabs out of clustering and never ungroup,
+// refill or move them. A group counts as user-made when it appears without
+// Tabitha having created it. Group ids only last for the browser session, so
+// this lives in chrome.storage.session like the layout history. Chrome
+// recreates every group on restart (new ids, onCreated again), so the titles
+// and colors of Tabitha's groups are also kept in chrome.storage.local and a
+// group that comes back looking like one of them isn't taken for the user's.
+
+import { getSetting, loadSettings } from '../../shared/settings.js';
+
+const log = (...a) => console.log("[Tabitha::organize-locks]", ...a);
+
+const LOCKS_KEY = 'tabitha_groupLocks';
+const OWN_KEY = 'tabitha_ownGroups';
+const OWN_LOOKS_KEY = 'tabitha_ownGroupLooks'; // storage.local: "title|color" -> last seen
+const ATTRIBUTE_AFTER_MS = 1000; // our group() call resolves after onCreated fires
+const RESTORE_ATTRIBUTE_AFTER_MS = 10 * 1000; // restored groups get their title a moment later
+const STARTUP_GRACE_MS = 60 * 1000;
+const OWN_LOOKS_MAX = 200;
+const OWN_LOOKS_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+let locks = null;     // groupId -> { locked, reason: 'user-made' | 'manual', at }
+let ownGroups = null; // Set of group ids Tabitha created
+let loading = null;
+let restoringUntil = 0; // browser startup: groups being recreated from the last session
+
+function loadLocks() {
+  if (locks) return Promise.resolve();
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const stored = await chrome.storage.session.get([LOCKS_KEY, OWN_KEY]);
+        locks = stored[LOCKS_KEY] || {};
+        ownGroups = new Set(stored[OWN_KEY] || []);
+      } catch (err) {
+        log('Failed to load group locks:', err);
+        locks = {};
+        ownGroups = new Set();
+      }
+    })();
+  }
+  return loading;
+}
+
+function persist() {
+  chrome.storage.session.set({ [LOCKS_KEY]: locks, [OWN_KEY]: [...ownGroups] })
+    .catch(err => log('Failed to save group locks:', err));
+}
+
+// ============================================================================
+// OWNERSHIP
+// ============================================================================
+
+/**
+ * Record a group Tabitha just created, so it isn't mistaken for a user's
+ */
+export async function noteOwnGroup(groupId) {
+  if (groupId == null) return;
+  await loadLocks();
+  ownGroups.add(groupId);
+  persist();
+}
+
+function lookOf(group) {
+  return group.title ? `${group.title}|${group.color}` : null;
+}
+
+// Remember how one of our groups looks, so it's recognized after a restart
+async function rememberOwnLook(group) {
+  const look = lookOf(group);
+  if (!look) return;
+  try {
+    const { [OWN_LOOKS_KEY]: stored = {} } = await chrome.storage.local.get(OWN_LOOKS_KEY);
+    if (Date.now() - (stored[look] || 0) < 60 * 60 * 1000) return; // collapse/expand fire this a lot
+    const cutoff = Date.now() - OWN_LOOKS_TTL_MS;
+    const looks = Object.entries({ ...stored, [look]: Date.now() })
+      .filter(([, at]) => at >= cutoff)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, OWN_LOOKS_MAX);
+    await chrome.storage.local.set({ [OWN_LOOKS_KEY]: Object.fromEntries(looks) });
+  } catch (err) {
+    log('Failed to remember group look:', err);
+  }
+}
+
+async function looksLikeOwnGroup(groupId) {
+  const group = await chrome.tabGroups.get(groupId).catch(() => null);
+  const look = group && lookOf(group);
+  if (!look) return false;
+  const { [OWN_LOOKS_KEY]: looks = {} } = await chrome.storage.local.get(OWN_LOOKS_KEY);
+  return look in looks;
+}
+
+async function attributeNewGroup(groupId) {
+  await Promise.all([loadLocks(), loadSettings()]);
+  if (ownGroups.has(groupId) || locks[groupId]) return;
+  // Recreated from the last session and titled like one of ours: it is ours
+  if (await looksLikeOwnGroup(groupId)) {
+    ownGroups.add(groupId);
+    persist();
+    return;
+  }
+  if (!getSetting('organize.protectUserGroups')) return;
+  locks[groupId] = { locked: true, reason: 'user-made', at: Date.now() };
+  persist();
+  log(`Locked user-made group ${groupId}`);
+}
+
+export function initGroupLockListeners() {
+  chrome.runtime.onStartup.addListener(() => {
+    restoringUntil = Date.now() + STARTUP_GRACE_MS;
+  });
+
+  chrome.tabGroups.onCreated.addListener((group) => {
+    // onStartup may be dispatched after the first restored groups, so decide the wait later
+    setTimeout(() => {
+      const restoring = Date.now() < restoringUntil;
+      setTimeout(() => attributeNewGroup(group.id), restoring ? RESTORE_ATTRIBUTE_AFTER_MS - ATTRIBUTE_AFTER_MS : 0);
+    }, ATTRIBUTE_AFTER_MS);
+  });
+
+  chrome.tabGroups.onUpdated.addListener(async (group) => {
+    await loadLocks();
+    if (ownGroups.has(group.id)) rememberOwnLook(group);
+  });
+
+  chrome.tabGroups.onRemoved.addListener(async (group) => {
+    await loadLocks();
+    delete locks[group.id];
+    ownGroups.delete(group.id);
+    persist();
+  });
+}
+
+// ============================================================================
+// QUERIES (used by every organize mode)
+// ============================================================================
+
+export async function isGroupLocked(groupId) {
+  await loadLocks();
+  return locks[groupId]?.locked === true;
+}
+
+/**
+ * Ids of tabs sitting in locked groups in a window (or everywhere)
+ */
+export async function getLockedTabIds(windowId = null) {
+  await loadLocks();
+  const lockedIds = Object.entries(locks).filter(([, l]) => l.locked).map(([id]) => Number(id));
+  if (!lockedIds.length) return new Set();
+  const tabs = await chrome.tabs.query(windowId != null ? { windowId } : {});
+  return new Set(tabs.filter(t => lockedIds.includes(t.groupId)).map(t => t.id));
+}
+
+/**
+ * Drop tabs in locked groups from a list of tabs
+ */
+export async function withoutLockedTabs(tabs) {
+  const locked = await getLockedTabIds();
+  return locked.size ? tabs.filter(t => !locked.has(t.id)) : tabs;
+}
+
+// ============================================================================
+// LOCK / UNLOCK / LIST (messages)
+// ============================================================================
+
+export async function lockGroup(groupId) {
+  await loadLocks();
+  const group = await chrome.tabGroups.get(groupId).catch(() => null);
+  if (!group) return { ok: false, error: 'not_found' };
+  locks[groupId] = { locked: true, reason: 'manual', at: Date.now() };
+  persist();
+  return { ok: true };
+}
+
+export async function unlockGroup(groupId) {
+  await loadLocks();
+  const group = await chrome.tabGroups.get(groupId).catch(() => null);
+  if (!group) return { ok: false, error: 'not_found' };
+  // Remembered as unlocked, so a user-made group isn't locked again
+  locks[groupId] = { locked: false, reason: 'manual', at: Date.now() };
+  persist();
+  return { ok: true };
+}
+
+/**
+ * Groups in a window with their lock state, in tab-strip order
+ */
+export async function listGroups(windowId) {
+  await loadLocks();
+  const [groups, tabs] = await Promise.all([
+    chrome.tabGroups.query({ windowId }),
+    chrome.tabs.query({ windowId })
+  ]);
+  const firstIndex = (id) => tabs.find(t => t.groupId === id)?.index ?? Infinity;
+  return groups
+    .sort((a, b) => firstIndex(a.id) - firstIndex(b.id))
+    .map(g => ({
+      id: g.id,
+      title: g.title || '',
+      color: g.color,
+      tabCount: tabs.filter(t => t.groupId === g.id).length,
+      locked: locks[g.id]?.locked === true,
+      lockReason: locks[g.id]?.locked ? locks[g.id].reason : null,
+      byTabitha: ownGroups.has(g.id)
+    }));
+}
@@ -1,32 +1,280 @@
 // Organize Tabs - Tab metadata tracking for activity-based organization
-// Tracks when tabs are created, focused, etc.
+// Tracks when tabs are created, focused, for how long, and which tab opened
+// them (for the lineage mode). Kept in
+// chrome.storage.local so a service-worker restart doesn't make every tab
+// look brand new and never focused. Tab ids don't survive a browser restart,
+// so each record also carries the tab's URL, window and index, and on load
+// the records are matched back to the open tabs (reconcile()).
 
-const tabMeta = new Map(); // tabId -> { createdAt, lastFocusedAt, everFocused }
+import { noteTabCreated, noteTabUpdated, noteTabMoved, noteTabRemoved } from './auto-organize.js';
+
+const log = (...a) => console.log("[Tabitha::organize-metadata]", ...a);
+
+const META_KEY = 'tabitha_tabActivity';
+const SAVE_DEBOUNCE_MS = 2000;
+const ORPHAN_TTL_MS = 10 * 60 * 1000; // records with no tab yet, waiting for session restore
+const ADOPT_WITHIN_MS = 60 * 1000;    // only a tab this new can take over an orphaned record
+
+// tabId -> { createdAt, lastFocusedAt, everFocused, focusCount, focusMs, openerTabId }
+// createdAt is null for tabs that were open before Tabitha saw them
+const tabMeta = new Map();
+let orphans = [];     // stored records no open tab matched: [{ url, windowId, index, ..., orphanedAt }]
+let focused = null;   // { tabId, since }: the tab the user is looking at right now
+let focusedWindowId = null;
+let loading = null;
+let saveTimer = null;
+
+function newMeta(createdAt = Date.now(), openerTabId = null) {
+  return { createdAt, lastFocusedAt: 0, everFocused: false, focusCount: 0, focusMs: 0, openerTabId };
+}
 
 export function ensureMeta(tabId) {
   if (!tabMeta.has(tabId)) {
-    tabMeta.set(tabId, { createdAt: Date.now(), lastFocusedAt: 0, everFocused: false });
+    tabMeta.set(tabId, newMeta(null));
   }
   return tabMeta.get(tabId);
 }
 
+// Activity fields of a stored record, without its identity
+function metaFromRecord({ createdAt = null, lastFocusedAt = 0, everFocused = false, focusCount = 0, focusMs = 0, openerTabId = null }) {
+  return { createdAt, lastFocusedAt, everFocused, focusCount, focusMs, openerTabId };
+}
+
+// URL a record is matched on: fragments don't make a different page
+function identityUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    return u.toString();
+  } catch {
+    return String(url || '');
+  }
+}
+
+// ============================================================================
+// PERSISTENCE (chrome.storage.local)
+// ============================================================================
+
+/**
+ * Load the stored records and match them to the open tabs. Safe to call
+ * repeatedly; organize modes await it before reading getTabMeta().
+ */
+export function loadTabMeta() {
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const [{ [META_KEY]: stored }, tabs, win] = await Promise.all([
+          chrome.storage.local.get(META_KEY),
+          chrome.tabs.query({}),
+          chrome.windows.getLastFocused().catch(() => null)
+        ]);
+        reconcile(stored || {}, tabs);
+        focusedWindowId = win?.focused ? win.id : null;
+        const active = focusedWindowId != null ? tabs.find(t => t.active && t.windowId === focusedWindowId) : null;
+        // Same browser session and the same tab still in front: keep timing it
+        // (reconcile() already credited the time up to the last save)
+        if (active && stored?.focus?.tabId === active.id && tabMeta.has(active.id)) focused = { tabId: active.id, since: stored.savedAt };
+        else if (active) startFocus(active.id, false);
+      } catch (err) {
+        log('Failed to load tab activity:', err);
+      }
+    })();
+  }
+  return loading;
+}
+
+function scheduleSave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(save, SAVE_DEBOUNCE_MS);
+}
+
+async function save() {
+  saveTimer = null;
+  try {
+    // Refresh every record's identity (URL, window, index) while we're at it
+    const tabs = await chrome.tabs.query({});
+    const records = {};
+    for (const t of tabs) {
+      const m = tabMeta.get(t.id);
+      if (m) records[t.id] = { ...m, url: identityUrl(t.url || t.pendingUrl), windowId: t.windowId, index: t.index };
+    }
+    const now = Date.now();
+    orphans = orphans.filter(o => now - o.orphanedAt < ORPHAN_TTL_MS);
+    await chrome.storage.local.set({ [META_KEY]: { savedAt: now, tabs: records, orphans, focus: focused } });
+  } catch (err) {
+    log('Failed to save tab activity:', err);
+  }
+}
+
+/**
+ * Match stored records to open tabs:
+ * 1. same tab id and URL: the worker restarted, the browser didn't
+ * 2. same URL, preferring the window that shares the most URLs with the
+ *    record's old window, then the closest index: the browser restarted and
+ *    restored its tabs under new ids
+ * Records nothing matched wait a while as orphans for late-restored tabs.
+ */
+function reconcile(stored, tabs) {
+  const now = Date.now();
+  const records = [
+    ...Object.entries(stored.tabs || {}).map(([tabId, r]) => ({ ...r, tabId: Number(tabId) })),
+    ...(stored.orphans || []).filter(o => now - o.orphanedAt < ORPHAN_TTL_MS)
+  ];
+
+  // Focus time up to the last save, for a tab that was in front back then
+  const lastFocus = stored.focus && records.find(r => r.tabId === stored.focus.tabId);
+  if (lastFocus && stored.savedAt > stored.focus.since) lastFocus.focusMs += stored.savedAt - stored.focus.since;
+
+  const unmatched = new Set(records);
+  const remaining = [];
+  const newIdFor = new Map(); // stored tab id -> open tab id, to carry opener links over
+  const adopt = (tab, r) => {
+    tabMeta.set(tab.id, metaFromRecord(r));
+    if (r.tabId != null) newIdFor.set(r.tabId, tab.id);
+    unmatched.delete(r);
+  };
+
+  for (const tab of tabs) {
+    const r = records.find(x => x.tabId === tab.id && x.url === identityUrl(tab.url) && !x.orphanedAt);
+    if (r) adopt(tab, r);
+    else remaining.push(tab);
+  }
+
+  // Old window id -> new window id, by how many URLs they share
+  const votes = new Map(); // `${newWin}:${oldWin}` -> count
+  for (const tab of remaining) {
+    for (const r of unmatched) {
+      if (r.url !== identityUrl(tab.url)) continue;
+      const key = `${tab.windowId}:${r.windowId}`;
+      votes.set(key, (votes.get(key) || 0) + 1);
+    }
+  }
+  const windowFor = new Map(); // oldWin -> newWin
+  for (const [key] of [...votes].sort((a, b) => b[1] - a[1])) {
+    const [newWin, oldWin] = key.split(':').map(Number);
+    if (!windowFor.has(oldWin) && ![...windowFor.values()].includes(newWin)) windowFor.set(oldWin, newWin);
+  }
+
+  for (const tab of remaining) {
+    const url = identityUrl(tab.url);
+    const candidates = [...unmatched].filter(r => r.url === url);
+    if (!candidates.length) {
+      tabMeta.set(tab.id, newMeta(null));
+      continue;
+    }
+    const cost = (r) => (windowFor.get(r.windowId) === tab.windowId ? 0 : 1000) + Math.abs((r.index ?? 0) - tab.index);
+    adopt(tab, candidates.sort((a, b) => cost(a) - cost(b))[0]);
+  }
+
+  // Opener links point at stored ids; fall back on the browser's own link
+  for (const tab of tabs) {
+    const m = tabMeta.get(tab.id);
+    m.openerTabId = newIdFor.get(m.openerTabId) ?? tab.openerTabId ?? null;
+  }
+
+  orphans = [...unmatched].map(({ tabId, ...r }) => ({ ...r, orphanedAt: r.orphanedAt || now }));
+  log(`Reconciled tab activity: ${records.length - unmatched.size} record(s) matched to ${tabs.length} tab(s), ${orphans.length} waiting`);
+  scheduleSave();
+}
+
+// A tab restored after we reconciled (session restore can be slow) takes over
+// the orphaned record with its URL
+function adoptOrphan(tabId, url) {
+  const m = tabMeta.get(tabId);
+  if (!orphans.length || !m || m.focusCount || Date.now() - (m.createdAt || 0) > ADOPT_WITHIN_MS) return;
+  const i = orphans.findIndex(o => o.url === identityUrl(url));
+  if (i === -1) return;
+  const [orphan] = orphans.splice(i, 1);
+  tabMeta.set(tabId, {
+    ...metaFromRecord(orphan),
+    lastFocusedAt: Math.max(m.lastFocusedAt, orphan.lastFocusedAt || 0),
+    everFocused: m.everFocused || !!orphan.everFocused,
+    openerTabId: m.openerTabId // the orphan's is from before the restart
+  });
+}
+
+// ============================================================================
+// FOCUS TRACKING
+// ============================================================================
+
+function endFocus(now = Date.now()) {
+  if (!focused) return;
+  const m = tabMeta.get(focused.tabId);
+  if (m) m.focusMs += Math.max(0, now - focused.since);
+  focused = null;
+}
+
+function startFocus(tabId, count = true) {
+  const now = Date.now();
+  if (focused?.tabId === tabId) return;
+  endFocus(now);
+  const m = ensureMeta(tabId);
+  m.lastFocusedAt = now;
+  m.everFocused = true;
+  if (count) m.focusCount++;
+  focused = { tabId, since: now };
+}
+
 export function initMetadataListeners() {
-  chrome.tabs.onCreated.addListener((tab) => {
-    const m = ensureMeta(tab.id);
-    m.createdAt = Date.now();
+  loadTabMeta(); // reconcile at startup, not on the first organize
+
+  chrome.tabs.onCreated.addListener(async (tab) => {
+    await loadTabMeta();
+    tabMeta.set(tab.id, newMeta(Date.now(), tab.openerTabId ?? null));
+    if (tab.url || tab.pendingUrl) adoptOrphan(tab.id, tab.url || tab.pendingUrl);
+    scheduleSave();
+    noteTabCreated(tab);
   });
 
   chrome.tabs.onActivated.addListener(async (activeInfo) => {
-    const m = ensureMeta(activeInfo.tabId);
-    m.lastFocusedAt = Date.now();
-    m.everFocused = true;
+    await loadTabMeta();
+    if (focusedWindowId == null || activeInfo.windowId === focusedWindowId) {
+      startFocus(activeInfo.tabId);
+    } else {
+      // Switched in a window the user isn't looking at (e.g. a tab closed there)
+      const m = ensureMeta(activeInfo.tabId);
+      m.lastFocusedAt = Date.now();
+      m.everFocused = true;
+    }
+    scheduleSave();
+  });
+
+  chrome.windows.onFocusChanged.addListener(async (windowId) => {
+    await loadTabMeta();
+    if (windowId === chrome.windows.WINDOW_ID_NONE) {
+      focusedWindowId = null;
+      endFocus();
+    } else {
+      focusedWindowId = windowId;
+      const [active] = await chrome.tabs.query({ windowId, active: true });
+      if (active) startFocus(active.id);
+    }
+    scheduleSave();
   });
 
-  chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.tabs.onRemoved.addListener(async (tabId) => {
+    await loadTabMeta();
+    if (focused?.tabId === tabId) endFocus();
+    // Tabs it opened now hang off its own opener, so a trail survives a closed page
+    const openerTabId = tabMeta.get(tabId)?.openerTabId ?? null;
+    for (const m of tabMeta.values()) {
+      if (m.openerTabId === tabId) m.openerTabId = openerTabId;
+    }
     tabMeta.delete(tabId);
+    scheduleSave();
+    noteTabRemoved(tabId);
   });
 
-  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  chrome.tabs.onMoved.addListener((tabId) => { noteTabMoved(tabId); scheduleSave(); });
+  chrome.tabs.onAttached.addListener((tabId) => { noteTabMoved(tabId); scheduleSave(); });
+
+  chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    noteTabUpdated(tabId, changeInfo);
+    await loadTabMeta();
+    if (changeInfo.url) {
+      adoptOrphan(tabId, changeInfo.url);
+      scheduleSave();
+    }
     if (tab && tab.active) {
       const m = ensureMeta(tabId);
       m.lastFocusedAt = Date.now();
@@ -43,7 +291,15 @@ export function hoursSince(ts) {
   return (Date.now() - ts) / 3600000;
 }
 
+/**
+ * Per-tab activity, including time spent on the tab in front right now
+ */
 export function getTabMeta() {
+  if (focused && tabMeta.has(focused.tabId)) {
+    const live = new Map(tabMeta);
+    const m = tabMeta.get(focused.tabId);
+    live.set(focused.tabId, { ...m, focusMs: m.focusMs + (Date.now() - focused.since) });
+    return live;
+  }
   return tabMeta;
 }
-
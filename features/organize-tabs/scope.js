@@ -0,0 +1,93 @@
+// Organize Tabs - Window scope
+// Every mode works on one window; this runs a mode over several. "all" tidies
+// each window in place, "merge" pulls every window's tabs into the focused one
+// first, and "split" does the merge and then gives each group its own window.
+
+import { getTargetWindowId, moveTabsToWindow } from './utils.js';
+import { recordBatchCheckpoint } from './checkpoints.js';
+import { getLockedTabIds, isGroupLocked } from './locks.js';
+
+const log = (...a) => console.log("[Tabitha::organize-scope]", ...a);
+
+export const ORGANIZE_SCOPES = Object.freeze({
+  WINDOW: 'window', // just the focused window (default)
+  ALL: 'all',       // each window on its own
+  MERGE: 'merge',   // everything into the focused window
+  SPLIT: 'split'    // everything, then one window per group
+});
+
+const VALID = new Set(Object.values(ORGANIZE_SCOPES));
+
+export function isValidScope(scope) {
+  return VALID.has(scope);
+}
+
+// Normal windows tabs can move between (incognito and regular can't mix)
+async function sameProfileWindows(targetWindowId) {
+  const windows = await chrome.windows.getAll({ windowTypes: ['normal'], populate: true });
+  const target = windows.find(w => w.id === targetWindowId);
+  return windows.filter(w => w.incognito === !!target?.incognito);
+}
+
+/**
+ * Run an organize mode across windows.
+ * runMode(mode, { windowId, checkpoint }) organizes a single window.
+ */
+export async function organizeAcrossWindows(mode, scope, runMode) {
+  const targetWindowId = await getTargetWindowId();
+  const windows = await sameProfileWindows(targetWindowId);
+  if (!windows.length) return { ok: false, reason: "No windows" };
+
+  // One checkpoint batch for every window we touch, so undo walks it all back
+  await recordBatchCheckpoint(windows.map(w => w.id), `${mode}:${scope}`);
+
+  if (scope === ORGANIZE_SCOPES.ALL) {
+    const results = [];
+    for (const w of windows) {
+      const res = await runMode(mode, { windowId: w.id, checkpoint: false });
+      results.push({ windowId: w.id, ...res });
+    }
+    return { ok: results.some(r => r.ok), scope, windows: results.length, results };
+  }
+
+  // merge / split: pinned tabs and locked groups stay put, everything else comes to the target
+  const locked = await getLockedTabIds();
+  const incoming = windows
+    .filter(w => w.id !== targetWindowId)
+    .flatMap(w => w.tabs.filter(t => !t.pinned && !locked.has(t.id)).map(t => t.id));
+  const moved = await moveTabsToWindow(targetWindowId, incoming);
+  log(`Merged ${moved} tab(s) from ${windows.length - 1} window(s)`);
+
+  const res = await runMode(mode, { windowId: targetWindowId, checkpoint: false });
+  if (scope === ORGANIZE_SCOPES.MERGE) return { ...res, scope, mergedTabs: moved };
+
+  const created = await splitGroupsIntoWindows(targetWindowId);
+  return { ...res, scope, mergedTabs: moved, newWindows: created };
+}
+
+/**
+ * Leave the first group (and any loose, pinned or locked tabs) where they are
+ * and move every other group to a window of its own.
+ */
+async function splitGroupsIntoWindows(windowId) {
+  const tabs = await chrome.tabs.query({ windowId });
+  const order = [];
+  for (const t of tabs) {
+    if (t.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE || order.includes(t.groupId)) continue;
+    if (!(await isGroupLocked(t.groupId))) order.push(t.groupId);
+  }
+
+  let created = 0;
+  for (const groupId of order.slice(1)) {
+    try {
+      const win = await chrome.windows.create({ focused: false });
+      const placeholderTabId = win.tabs?.[0]?.id;
+      await chrome.tabGroups.move(groupId, { windowId: win.id, index: -1 });
+      if (placeholderTabId != null) await chrome.tabs.remove(placeholderTabId).catch(() => {});
+      created++;
+    } catch (err) {
+      log('Failed to move group to a new window:', groupId, err);
+    }
+  }
+  return created;
+}
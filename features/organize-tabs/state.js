@@ -1,28 +1,5 @@
 // Organize Tabs - State management
-// Tracks layout snapshots for undo functionality
-
-export const lastLayouts = {}; // windowId -> [{tabId, oldGroupId, oldIndex}]
-export let lastLayoutSnapshot = null;
-
-export function setLastLayoutSnapshot(snapshot) {
-  lastLayoutSnapshot = snapshot;
-}
-
-export function getLastLayoutSnapshot() {
-  return lastLayoutSnapshot;
-}
-
-export function saveLayoutForWindow(windowId, layout) {
-  lastLayouts[windowId] = layout;
-}
-
-export function getLayoutForWindow(windowId) {
-  return lastLayouts[windowId];
-}
-
-export function deleteLayoutForWindow(windowId) {
-  delete lastLayouts[windowId];
-}
+// Per-tab classification caches (layout history lives in checkpoints.js)
 
 // Intent classification cache
 const intentCache = {}; // tabId -> { intent, confidence, timestamp, url }
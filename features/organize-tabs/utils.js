@@ -1,5 +1,6 @@
 // Organize Tabs - Shared utilities
 import { getDomain, getBaseDomain, log } from '../../shared/utils.js';
+import { noteOwnGroup, getLockedTabIds } from './locks.js';
 
 export function safeURL(u) {
   try {
@@ -44,20 +45,29 @@ export function pickColorForName(name) {
   return colors[h % colors.length];
 }
 
-// Ensure all tabs are in one window, then group and style
-export async function createGroupFor(windowId, title, color, tabIds) {
-  if (!Array.isArray(tabIds) || tabIds.length === 0) return null;
-
-  // 1) Move tabs to the target window FIRST (group() requires same window)
+// Move tabs that live elsewhere to the end of windowId (leaves the rest alone)
+export async function moveTabsToWindow(windowId, tabIds) {
+  let moved = 0;
   for (const id of tabIds) {
     const t = await chrome.tabs.get(id);
     if (t.windowId !== windowId) {
       await chrome.tabs.move(id, { windowId, index: -1 });
+      moved++;
     }
   }
+  return moved;
+}
+
+// Ensure all tabs are in one window, then group and style
+export async function createGroupFor(windowId, title, color, tabIds) {
+  if (!Array.isArray(tabIds) || tabIds.length === 0) return null;
+
+  // 1) Move tabs to the target window FIRST (group() requires same window)
+  await moveTabsToWindow(windowId, tabIds);
 
   // 2) Group them (returns groupId)
   const groupId = await chrome.tabs.group({ tabIds });
+  await noteOwnGroup(groupId);
 
   // 3) Style the group (title/color)
   await chrome.tabGroups.update(groupId, {
@@ -81,29 +91,101 @@ export async function moveGroupToIndex(groupId, targetIndex) {
   await chrome.tabs.move(firstTabId, { index: targetIndex });
 }
 
+/**
+ * Capture a window's layout for undo: tab order, pinned state and each group's
+ * title, color and collapsed state (group ids alone can't be recreated).
+ */
 export async function snapshotCurrentLayout(windowId) {
-  const tabs = await chrome.tabs.query({ windowId });
-  return tabs.map(t => ({
-    id: t.id,
-    index: t.index,
-    groupId: t.groupId
-  })).sort((a, b) => a.index - b.index);
+  const [tabs, groups] = await Promise.all([
+    chrome.tabs.query({ windowId }),
+    chrome.tabGroups.query({ windowId })
+  ]);
+  return {
+    windowId,
+    takenAt: Date.now(),
+    tabs: tabs
+      .map(t => ({ id: t.id, index: t.index, groupId: t.groupId, pinned: !!t.pinned, title: t.title || '', url: t.url || '' }))
+      .sort((a, b) => a.index - b.index),
+    groups: groups.map(g => ({ id: g.id, title: g.title || '', color: g.color, collapsed: !!g.collapsed }))
+  };
 }
 
+/**
+ * Put a window back the way snapshotCurrentLayout() saw it: same tab order
+ * and pinned state, groups recreated with their original title/color/collapsed
+ * state. Tabs closed since the snapshot are skipped.
+ */
 export async function restoreLayoutFromSnapshot(snapshot) {
-  if (!snapshot) return;
-  for (const entry of snapshot) {
-    try {
-      await chrome.tabs.move(entry.id, { index: entry.index });
-      if (entry.groupId >= 0) {
-        try {
-          await chrome.tabs.group({ groupId: entry.groupId, tabIds: entry.id });
-        } catch {}
-      } else {
-        await chrome.tabs.ungroup(entry.id).catch(() => {});
+  if (!snapshot?.tabs) return { ok: false, error: 'no_snapshot' };
+
+  const alive = new Map();
+  for (const t of await chrome.tabs.query({})) alive.set(t.id, t);
+  const locked = await getLockedTabIds(); // organize never touched these, so undo doesn't either
+  const entries = snapshot.tabs.filter(e => alive.has(e.id) && !locked.has(e.id));
+  const missing = snapshot.tabs.length - entries.length;
+  if (!entries.length) return { ok: false, error: 'tabs_closed' };
+
+  // Original window gone (e.g. emptied by a merge): give the tabs a new one
+  let windowId = await chrome.windows.get(snapshot.windowId).then(w => w.id).catch(() => null);
+  let placeholderTabId = null;
+  if (windowId == null) {
+    const win = await chrome.windows.create({ focused: false });
+    windowId = win.id;
+    placeholderTabId = win.tabs?.[0]?.id ?? null;
+  }
+
+  // 1) Pull everything out of the groups organize created
+  const ids = entries.map(e => e.id);
+  const grouped = ids.filter(id => alive.get(id).groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE);
+  if (grouped.length) await chrome.tabs.ungroup(grouped).catch(() => {});
+
+  // 2) Pinned state as it was, then original order with pinned tabs in the
+  // pinned strip. A tab that can't move (say, one the user is dragging) stays
+  // where it is rather than failing the whole undo.
+  for (const e of entries) {
+    if (!!alive.get(e.id).pinned !== e.pinned) await chrome.tabs.update(e.id, { pinned: e.pinned }).catch(() => {});
+  }
+  const pinned = entries.filter(e => e.pinned).map(e => e.id);
+  const unpinned = entries.filter(e => !e.pinned).map(e => e.id);
+  if (pinned.length) await chrome.tabs.move(pinned, { windowId, index: 0 }).catch(() => {});
+  if (unpinned.length) {
+    const pinnedCount = (await chrome.tabs.query({ windowId, pinned: true })).length;
+    await chrome.tabs.move(unpinned, { windowId, index: pinnedCount }).catch(async (err) => {
+      log('Failed to move tabs back together, moving them one by one', err);
+      for (const [i, id] of unpinned.entries()) {
+        await chrome.tabs.move(id, { windowId, index: pinnedCount + i }).catch(() => {});
       }
-    } catch {}
+    });
   }
+
+  // 3) Recreate groups (reuse the original group if Chrome still has it)
+  let restoredGroups = 0;
+  const collapse = [];
+  for (const g of snapshot.groups || []) {
+    const members = entries.filter(e => e.groupId === g.id && !e.pinned).map(e => e.id);
+    if (!members.length) continue;
+    try {
+      const existing = await chrome.tabGroups.get(g.id).catch(() => null);
+      const groupId = existing && existing.windowId === windowId
+        ? await chrome.tabs.group({ groupId: g.id, tabIds: members })
+        : await chrome.tabs.group({ tabIds: members, createProperties: { windowId } });
+      await noteOwnGroup(groupId);
+      await chrome.tabGroups.update(groupId, { title: g.title, color: g.color });
+      if (g.collapsed) collapse.push(groupId);
+      restoredGroups++;
+    } catch (err) {
+      log('Failed to recreate group', g.title, err);
+    }
+  }
+
+  // 4) Collapse last, so moving tabs around doesn't expand them again
+  for (const groupId of collapse) {
+    await chrome.tabGroups.update(groupId, { collapsed: true }).catch(() => {});
+  }
+
+  if (placeholderTabId != null) await chrome.tabs.remove(placeholderTabId).catch(() => {});
+
+  return { ok: true, windowId, restoredTabs: entries.length, restoredGroups, missingTabs: missing };
 }
 
 export function toastFromBG(text) {
@@ -112,3 +194,76 @@ export function toastFromBG(text) {
   } catch {}
 }
 
+
+// ============================================================================
+// PLANS (dry-run preview → apply)
+// ============================================================================
+// A plan is what a mode would do, as data: [{ title, color, tabIds }] in the
+// order the groups would sit in the tab strip. Intent plans also carry the
+// bucket name (`intent`) of each group.
+
+export const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+/**
+ * Dress a plan up for display: member tabs with titles/icons, plus the window's
+ * other unpinned tabs the plan leaves alone.
+ */
+export function buildPlanPreview(windowId, mode, groups, windowTabs) {
+  const byId = new Map(windowTabs.map(t => [t.id, t]));
+  const describe = (id) => {
+    const t = byId.get(id);
+    return { id, title: t?.title || '', url: t?.url || '', favIconUrl: t?.favIconUrl || '' };
+  };
+  const planned = new Set(groups.flatMap(g => g.tabIds));
+  return {
+    ok: true,
+    preview: true,
+    windowId,
+    mode,
+    groups: groups
+      .filter(g => g.tabIds.length)
+      .map(g => ({
+        title: g.title,
+        color: g.color,
+        ...(g.intent ? { intent: g.intent } : {}),
+        tabs: g.tabIds.filter(id => byId.has(id)).map(describe)
+      })),
+    untouched: windowTabs.filter(t => !t.pinned && !planned.has(t.id)).map(t => describe(t.id))
+  };
+}
+
+/**
+ * Apply a (possibly user-edited) plan to a window: ungroup the tabs it
+ * mentions, then create each group in order where the first of them sat.
+ */
+export async function applyOrganizePlan(windowId, groups) {
+  const current = await chrome.tabs.query({ windowId });
+  const locked = await getLockedTabIds(windowId);
+  const alive = new Set(current.filter(t => !locked.has(t.id)).map(t => t.id));
+  const plan = (groups || [])
+    .map(g => ({
+      title: String(g.title || '').slice(0, 40),
+      color: GROUP_COLORS.includes(g.color) ? g.color : pickColorForName(String(g.title || '')),
+      tabIds: (g.tabIds || []).filter(id => alive.has(id))
+    }))
+    .filter(g => g.tabIds.length);
+  if (!plan.length) return { ok: false, error: 'empty_plan' };
+
+  const involved = plan.flatMap(g => g.tabIds);
+  const grouped = current.filter(t => involved.includes(t.id) && t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE);
+  if (grouped.length) await chrome.tabs.ungroup(grouped.map(t => t.id));
+
+  let anchor = Math.min(...current.filter(t => involved.includes(t.id)).map(t => t.index));
+  const created = [];
+  for (const g of plan) {
+    try {
+      const groupId = await createGroupFor(windowId, g.title, g.color, g.tabIds);
+      await chrome.tabGroups.move(groupId, { index: anchor });
+      anchor += g.tabIds.length;
+      created.push({ groupId, title: g.title, count: g.tabIds.length });
+    } catch (err) {
+      log('Failed to apply planned group', g.title, err);
+    }
+  }
+  return { ok: true, groups: created.length, details: created };
+}
@@ -0,0 +1,267 @@
+// Organize Tabs - Saved workspaces
+// A workspace is a named snapshot of every normal window: tab order, pinned
+// state, groups (title/color/collapsed) and which tab was in front. Opening
+// one recreates its windows with every background tab discarded, so nothing
+// loads until it's clicked. Switching opens it and closes what was open
+// before, once that's saved as "Before switching". Kept in
+// chrome.storage.local: unlike the layout history (checkpoints.js) these have
+// to outlive the browser session, so they hold URLs rather than tab ids.
+
+import { isHttpLike } from './utils.js';
+import { noteOwnGroup } from './locks.js';
+
+const log = (...a) => console.log("[Tabitha::organize-workspaces]", ...a);
+
+const WORKSPACES_KEY = 'tabitha_workspaces';
+const MAX_WORKSPACES = 30;
+const MAX_NAME = 40;
+export const AUTOSAVE_NAME = 'Before switching';
+
+async function loadWorkspaces() {
+  const { [WORKSPACES_KEY]: stored } = await chrome.storage.local.get(WORKSPACES_KEY);
+  return Array.isArray(stored) ? stored : [];
+}
+
+function persist(workspaces) {
+  return chrome.storage.local.set({ [WORKSPACES_KEY]: workspaces });
+}
+
+function summarize(ws) {
+  return {
+    id: ws.id,
+    name: ws.name,
+    savedAt: ws.savedAt,
+    windowCount: ws.windows.length,
+    tabCount: ws.windows.reduce((n, w) => n + w.tabs.length, 0),
+    groups: ws.windows.flatMap(w => w.groups.map(g => ({ title: g.title, color: g.color })))
+  };
+}
+
+function cleanName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME);
+}
+
+/**
+ * The workspace `query` names: its id, the same name in any case, or the
+ * only one whose name contains the query
+ */
+export function matchWorkspace(workspaces, query) {
+  const q = cleanName(query).toLowerCase();
+  if (!q) return null;
+  const exact = workspaces.find(ws => ws.id === query || ws.name.toLowerCase() === q);
+  if (exact) return exact;
+  const partial = workspaces.filter(ws => ws.name.toLowerCase().includes(q));
+  return partial.length === 1 ? partial[0] : null;
+}
+
+function byName(workspaces, name) {
+  const clean = cleanName(name).toLowerCase();
+  return workspaces.find(ws => ws.name.toLowerCase() === clean);
+}
+
+/**
+ * Summary of the workspace `idOrName` names, or null. exact: only one saved
+ * under that very name (what saving under it would replace)
+ */
+export async function findWorkspace(idOrName, { exact = false } = {}) {
+  const workspaces = await loadWorkspaces();
+  const ws = exact ? byName(workspaces, idOrName) : matchWorkspace(workspaces, idOrName);
+  return ws ? summarize(ws) : null;
+}
+
+// ============================================================================
+// SAVE
+// ============================================================================
+
+// Every normal, non-incognito window as { focused, state, groups, tabs }.
+// tabIds lists the open tabs that made it in (only http(s) pages reopen).
+async function captureWindows() {
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  const captured = [];
+  const tabIds = [];
+  for (const win of windows.filter(w => !w.incognito)) {
+    const groups = await chrome.tabGroups.query({ windowId: win.id });
+    const kept = win.tabs
+      .filter(t => isHttpLike(t.url || t.pendingUrl))
+      .sort((a, b) => a.index - b.index);
+    tabIds.push(...kept.map(t => t.id));
+    const tabs = kept
+      .map(t => ({
+        url: t.url || t.pendingUrl,
+        title: t.title || '',
+        pinned: !!t.pinned,
+        active: !!t.active,
+        group: groups.findIndex(g => g.id === t.groupId) // -1: not grouped
+      }));
+    if (!tabs.length) continue;
+    captured.push({
+      focused: !!win.focused,
+      state: win.state === 'maximized' || win.state === 'fullscreen' ? win.state : 'normal',
+      groups: groups.map(g => ({ title: g.title || '', color: g.color, collapsed: !!g.collapsed })),
+      tabs
+    });
+  }
+  return { windows: captured, tabIds };
+}
+
+/**
+ * Save everything that's open under `name`, replacing a workspace of the
+ * same name. Past MAX_WORKSPACES a new name is refused rather than pushing
+ * out an old one; the "Before switching" autosave doesn't count.
+ */
+export async function saveWorkspace(name) {
+  const clean = cleanName(name);
+  if (!clean) return { ok: false, error: 'invalid_name' };
+  const { windows, tabIds } = await captureWindows();
+  if (!windows.length) return { ok: false, error: 'nothing_to_save' };
+
+  const workspaces = await loadWorkspaces();
+  const existing = byName(workspaces, clean);
+  const named = workspaces.filter(w => w.name !== AUTOSAVE_NAME);
+  if (!existing && clean !== AUTOSAVE_NAME && named.length >= MAX_WORKSPACES) {
+    return { ok: false, error: 'too_many_workspaces', max: MAX_WORKSPACES };
+  }
+  const ws = {
+    id: existing?.id || `ws-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: clean,
+    savedAt: Date.now(),
+    windows
+  };
+  const next = [ws, ...workspaces.filter(w => w !== existing)];
+  await persist(next);
+  log(`Saved workspace "${clean}"`, summarize(ws));
+  return { ok: true, replaced: !!existing, workspace: summarize(ws), tabIds };
+}
+
+// ============================================================================
+// OPEN / SWITCH
+// ============================================================================
+
+// Recreate one saved window; background tabs are discarded as they're made
+async function openWindow(saved) {
+  const activeIndex = Math.max(0, saved.tabs.findIndex(t => t.active));
+  const win = await chrome.windows.create({ url: saved.tabs[activeIndex].url, focused: false });
+  if (saved.state !== 'normal') await chrome.windows.update(win.id, { state: saved.state }).catch(() => {});
+
+  const ids = [];
+  for (const [i, t] of saved.tabs.entries()) {
+    if (i === activeIndex) {
+      ids.push(win.tabs[0].id);
+      continue;
+    }
+    try {
+      const tab = await chrome.tabs.create({ windowId: win.id, url: t.url, active: false });
+      const discarded = await chrome.tabs.discard(tab.id).catch(() => null);
+      ids.push(discarded?.id ?? tab.id);
+    } catch (err) {
+      log('Failed to reopen tab', t.url, err);
+      ids.push(null);
+    }
+  }
+
+  // Saved order, pinned tabs first (Chrome keeps them there anyway)
+  const order = saved.tabs.map((t, i) => ({ id: ids[i], pinned: t.pinned })).filter(e => e.id != null);
+  for (const e of order.filter(e => e.pinned)) await chrome.tabs.update(e.id, { pinned: true }).catch(() => {});
+  await chrome.tabs.move(order.map(e => e.id), { index: 0 }).catch(() => {});
+
+  const collapse = [];
+  for (const [g, group] of saved.groups.entries()) {
+    const members = saved.tabs.map((t, i) => (t.group === g && !t.pinned ? ids[i] : null)).filter(id => id != null);
+    if (!members.length) continue;
+    try {
+      const groupId = await chrome.tabs.group({ tabIds: members, createProperties: { windowId: win.id } });
+      await noteOwnGroup(groupId);
+      await chrome.tabGroups.update(groupId, { title: group.title, color: group.color });
+      if (group.collapsed) collapse.push(groupId);
+    } catch (err) {
+      log('Failed to recreate group', group.title, err);
+    }
+  }
+  for (const groupId of collapse) {
+    await chrome.tabGroups.update(groupId, { collapsed: true }).catch(() => {});
+  }
+  return { windowId: win.id, tabs: order.length };
+}
+
+/**
+ * Open a workspace (by id or name) in new windows. replace: switch to it,
+ * first saving what's open as AUTOSAVE_NAME, then closing the tabs that
+ * save holds. Anything it couldn't hold (chrome://, file://, new-tab pages)
+ * stays open, and nothing closes unless the save worked.
+ */
+export async function openWorkspace(idOrName, { replace = false } = {}) {
+  const ws = matchWorkspace(await loadWorkspaces(), idOrName);
+  if (!ws) return { ok: false, error: 'not_found' };
+
+  let closeTabIds = [];
+  if (replace) {
+    // `ws` is already read, so switching back to the autosave itself still
+    // saves what's open first
+    const saved = await saveWorkspace(AUTOSAVE_NAME).catch(err => ({ ok: false, error: String(err?.message || err) }));
+    if (saved.ok) {
+      closeTabIds = saved.tabIds;
+    } else if (saved.error !== 'nothing_to_save') { // nothing savable open: nothing to close either
+      return { ok: false, error: 'autosave_failed' };
+    }
+  }
+
+  // The window that was in front goes last, so it ends up in front again
+  const ordered = [...ws.windows].sort((a, b) => a.focused - b.focused);
+  let tabs = 0;
+  let lastWindowId = null;
+  for (const saved of ordered) {
+    try {
+      const res = await openWindow(saved);
+      tabs += res.tabs;
+      lastWindowId = res.windowId;
+    } catch (err) {
+      log('Failed to reopen window', err);
+    }
+  }
+  if (lastWindowId == null) return { ok: false, error: 'open_failed' };
+  await chrome.windows.update(lastWindowId, { focused: true }).catch(() => {});
+
+  if (closeTabIds.length) {
+    // tabs.remove() fails outright on a tab that's gone since the save
+    const stillOpen = new Set((await chrome.tabs.query({})).map(t => t.id));
+    await chrome.tabs.remove(closeTabIds.filter(id => stillOpen.has(id)))
+      .catch(err => log('Failed to close switched-from tabs', err));
+  }
+
+  log(`${replace ? 'Switched to' : 'Opened'} workspace "${ws.name}": ${ordered.length} window(s), ${tabs} tab(s)`);
+  return {
+    ok: true,
+    workspace: summarize(ws),
+    windows: ordered.length,
+    tabs,
+    savedAs: closeTabIds.length ? AUTOSAVE_NAME : null
+  };
+}
+
+// ============================================================================
+// LIST / RENAME / DELETE
+// ============================================================================
+
+export async function listWorkspaces() {
+  return { ok: true, workspaces: (await loadWorkspaces()).map(summarize) };
+}
+
+export async function renameWorkspace(idOrName, name) {
+  const clean = cleanName(name);
+  if (!clean) return { ok: false, error: 'invalid_name' };
+  const workspaces = await loadWorkspaces();
+  const ws = matchWorkspace(workspaces, idOrName);
+  if (!ws) return { ok: false, error: 'not_found' };
+  if (workspaces.some(w => w !== ws && w.name.toLowerCase() === clean.toLowerCase())) return { ok: false, error: 'duplicate_name' };
+  ws.name = clean;
+  await persist(workspaces);
+  return { ok: true, workspace: summarize(ws) };
+}
+
+export async function deleteWorkspace(idOrName) {
+  const workspaces = await loadWorkspaces();
+  const ws = matchWorkspace(workspaces, idOrName);
+  if (!ws) return { ok: false, error: 'not_found' };
+  await persist(workspaces.filter(w => w !== ws));
+  return { ok: true, workspace: summarize(ws) };
+}
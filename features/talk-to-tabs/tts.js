@@ -266,8 +266,9 @@ export class TTSManager {
         utterance.lang = options.lang || 'en-US';
 
         // Find and set preferred voice
-        if (options.voice) {
-          utterance.voice = options.voice;
+        const named = options.voice ? (await getAvailableVoices()).find(v => v.name === options.voice) : null;
+        if (named) {
+          utterance.voice = named;
         } else {
           const voices = await getAvailableVoices();
           const preferred = findPreferredVoice(voices, options.lang || 'en-US');
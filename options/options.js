@@ -1,2 +1,435 @@
-// options.js - Settings page (settings are now managed in popup)
-console.log("[Tabitha::options] Settings page - use the popup for settings");
+// options.js - Settings page
+// Shared settings are read and written directly (shared/settings.js); the
+// mute lists and organize data live in the service worker and go through
+// messages, same as the popup.
+
+import { loadSettings, getSetting, setSetting, onSettingsChanged, exportSettings, importSettings, resetSettings } from '../shared/settings.js';
+import { getBaseDomain } from '../shared/utils.js';
+
+const log = (...a) => console.log("[Tabitha::options]", ...a);
+
+const EXPORT_APP = 'tabitha';
+const EXPORT_TYPE = 'configuration';
+
+const $ = (id) => document.getElementById(id);
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text ?? '');
+  return div.innerHTML;
+}
+
+let statusTimer = null;
+function showStatus(text) {
+  const el = $('status');
+  el.textContent = text;
+  el.classList.remove('hidden');
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => el.classList.add('hidden'), 2500);
+}
+
+// Resolves with the response, rejects on { ok: false }
+function send(msg) {
+  return chrome.runtime.sendMessage(msg).then((res) => {
+    if (!res?.ok) throw new Error(res?.error || 'request_failed');
+    return res;
+  });
+}
+
+const failed = (what) => (err) => {
+  log(`${what} failed:`, err);
+  showStatus(err?.message === 'invalid_domain' ? "That doesn't look like a domain" : `Couldn't ${what}`);
+};
+
+// ============================================================================
+// MUTE
+// ============================================================================
+
+const POLICY_OPTIONS = [['meeting', 'Mute in meetings'], ['never', 'Never mute'], ['always', 'Always mute']];
+
+function renderPolicies(policies) {
+  $('policyList').innerHTML = policies.map(({ domain, policy }) => `
+    <div class="item">
+      <span>${escapeHtml(domain)}</span>
+      <select data-domain="${escapeHtml(domain)}" class="policy-select">
+        ${POLICY_OPTIONS.map(([v, label]) => `<option value="${v}" ${v === policy ? 'selected' : ''}>${label}</option>`).join('')}
+      </select>
+      <button data-domain="${escapeHtml(domain)}" class="policy-remove">Remove</button>
+    </div>`).join('') || '<p class="hint">No site policies yet.</p>';
+}
+
+function setPolicy(domain, policy) {
+  return send({ type: 'SET_MUTE_POLICY', domain, policy })
+    .then(res => { renderPolicies(res.policies); showStatus('Policy saved'); })
+    .catch(failed('save the policy'));
+}
+
+function renderMeetingRules(rules) {
+  $('meetingRuleList').innerHTML = rules.meeting.map(({ pattern }) => `
+    <div class="item">
+      <span>${escapeHtml(pattern)}</span>
+      <button data-pattern="${escapeHtml(pattern)}" class="rule-remove">Remove</button>
+    </div>`).join('');
+}
+
+$('policyList').addEventListener('change', (e) => {
+  if (e.target.classList.contains('policy-select')) setPolicy(e.target.dataset.domain, e.target.value);
+});
+$('policyList').addEventListener('click', (e) => {
+  if (e.target.classList.contains('policy-remove')) setPolicy(e.target.dataset.domain, null);
+});
+$('addPolicyBtn').addEventListener('click', () => {
+  const domain = $('policyDomainInput').value.trim();
+  if (!domain) return;
+  setPolicy(domain, $('policySelect').value).then(() => { $('policyDomainInput').value = ''; });
+});
+
+$('meetingRuleList').addEventListener('click', (e) => {
+  if (!e.target.classList.contains('rule-remove')) return;
+  send({ type: 'REMOVE_MUTE_RULE', kind: 'meeting', pattern: e.target.dataset.pattern })
+    .then(res => renderMeetingRules(res.rules))
+    .catch(failed('remove the site'));
+});
+$('addMeetingRuleBtn').addEventListener('click', () => {
+  const pattern = $('meetingRuleInput').value.trim();
+  if (!pattern) return;
+  send({ type: 'ADD_MUTE_RULE', kind: 'meeting', pattern })
+    .then(res => { renderMeetingRules(res.rules); $('meetingRuleInput').value = ''; })
+    .catch(err => showStatus(err.message === 'invalid_pattern' ? "That pattern isn't valid" : "Couldn't add the site"));
+});
+$('resetMeetingRulesBtn').addEventListener('click', () => {
+  send({ type: 'RESET_MUTE_RULES', kind: 'meeting' })
+    .then(res => { renderMeetingRules(res.rules); showStatus('Meeting sites restored'); })
+    .catch(failed('restore the defaults'));
+});
+
+$('autoMuteToggle').addEventListener('change', (e) => setSetting('mute.autoMuteDuringMeetings', e.target.checked));
+$('rememberMuteToggle').addEventListener('change', (e) => setSetting('mute.rememberPreferences', e.target.checked));
+
+// ============================================================================
+// ORGANIZE
+// ============================================================================
+
+$('protectUserGroupsToggle').addEventListener('change', (e) => setSetting('organize.protectUserGroups', e.target.checked));
+$('keepOrganizedToggle').addEventListener('change', (e) => setSetting('organize.keepOrganized', e.target.checked));
+$('duplicateBadgeToggle').addEventListener('change', (e) => setSetting('organize.duplicateBadge', e.target.checked));
+$('archiveStaleToggle').addEventListener('change', (e) => setSetting('organize.archiveStale', e.target.checked));
+$('archiveDaysInput').addEventListener('change', async (e) => {
+  await setSetting('organize.archiveAfterDays', Math.round(Number(e.target.value)) || 7);
+  e.target.value = getSetting('organize.archiveAfterDays'); // clamped to 1-90
+});
+
+function renderIntentBuckets(buckets) {
+  $('intentBuckets').innerHTML = buckets
+    .filter(b => !b.custom)
+    .map(b => `<span class="chip" title="${escapeHtml(b.domains.join(', '))}">${b.emoji} ${escapeHtml(b.name)}</span>`)
+    .join('');
+  renderCustomBuckets(buckets.filter(b => b.custom));
+  $('domainRuleBucket').innerHTML = buckets
+    .filter(b => b.name !== 'Unknown')
+    .map(b => `<option value="${escapeHtml(b.name)}">${b.emoji} ${escapeHtml(b.name)}</option>`)
+    .join('');
+}
+
+function refreshIntentBuckets() {
+  return send({ type: 'GET_INTENT_BUCKETS' })
+    .then(res => renderIntentBuckets(res.buckets))
+    .catch(failed('load the buckets'));
+}
+
+// ---- Custom buckets ----
+
+const BUCKET_COLORS = ['blue', 'green', 'purple', 'yellow', 'red', 'orange', 'pink', 'cyan', 'grey'];
+let customBuckets = [];
+let editingBucket = null; // name of the bucket in the form, null = adding
+
+function renderCustomBuckets(buckets) {
+  customBuckets = buckets;
+  $('customBucketList').innerHTML = buckets.map(b => {
+    const what = [...b.domains, ...b.urlPatterns, ...b.keywords.map(k => `"${k}"`)].join(', ') || 'name only';
+    return `
+      <div class="item">
+        <span>${b.emoji} ${escapeHtml(b.name)} <span class="hint">· ${escapeHtml(b.color)} · ${escapeHtml(what)}</span></span>
+        <button data-name="${escapeHtml(b.name)}" class="bucket-edit">Edit</button>
+        <button data-name="${escapeHtml(b.name)}" class="bucket-remove">Remove</button>
+      </div>`;
+  }).join('') || '<p class="hint">No buckets of your own yet.</p>';
+}
+
+const splitList = (value) => value.split(/[,\n]/).map(v => v.trim()).filter(Boolean);
+
+function fillBucketForm(bucket = null) {
+  editingBucket = bucket?.name ?? null;
+  $('bucketEmojiInput').value = bucket?.emoji ?? '';
+  $('bucketNameInput').value = bucket?.name ?? '';
+  $('bucketColorSelect').innerHTML = BUCKET_COLORS
+    .map(c => `<option value="${c}" ${c === (bucket?.color || 'blue') ? 'selected' : ''}>${c}</option>`).join('');
+  $('bucketDomainsInput').value = bucket?.domains.join(', ') ?? '';
+  $('bucketPatternsInput').value = bucket?.urlPatterns.join(', ') ?? '';
+  $('bucketKeywordsInput').value = bucket?.keywords.join(', ') ?? '';
+  $('saveBucketBtn').textContent = bucket ? 'Save bucket' : 'Add bucket';
+  $('cancelBucketBtn').classList.toggle('hidden', !bucket);
+}
+
+const BUCKET_ERRORS = {
+  invalid_name: 'Give the bucket a name',
+  reserved_name: 'That name belongs to a built-in bucket',
+  duplicate_name: 'You already have a bucket with that name',
+  not_found: 'That bucket was removed meanwhile'
+};
+
+$('saveBucketBtn').addEventListener('click', () => {
+  const bucket = {
+    name: $('bucketNameInput').value,
+    emoji: $('bucketEmojiInput').value,
+    color: $('bucketColorSelect').value,
+    domains: splitList($('bucketDomainsInput').value).map(normalizeDomain),
+    urlPatterns: splitList($('bucketPatternsInput').value),
+    keywords: splitList($('bucketKeywordsInput').value)
+  };
+  send({ type: 'SAVE_INTENT_BUCKET', bucket, previousName: editingBucket })
+    .then(res => {
+      showStatus(editingBucket ? 'Bucket saved' : `Added ${res.bucket.name}`);
+      fillBucketForm(); // the list refreshes from onSettingsChanged
+    })
+    .catch(err => showStatus(BUCKET_ERRORS[err.message] || "Couldn't save the bucket"));
+});
+$('cancelBucketBtn').addEventListener('click', () => fillBucketForm());
+$('customBucketList').addEventListener('click', (e) => {
+  const name = e.target.dataset.name;
+  if (e.target.classList.contains('bucket-edit')) {
+    fillBucketForm(customBuckets.find(b => b.name === name));
+    $('bucketNameInput').focus();
+  } else if (e.target.classList.contains('bucket-remove')) {
+    if (!confirm(`Remove "${name}"? Domain rules pointing at it are removed too.`)) return;
+    send({ type: 'DELETE_INTENT_BUCKET', name })
+      .then(() => {
+        if (editingBucket === name) fillBucketForm();
+        showStatus('Bucket removed');
+      })
+      .catch(failed('remove the bucket'));
+  }
+});
+
+function renderDomainRules() {
+  const rules = getSetting('organize.domainRules');
+  $('domainRuleList').innerHTML = Object.entries(rules)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([domain, intent]) => `
+      <div class="item">
+        <span>${escapeHtml(domain)} → ${escapeHtml(intent)}</span>
+        <button data-domain="${escapeHtml(domain)}" class="domain-rule-remove">Remove</button>
+      </div>`).join('') || '<p class="hint">No rules yet.</p>';
+}
+
+function normalizeDomain(value) {
+  return value.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+}
+
+$('addDomainRuleBtn').addEventListener('click', async () => {
+  const domain = normalizeDomain($('domainRuleInput').value);
+  const intent = $('domainRuleBucket').value;
+  if (!domain.includes('.') || !intent) return showStatus("That doesn't look like a domain");
+  await setSetting('organize.domainRules', { ...getSetting('organize.domainRules'), [domain]: intent });
+  $('domainRuleInput').value = '';
+  renderDomainRules();
+});
+$('domainRuleList').addEventListener('click', async (e) => {
+  if (!e.target.classList.contains('domain-rule-remove')) return;
+  const rules = getSetting('organize.domainRules');
+  delete rules[e.target.dataset.domain];
+  await setSetting('organize.domainRules', rules);
+  renderDomainRules();
+});
+
+function renderSplitSubdomains() {
+  $('splitSubdomainList').innerHTML = getSetting('organize.splitSubdomains')
+    .map(domain => `
+      <div class="item">
+        <span>*.${escapeHtml(domain)}</span>
+        <button data-domain="${escapeHtml(domain)}" class="split-subdomain-remove">Remove</button>
+      </div>`).join('') || '<p class="hint">None: each site is one group.</p>';
+}
+
+$('addSplitSubdomainBtn').addEventListener('click', async () => {
+  // "docs.google.com" means "split google.com"
+  const domain = getBaseDomain(`https://${normalizeDomain($('splitSubdomainInput').value)}`);
+  if (!domain.includes('.')) return showStatus("That doesn't look like a domain");
+  const current = getSetting('organize.splitSubdomains');
+  if (!current.includes(domain)) await setSetting('organize.splitSubdomains', [...current, domain].sort());
+  $('splitSubdomainInput').value = '';
+  renderSplitSubdomains();
+});
+$('splitSubdomainList').addEventListener('click', async (e) => {
+  if (!e.target.classList.contains('split-subdomain-remove')) return;
+  await setSetting('organize.splitSubdomains', getSetting('organize.splitSubdomains').filter(d => d !== e.target.dataset.domain));
+  renderSplitSubdomains();
+});
+
+// ============================================================================
+// VOICE
+// ============================================================================
+
+function getVoices() {
+  return new Promise((resolve) => {
+    const voices = speechSynthesis.getVoices();
+    if (voices.length) return resolve(voices);
+    speechSynthesis.onvoiceschanged = () => resolve(speechSynthesis.getVoices());
+    setTimeout(() => resolve(speechSynthesis.getVoices()), 1000); // some platforms never fire it
+  });
+}
+
+async function renderVoices() {
+  const voices = await getVoices();
+  const lang = getSetting('talk.language');
+  const current = getSetting('talk.voice');
+  $('voiceLanguages').innerHTML = Array.from(new Set(voices.map(v => v.lang)))
+    .sort().map(l => `<option value="${escapeHtml(l)}">`).join('');
+  const matching = voices.filter(v => v.lang === lang || v.lang.startsWith(lang.split('-')[0]));
+  $('voiceSelect').innerHTML = '<option value="">Automatic</option>' + (matching.length ? matching : voices)
+    .map(v => `<option value="${escapeHtml(v.name)}" ${v.name === current ? 'selected' : ''}>${escapeHtml(v.name)} (${escapeHtml(v.lang)})</option>`)
+    .join('');
+}
+
+function renderRate() {
+  const rate = getSetting('talk.rate');
+  $('voiceRate').value = rate;
+  $('voiceRateValue').textContent = `${Number(rate).toFixed(1)}×`;
+}
+
+$('voiceLanguage').addEventListener('change', async (e) => {
+  const lang = e.target.value.trim() || 'en-US';
+  await setSetting('talk.language', lang);
+  await setSetting('talk.voice', ''); // the old voice probably doesn't speak it
+  renderVoices();
+});
+$('voiceSelect').addEventListener('change', (e) => setSetting('talk.voice', e.target.value));
+$('voiceRate').addEventListener('input', (e) => { $('voiceRateValue').textContent = `${Number(e.target.value).toFixed(1)}×`; });
+$('voiceRate').addEventListener('change', (e) => setSetting('talk.rate', Number(e.target.value)));
+$('voiceTestBtn').addEventListener('click', async () => {
+  const utterance = new SpeechSynthesisUtterance("Hi, I'm Tabitha. Your tabs are in good hands.");
+  utterance.lang = getSetting('talk.language');
+  utterance.rate = getSetting('talk.rate');
+  const name = getSetting('talk.voice');
+  if (name) utterance.voice = (await getVoices()).find(v => v.name === name) || null;
+  speechSynthesis.cancel();
+  speechSynthesis.speak(utterance);
+});
+
+// ============================================================================
+// PRIVACY
+// ============================================================================
+
+$('meetingHistoryToggle').addEventListener('change', (e) => setSetting('privacy.meetingHistory', e.target.checked));
+$('telemetryToggle').addEventListener('change', (e) => setSetting('privacy.chatTelemetry', e.target.checked));
+$('clearMeetingHistoryBtn').addEventListener('click', () => {
+  send({ type: 'CLEAR_MEETING_HISTORY' }).then(() => showStatus('Meeting history cleared')).catch(failed('clear the history'));
+});
+$('clearIntentCacheBtn').addEventListener('click', () => {
+  send({ type: 'CLEAR_INTENT_CACHE' }).then(() => showStatus('Tab classifications forgotten')).catch(failed('clear the cache'));
+});
+$('clearChatHintsBtn').addEventListener('click', async () => {
+  await setSetting('chat.userHints', { phraseToDomain: [], phraseToType: [] });
+  showStatus('Chat hints forgotten');
+});
+
+// ============================================================================
+// EXPORT / IMPORT
+// ============================================================================
+
+async function exportConfiguration() {
+  const { config } = await send({ type: 'EXPORT_MUTE_CONFIG' });
+  const file = {
+    app: EXPORT_APP,
+    type: EXPORT_TYPE,
+    exportedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    settings: exportSettings(),
+    mute: config
+  };
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `tabitha-settings-${new Date().toISOString().slice(0, 10)}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+  showStatus('Settings exported');
+}
+
+async function importConfiguration(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    return showStatus("That file isn't valid JSON");
+  }
+  if (file?.app !== EXPORT_APP || file?.type !== EXPORT_TYPE) {
+    return showStatus("That isn't a Tabitha settings file");
+  }
+  const res = await importSettings(file.settings || {});
+  if (file.mute) await send({ type: 'IMPORT_MUTE_CONFIG', config: file.mute });
+  log('Imported configuration:', { applied: res.applied, skipped: res.skipped });
+  await renderAll();
+  showStatus(res.skipped.length ? `Imported (skipped ${res.skipped.length} unknown setting(s))` : 'Settings imported');
+}
+
+$('exportBtn').addEventListener('click', () => exportConfiguration().catch(failed('export')));
+$('importBtn').addEventListener('click', () => $('importFile').click());
+$('importFile').addEventListener('change', async (e) => {
+  const f = e.target.files?.[0];
+  if (!f) return;
+  await importConfiguration(await f.text()).catch(failed('import'));
+  e.target.value = '';
+});
+$('resetAllBtn').addEventListener('click', async () => {
+  if (!confirm('Reset all Tabitha settings to their defaults? Site policies and meeting sites are kept.')) return;
+  await resetSettings();
+  await renderAll();
+  showStatus('Settings reset');
+});
+
+// ============================================================================
+// INIT
+// ============================================================================
+
+function renderToggles() {
+  $('autoMuteToggle').checked = getSetting('mute.autoMuteDuringMeetings');
+  $('rememberMuteToggle').checked = getSetting('mute.rememberPreferences');
+  $('protectUserGroupsToggle').checked = getSetting('organize.protectUserGroups');
+  $('keepOrganizedToggle').checked = getSetting('organize.keepOrganized');
+  $('duplicateBadgeToggle').checked = getSetting('organize.duplicateBadge');
+  $('archiveStaleToggle').checked = getSetting('organize.archiveStale');
+  $('archiveDaysInput').value = getSetting('organize.archiveAfterDays');
+  $('meetingHistoryToggle').checked = getSetting('privacy.meetingHistory');
+  $('telemetryToggle').checked = getSetting('privacy.chatTelemetry');
+  $('voiceLanguage').value = getSetting('talk.language');
+  renderRate();
+}
+
+async function renderAll() {
+  await loadSettings();
+  renderToggles();
+  renderDomainRules();
+  renderSplitSubdomains();
+  renderVoices();
+  fillBucketForm();
+  const [policies, rules, buckets] = await Promise.all([
+    send({ type: 'GET_MUTE_POLICIES' }).catch(() => null),
+    send({ type: 'GET_MUTE_RULES' }).catch(() => null),
+    send({ type: 'GET_INTENT_BUCKETS' }).catch(() => null)
+  ]);
+  if (policies) renderPolicies(policies.policies);
+  if (rules) renderMeetingRules(rules.rules);
+  if (buckets) renderIntentBuckets(buckets.buckets);
+}
+
+// Changes from the popup while this page is open
+onSettingsChanged((changes) => {
+  renderToggles();
+  renderDomainRules();
+  renderSplitSubdomains();
+  if ('organize.customBuckets' in changes) refreshIntentBuckets();
+});
+
+renderAll();
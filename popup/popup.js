@@ -10,6 +10,7 @@ const log = (msg, data) => console.log(`[Tabitha::popup] ${msg}`, data ?? "");
 // Import ASR and TTS modules for voice functionality
 import { createASRManager } from '../features/talk-to-tabs/asr.js';
 import { createTTSManager } from '../features/talk-to-tabs/tts.js';
+import { loadSettings, getSetting, setSetting } from '../shared/settings.js';
 
 // ============================================================================
 // 🎯 MAIN MENU SYSTEM
@@ -99,6 +100,22 @@ const organizeModes = document.getElementById("organizeModes");
 const organizeNowBtn = document.getElementById("organizeNowBtn");
 const floatingChip = document.getElementById("floatingChip");
 const undoOrganizeBtn = document.getElementById("undoOrganizeBtn");
+const organizeScopeSelect = document.getElementById("organizeScopeSelect");
+const keepOrganizedToggle = document.getElementById("keepOrganizedToggle");
+const organizeGroups = document.getElementById("organizeGroups");
+const organizeGroupList = document.getElementById("organizeGroupList");
+const organizeWorkspaces = document.getElementById("organizeWorkspaces");
+const workspaceList = document.getElementById("workspaceList");
+const workspaceNameInput = document.getElementById("workspaceNameInput");
+const saveWorkspaceBtn = document.getElementById("saveWorkspaceBtn");
+const previewOrganizeBtn = document.getElementById("previewOrganizeBtn");
+const applyPlanBtn = document.getElementById("applyPlanBtn");
+const cancelPlanBtn = document.getElementById("cancelPlanBtn");
+const organizePreview = document.getElementById("organizePreview");
+const planGroups = document.getElementById("planGroups");
+const planUntouched = document.getElementById("planUntouched");
+const planSubtitle = document.getElementById("planSubtitle");
+const PLAN_SUBTITLE = planSubtitle?.textContent || "";
 
 // Smart Suggestions feature has been removed
 
@@ -121,6 +138,41 @@ const meetingNudge = document.getElementById("meetingNudge");
 const muteOthersBtn = document.getElementById("muteOthersBtn");
 const ignoreMeetingBtn = document.getElementById("ignoreMeetingBtn");
 const toastContainer = document.getElementById("toastContainer");
+const upcomingMeeting = document.getElementById("upcomingMeeting");
+const upcomingMeetingText = document.getElementById("upcomingMeetingText");
+const focusStatusText = document.getElementById("focusStatusText");
+const focusMinutesInput = document.getElementById("focusMinutesInput");
+const focusDiscardToggle = document.getElementById("focusDiscardToggle");
+const focusToggleBtn = document.getElementById("focusToggleBtn");
+const focusSchedules = document.getElementById("focusSchedules");
+const focusDaysSelect = document.getElementById("focusDaysSelect");
+const focusStartInput = document.getElementById("focusStartInput");
+const focusEndInput = document.getElementById("focusEndInput");
+const addFocusScheduleBtn = document.getElementById("addFocusScheduleBtn");
+const mutePolicies = document.getElementById("mutePolicies");
+const meetingHistorySummary = document.getElementById("meetingHistorySummary");
+const noiseReport = document.getElementById("noiseReport");
+const meetingSessions = document.getElementById("meetingSessions");
+const policyDomainInput = document.getElementById("policyDomainInput");
+const policySelect = document.getElementById("policySelect");
+const addPolicyBtn = document.getElementById("addPolicyBtn");
+const nudgeStatusText = document.getElementById("nudgeStatusText");
+const nudgeQuietToggle = document.getElementById("nudgeQuietToggle");
+const nudgeSnoozeBtn = document.getElementById("nudgeSnoozeBtn");
+const nudgeNeverBtn = document.getElementById("nudgeNeverBtn");
+const nudgeNeverList = document.getElementById("nudgeNeverList");
+const muteActionsList = document.getElementById("muteActions");
+const muteActionDomainInput = document.getElementById("muteActionDomainInput");
+const muteActionSelect = document.getElementById("muteActionSelect");
+const addMuteActionBtn = document.getElementById("addMuteActionBtn");
+const duckLevelInput = document.getElementById("duckLevelInput");
+const duckLevelValue = document.getElementById("duckLevelValue");
+const meetingRules = document.getElementById("meetingRules");
+const buzzyRules = document.getElementById("buzzyRules");
+const calendarSources = document.getElementById("calendarSources");
+const calendarFileInput = document.getElementById("calendarFileInput");
+const calendarUrlInput = document.getElementById("calendarUrlInput");
+const addCalendarUrlBtn = document.getElementById("addCalendarUrlBtn");
 
 // ============================================================================
 // 📊 STATE MANAGEMENT SYSTEM
@@ -161,6 +213,7 @@ let chatState = ChatStates.IDLE;
 let organizeState = OrganizeStates.IDLE;
 let muteState = MuteStates.IDLE;
 let selectedMode = null;
+let organizePlan = null; // dry-run result being edited: { windowId, mode, groups, untouched }
 let isInMeeting = false;
 
 // ============================================================================
@@ -375,6 +428,8 @@ function openOrganizeInterface() {
   menu?.classList.add("hidden");
   organizeInterface.classList.remove("hidden");
   setOrganizeState(OrganizeStates.IDLE);
+  refreshOrganizeGroups();
+  refreshWorkspaces();
   log("Organize interface opened");
 }
 
@@ -382,6 +437,7 @@ function closeOrganizeInterface() {
   organizeInterface?.classList.add("hidden");
   menu?.classList.remove("hidden");
   setOrganizeState(OrganizeStates.IDLE);
+  closePlanPreview();
   selectedMode = null;
   updateOrganizeButton();
   log("Organize interface closed");
@@ -402,6 +458,13 @@ function openMuteInterface() {
   
   // Load real data from background script
   refreshMuteDashboard();
+  refreshCalendarSources();
+  refreshMuteRules();
+  refreshMutePolicies();
+  refreshMuteActions();
+  refreshNudgePanel();
+  refreshFocusPanel();
+  refreshMeetingHistory();
   
   // Check for meeting detection snackbar (fallback if notifications blocked)
   chrome.storage.local.get(['__tabithaMeetingDetected', '__tabithaMeetingMutedCount'], (result) => {
@@ -570,6 +633,12 @@ function setOrganizeState(next) {
     if (organizeNowBtn) {
       organizeNowBtn.disabled = next === OrganizeStates.ORGANIZING || !selectedMode;
     }
+    if (previewOrganizeBtn) {
+      previewOrganizeBtn.disabled = next === OrganizeStates.ORGANIZING || !selectedMode;
+    }
+    if (applyPlanBtn) {
+      applyPlanBtn.disabled = next === OrganizeStates.ORGANIZING;
+    }
   }
 }
 
@@ -803,10 +872,16 @@ async function sendMessage() {
       let fallbackIntent = { intent: 'find_open', canonical_query: message, constraints: { resultMustBeOpen: true, includeApps: [], excludeApps: [], scope: null, group: null, limit: null, dateRange: null }, operation: null, operation_args: null, folderName: null, disambiguationNeeded: false, hints: [], anaphora_of: null, time_reason: null, notes: 'fast_fallback' };
       
       // Check for question words FIRST (what/how/when/where/which) - these are questions, not actions
-      if (/^(what|how|when|where|which|tell me about|describe)/.test(lower)) {
+      if (/\bworkspaces?\b/.test(lower)) {
+        fallbackIntent.intent = 'workspace';
+      } else if (/^(what|how|when|where|which|tell me about|describe)/.test(lower)) {
         fallbackIntent.intent = 'ask';
       } else if (/^(open|go to|jump to|switch to|take me to|show me)/.test(lower)) {
         fallbackIntent.intent = 'open';
+      } else if (/\b(archived|(my|the) archive)\b/.test(lower)) {
+        fallbackIntent.intent = 'search_archive';
+      } else if (/^(close|remove|merge)\b.*\bdup(e|licate)?s?\b|^dedupe/.test(lower)) {
+        fallbackIntent.intent = 'close_duplicates';
       } else if (/^(close|remove|delete)/.test(lower)) {
         fallbackIntent.intent = 'close';
       } else if (/^(find|locate|where)/.test(lower)) {
@@ -870,6 +945,61 @@ async function sendMessage() {
       return;
     }
 
+    // "close duplicates" needs no search: every page open twice is the target
+    if (currentIntent.intent === 'close_duplicates') {
+      const result = await sendBackgroundMessage({
+        type: 'EXECUTE_ACTION',
+        intent: 'close_duplicates',
+        requestId
+      });
+      showThinkingIndicator(false);
+      setChatState(ChatStates.IDLE);
+      if (result?.ok) {
+        addChatMessage(`Closed ${result.count} duplicate tab${result.count > 1 ? 's' : ''} — kept the copy you used last of ${result.pages > 1 ? `${result.pages} pages` : 'that page'}.`, "tabitha");
+        if (result.undoAvailable) setTimeout(() => addUndoButton(result), 100);
+      } else if (result?.error === 'no_duplicates') {
+        addChatMessage("No duplicates — every open tab is a different page.", "tabitha");
+      } else {
+        await addConversationalMessage(currentIntent, [], message, null, 'unknown_error');
+      }
+      return;
+    }
+
+    // Archive search: straight to the archive, not the tab index
+    if (currentIntent.intent === 'search_archive') {
+      const result = await sendBackgroundMessage({
+        type: 'EXECUTE_ACTION',
+        intent: 'search_archive',
+        query: currentIntent.canonical_query || message,
+        requestId
+      });
+      showThinkingIndicator(false);
+      setChatState(ChatStates.IDLE);
+      if (result?.ok && result.results?.length) {
+        showArchiveResults(result);
+      } else if (result?.ok) {
+        addChatMessage(result.query ? `Nothing in your archive matches "${result.query}".` : "Your archive is empty.", "tabitha");
+      } else {
+        await addConversationalMessage(currentIntent, [], message, null, 'unknown_error');
+      }
+      return;
+    }
+
+    // Workspaces: save / open / switch / list / delete by name
+    if (currentIntent.intent === 'workspace') {
+      const result = await sendBackgroundMessage({
+        type: 'EXECUTE_ACTION',
+        intent: 'workspace',
+        query: message,
+        operation: currentIntent.operation || null,
+        requestId
+      });
+      showThinkingIndicator(false);
+      setChatState(ChatStates.IDLE);
+      showWorkspaceResult(result, message);
+      return;
+    }
+
     // Step 2: Use filtered lexical results if available, otherwise try AI search on small set
     let candidatesForFiltering = [];
     
@@ -1931,6 +2061,225 @@ function showCloseGroupPreview(preview, groupName) {
   chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
+// Archived tabs from a chat search, each restorable, plus "Restore all"
+function showArchiveResults(result) {
+  if (!chatMessages) return;
+
+  const messageDiv = document.createElement("div");
+  messageDiv.className = "message tabitha";
+
+  const contentDiv = document.createElement("div");
+  contentDiv.className = "message-content";
+
+  const header = document.createElement("div");
+  header.className = "disambiguation-header";
+  const shown = result.results.length;
+  header.textContent = result.count > shown
+    ? `${result.count} archived tabs match — here are the first ${shown}:`
+    : `${result.count} archived tab${result.count > 1 ? 's' : ''}${result.query ? ` matching "${result.query}"` : ''}:`;
+  contentDiv.appendChild(header);
+
+  const restore = (ids, onDone) => {
+    chrome.runtime.sendMessage({ type: "RESTORE_ARCHIVED", ids }, (res) => {
+      if (res?.ok) {
+        showToast(`restored ${res.restored} tab${res.restored > 1 ? 's' : ''}`);
+        onDone();
+      } else {
+        showToast("couldn't restore that");
+      }
+    });
+  };
+
+  const list = document.createElement("div");
+  list.className = "disambiguation-list";
+  list.style.maxHeight = "200px";
+  result.results.forEach((row) => {
+    const item = document.createElement("div");
+    item.className = "candidate-item";
+    item.style.cursor = "default";
+    item.innerHTML = `
+      <div class="candidate-header">
+        <span class="candidate-title">${escapeHtml(row.title || row.url)}</span>
+      </div>
+      <div class="candidate-meta">
+        <span class="domain-badge">${escapeHtml(row.domain || 'unknown')}</span>
+        ${row.group?.title ? `<span class="domain-badge">${escapeHtml(row.group.title)}</span>` : ''}
+        <span class="domain-badge">archived ${new Date(row.archivedAt).toLocaleDateString()}</span>
+      </div>
+    `;
+    const restoreBtn = document.createElement("button");
+    restoreBtn.className = "action-btn";
+    restoreBtn.textContent = "Restore";
+    restoreBtn.onclick = () => restore([row.id], () => item.remove());
+    item.appendChild(restoreBtn);
+    list.appendChild(item);
+  });
+  contentDiv.appendChild(list);
+
+  const buttons = document.createElement("div");
+  buttons.className = "disambiguation-actions";
+  if (shown > 1) {
+    const allBtn = document.createElement("button");
+    allBtn.className = "action-btn primary";
+    allBtn.textContent = `Restore all ${shown}`;
+    // Rows restored one by one are gone from the archive already and get skipped
+    allBtn.onclick = () => restore(result.results.map(r => r.id), () => messageDiv.remove());
+    buttons.appendChild(allBtn);
+  }
+  const closeBtn = document.createElement("button");
+  closeBtn.className = "action-btn secondary";
+  closeBtn.textContent = "Done";
+  closeBtn.onclick = () => messageDiv.remove();
+  buttons.appendChild(closeBtn);
+  contentDiv.appendChild(buttons);
+
+  messageDiv.appendChild(contentDiv);
+  chatMessages.appendChild(messageDiv);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// Chat reply for a workspace action; lists come with Open / Switch buttons,
+// deletes and overwrites ask first
+function showWorkspaceResult(result, query) {
+  const names = (list) => list.map(ws => `"${ws.name}"`).join(', ');
+  if (result?.ok && result.requiresConfirmation) {
+    showWorkspaceConfirmation(result, query);
+  } else if (result?.ok && result.operation === 'save') {
+    addChatMessage(`${result.replaced ? 'Updated' : 'Saved'} "${result.workspace.name}": ${describeWorkspace(result.workspace)}. Say "switch to ${result.workspace.name}" to come back to it.`, "tabitha");
+  } else if (result?.ok && (result.operation === 'open' || result.operation === 'switch')) {
+    addChatMessage(`Opened "${result.workspace.name}" (${result.tabs} tab${result.tabs === 1 ? '' : 's'}); they load as you click them.${result.savedAs ? ` What you had open is saved as "${result.savedAs}".` : ''}`, "tabitha");
+  } else if (result?.ok && result.operation === 'delete') {
+    addChatMessage(`Deleted the "${result.workspace.name}" workspace.`, "tabitha");
+  } else if (result?.ok && result.operation === 'list') {
+    if (!result.workspaces.length) {
+      addChatMessage(`No workspaces yet. Try "save this as my thesis workspace".`, "tabitha");
+    } else {
+      showWorkspaceList(result.workspaces);
+    }
+  } else if (result?.error === 'not_found') {
+    addChatMessage(result.workspaces?.length
+      ? `I don't have a workspace called "${result.name}". Saved: ${names(result.workspaces)}.`
+      : `I don't have a workspace called "${result.name}" — none are saved yet.`, "tabitha");
+  } else if (result?.error === 'missing_name') {
+    addChatMessage(`Which workspace? Give it a name, like "save this as my thesis workspace".`, "tabitha");
+  } else if (result?.error === 'nothing_to_save') {
+    addChatMessage("There's nothing open worth saving.", "tabitha");
+  } else if (result?.error === 'autosave_failed') {
+    addChatMessage("I couldn't save what's open, so I didn't switch. Nothing was closed.", "tabitha");
+  } else if (result?.error === 'too_many_workspaces') {
+    addChatMessage(`You already have ${result.max} workspaces. Delete one you don't need, or save over an old name.`, "tabitha");
+  } else {
+    addChatMessage("Sorry, that workspace didn't work out.", "tabitha");
+  }
+}
+
+function showWorkspaceConfirmation(result, query) {
+  if (!chatMessages) return;
+
+  const messageDiv = document.createElement("div");
+  messageDiv.className = "message tabitha";
+
+  const contentDiv = document.createElement("div");
+  contentDiv.className = "message-content";
+
+  const header = document.createElement("div");
+  header.className = "disambiguation-header";
+  header.textContent = result.reason === 'delete_workspace'
+    ? `Delete the "${result.workspace.name}" workspace (${describeWorkspace(result.workspace)})?`
+    : `You already have a "${result.workspace.name}" workspace (${describeWorkspace(result.workspace)}). Replace it with what's open now?`;
+  contentDiv.appendChild(header);
+
+  const buttons = document.createElement("div");
+  buttons.className = "disambiguation-actions";
+
+  const confirmBtn = document.createElement("button");
+  confirmBtn.className = "action-btn primary";
+  confirmBtn.textContent = result.reason === 'delete_workspace' ? "Delete" : "Replace";
+  confirmBtn.onclick = async () => {
+    messageDiv.remove();
+    showThinkingIndicator(true);
+    const confirmed = await sendBackgroundMessage({
+      type: 'EXECUTE_ACTION',
+      intent: 'workspace',
+      query,
+      operation: result.operation,
+      confirmed: true,
+      requestId: `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    });
+    showThinkingIndicator(false);
+    showWorkspaceResult(confirmed, query);
+  };
+
+  const cancelBtn = document.createElement("button");
+  cancelBtn.className = "action-btn";
+  cancelBtn.textContent = "Cancel";
+  cancelBtn.onclick = () => messageDiv.remove();
+
+  buttons.appendChild(confirmBtn);
+  buttons.appendChild(cancelBtn);
+  contentDiv.appendChild(buttons);
+  messageDiv.appendChild(contentDiv);
+  chatMessages.appendChild(messageDiv);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function showWorkspaceList(workspaces) {
+  if (!chatMessages) return;
+
+  const messageDiv = document.createElement("div");
+  messageDiv.className = "message tabitha";
+
+  const contentDiv = document.createElement("div");
+  contentDiv.className = "message-content";
+
+  const header = document.createElement("div");
+  header.className = "disambiguation-header";
+  header.textContent = `${workspaces.length} saved workspace${workspaces.length > 1 ? 's' : ''}:`;
+  contentDiv.appendChild(header);
+
+  const list = document.createElement("div");
+  list.className = "disambiguation-list";
+  list.style.maxHeight = "200px";
+  workspaces.forEach((ws) => {
+    const item = document.createElement("div");
+    item.className = "candidate-item";
+    item.style.cursor = "default";
+    item.innerHTML = `
+      <div class="candidate-header">
+        <span class="candidate-title">${escapeHtml(ws.name)}</span>
+      </div>
+      <div class="candidate-meta">
+        <span class="domain-badge">${describeWorkspace(ws)}</span>
+        ${ws.groups.filter(g => g.title).slice(0, 3).map(g => `<span class="domain-badge">${escapeHtml(g.title)}</span>`).join('')}
+      </div>
+    `;
+    for (const [label, replace] of [["Open", false], ["Switch", true]]) {
+      const btn = document.createElement("button");
+      btn.className = "action-btn";
+      btn.textContent = label;
+      btn.onclick = () => chrome.runtime.sendMessage({ type: "OPEN_WORKSPACE", id: ws.id, replace }, (res) => {
+        if (!res?.ok) showToast("couldn't open that workspace");
+      });
+      item.appendChild(btn);
+    }
+    list.appendChild(item);
+  });
+  contentDiv.appendChild(list);
+
+  const buttons = document.createElement("div");
+  buttons.className = "disambiguation-actions";
+  const closeBtn = document.createElement("button");
+  closeBtn.className = "action-btn secondary";
+  closeBtn.textContent = "Done";
+  closeBtn.onclick = () => messageDiv.remove();
+  buttons.appendChild(closeBtn);
+  contentDiv.appendChild(buttons);
+
+  messageDiv.appendChild(contentDiv);
+  chatMessages.appendChild(messageDiv);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
 // Removed showBroadeners function - broadener buttons are no longer needed
 
 // Show clarifying question
@@ -2295,6 +2644,9 @@ function updateOrganizeButton() {
   if (organizeNowBtn) {
     organizeNowBtn.disabled = !selectedMode || organizeState === OrganizeStates.ORGANIZING;
   }
+  if (previewOrganizeBtn) {
+    previewOrganizeBtn.disabled = !selectedMode || organizeState === OrganizeStates.ORGANIZING;
+  }
 }
 
 // Organize now button
@@ -2307,7 +2659,11 @@ organizeNowBtn?.addEventListener("click", async () => {
 
   // 🔌 call background to do the real work
   const res = await new Promise((resolve) =>
-    chrome.runtime.sendMessage({ type: "ORGANIZE_TABS", mode: selectedMode }, resolve)
+    chrome.runtime.sendMessage({
+      type: "ORGANIZE_TABS",
+      mode: selectedMode,
+      scope: organizeScopeSelect?.value || "window"
+    }, resolve)
   );
 
   // UI finish
@@ -2316,17 +2672,342 @@ organizeNowBtn?.addEventListener("click", async () => {
   // show a brief summary toast if provided
   if (res?.summary) showToast(res.summary);
 
-  setTimeout(() => floatingChip?.classList.add("hidden"), 1800);
+  refreshOrganizeGroups();
+
+  // leave time to hit Undo after a successful run
+  setTimeout(() => floatingChip?.classList.add("hidden"), res?.ok ? 6000 : 1800);
+});
+
+
+// ============================================================================
+// 🔍 ORGANIZE PREVIEW (dry run → edit → apply)
+// ============================================================================
+const PLAN_COLORS = {
+  grey: "#9AA0A6", blue: "#8AB4F8", red: "#F28B82", yellow: "#FDD663", green: "#81C995",
+  pink: "#FF8BCB", purple: "#C58AF9", cyan: "#78D9EC", orange: "#FCAD70"
+};
+
+function renderPlanTab(tab) {
+  const icon = tab.favIconUrl ? `<img src="${escapeHtml(tab.favIconUrl)}" alt="">` : '';
+  return `<div class="plan-tab" draggable="true" data-tab-id="${tab.id}" title="${escapeHtml(tab.url)}">${icon}<span>${escapeHtml(tab.title || tab.url)}</span></div>`;
+}
+
+function renderPlan() {
+  if (!organizePlan || !planGroups) return;
+  planGroups.innerHTML = organizePlan.groups.map((g, i) => `
+    <div class="plan-group">
+      <div class="plan-group-header">
+        <button class="plan-color" data-group="${i}" style="background:${PLAN_COLORS[g.color] || PLAN_COLORS.grey}" title="Change color"></button>
+        <input class="plan-title" data-group="${i}" value="${escapeHtml(g.title)}" maxlength="40" aria-label="Group name">
+        <button class="plan-drop" data-group="${i}" title="Don't create this group">✕</button>
+      </div>
+      <div class="plan-tabs" data-group="${i}">${g.tabs.map(renderPlanTab).join('')}</div>
+    </div>
+  `).join('');
+
+  const untouchedTabs = planUntouched?.querySelector(".plan-tabs");
+  if (untouchedTabs) untouchedTabs.innerHTML = organizePlan.untouched.map(renderPlanTab).join('');
+  planUntouched?.classList.toggle("hidden", !organizePlan.untouched.length && !organizePlan.groups.length);
+}
+
+function showPlanPreview(plan) {
+  organizePlan = { ...plan, groups: plan.groups.map(g => ({ ...g, tabs: [...g.tabs] })) };
+  organizeModes?.classList.add("hidden");
+  organizeWorkspaces?.classList.add("hidden");
+  organizeNowBtn?.classList.add("hidden");
+  previewOrganizeBtn?.classList.add("hidden");
+  if (planSubtitle) {
+    planSubtitle.textContent = plan.mode === "duplicates"
+      ? "Each list is the copies that will close. Drag one to “Left as is” to keep it."
+      : PLAN_SUBTITLE;
+  }
+  organizePreview?.classList.remove("hidden");
+  applyPlanBtn?.classList.remove("hidden");
+  cancelPlanBtn?.classList.remove("hidden");
+  renderPlan();
+}
+
+function closePlanPreview() {
+  organizePlan = null;
+  organizePreview?.classList.add("hidden");
+  applyPlanBtn?.classList.add("hidden");
+  cancelPlanBtn?.classList.add("hidden");
+  organizeModes?.classList.remove("hidden");
+  organizeWorkspaces?.classList.remove("hidden");
+  organizeNowBtn?.classList.remove("hidden");
+  previewOrganizeBtn?.classList.remove("hidden");
+}
+
+// Take a tab out of wherever it is in the plan ("untouched" or a group index)
+function takePlanTab(tabId) {
+  const lists = [organizePlan.untouched, ...organizePlan.groups.map(g => g.tabs)];
+  for (const list of lists) {
+    const i = list.findIndex(t => t.id === tabId);
+    if (i !== -1) return list.splice(i, 1)[0];
+  }
+  return null;
+}
+
+previewOrganizeBtn?.addEventListener("click", async () => {
+  if (!selectedMode || organizeState === OrganizeStates.ORGANIZING) return;
+  setOrganizeState(OrganizeStates.ORGANIZING);
+  const res = await new Promise((resolve) =>
+    chrome.runtime.sendMessage({ type: "PREVIEW_ORGANIZE", mode: selectedMode }, resolve)
+  );
+  setOrganizeState(OrganizeStates.IDLE);
+  if (res?.ok && res.preview) {
+    showPlanPreview(res);
+  } else {
+    showToast(res?.reason ? res.reason.toLowerCase() : "couldn't build a preview");
+  }
+});
+
+organizePreview?.addEventListener("input", (e) => {
+  if (!organizePlan || !e.target.classList.contains("plan-title")) return;
+  organizePlan.groups[Number(e.target.dataset.group)].title = e.target.value;
+});
+
+organizePreview?.addEventListener("click", (e) => {
+  if (!organizePlan) return;
+  const group = organizePlan.groups[Number(e.target.dataset.group)];
+  if (!group) return;
+
+  if (e.target.classList.contains("plan-color")) {
+    const colors = Object.keys(PLAN_COLORS);
+    group.color = colors[(colors.indexOf(group.color) + 1) % colors.length];
+    e.target.style.background = PLAN_COLORS[group.color];
+  } else if (e.target.classList.contains("plan-drop")) {
+    organizePlan.untouched.push(...group.tabs);
+    organizePlan.groups.splice(Number(e.target.dataset.group), 1);
+    renderPlan();
+  }
+});
+
+organizePreview?.addEventListener("dragstart", (e) => {
+  const row = e.target.closest?.(".plan-tab");
+  if (!row) return;
+  e.dataTransfer.setData("text/plain", row.dataset.tabId);
+  e.dataTransfer.effectAllowed = "move";
+});
+
+organizePreview?.addEventListener("dragover", (e) => {
+  const zone = e.target.closest?.(".plan-tabs");
+  if (!zone) return;
+  e.preventDefault();
+  zone.classList.add("drag-over");
+});
+
+organizePreview?.addEventListener("dragleave", (e) => {
+  e.target.closest?.(".plan-tabs")?.classList.remove("drag-over");
+});
+
+organizePreview?.addEventListener("drop", (e) => {
+  const zone = e.target.closest?.(".plan-tabs");
+  if (!zone || !organizePlan) return;
+  e.preventDefault();
+  zone.classList.remove("drag-over");
+
+  const tabId = Number(e.dataTransfer.getData("text/plain"));
+  const from = organizePlan.groups.find(g => g.tabs.some(t => t.id === tabId));
+  const tab = takePlanTab(tabId);
+  if (!tab) return;
+  const group = zone.dataset.group === "untouched" ? null : organizePlan.groups[Number(zone.dataset.group)];
+  (group?.tabs || organizePlan.untouched).push(tab);
+  renderPlan();
+  if (group?.intent && group !== from) teachDomainRule(tab, group.intent);
+});
+
+// A tab dragged into an intent bucket: file its site there from now on
+function teachDomainRule(tab, intent) {
+  chrome.runtime.sendMessage({ type: "SET_DOMAIN_RULE", url: tab.url, intent }, (res) => {
+    if (res?.ok) showToast(`${res.domain} will go in ${intent}`);
+  });
+}
+
+cancelPlanBtn?.addEventListener("click", closePlanPreview);
+
+applyPlanBtn?.addEventListener("click", async () => {
+  if (!organizePlan || organizeState === OrganizeStates.ORGANIZING) return;
+  if (organizePlan.mode === "duplicates") return applyDuplicatesPlan();
+  const groups = organizePlan.groups
+    .filter(g => g.tabs.length)
+    .map(g => ({ title: g.title.trim(), color: g.color, tabIds: g.tabs.map(t => t.id) }));
+  if (!groups.length) {
+    showToast("no groups left to create");
+    return;
+  }
+
+  setOrganizeState(OrganizeStates.ORGANIZING);
+  floatingChip?.classList.remove("hidden");
+  const res = await new Promise((resolve) =>
+    chrome.runtime.sendMessage({
+      type: "APPLY_ORGANIZE_PLAN",
+      windowId: organizePlan.windowId,
+      mode: organizePlan.mode,
+      groups
+    }, resolve)
+  );
+  closePlanPreview();
+  setOrganizeState(res?.ok ? OrganizeStates.COMPLETE : OrganizeStates.ERROR);
+  refreshOrganizeGroups();
+  setTimeout(() => floatingChip?.classList.add("hidden"), res?.ok ? 6000 : 1800);
 });
 
+// Duplicates preview: close whatever is still listed under a page
+async function applyDuplicatesPlan() {
+  const tabIds = organizePlan.groups.flatMap(g => g.tabs.map(t => t.id));
+  if (!tabIds.length) {
+    showToast("nothing left to close");
+    return;
+  }
+
+  setOrganizeState(OrganizeStates.ORGANIZING);
+  floatingChip?.classList.remove("hidden");
+  const res = await new Promise((resolve) =>
+    chrome.runtime.sendMessage({ type: "MERGE_DUPLICATES", tabIds }, resolve)
+  );
+  closePlanPreview();
+  setOrganizeState(res?.ok ? OrganizeStates.COMPLETE : OrganizeStates.ERROR);
+  if (res?.summary) showToast(res.summary);
+  refreshOrganizeGroups();
+  setTimeout(() => floatingChip?.classList.add("hidden"), res?.ok ? 6000 : 1800);
+}
+
+// ============================================================================
+// 🔒 LOCKED GROUPS
+// ============================================================================
+function renderOrganizeGroups(groups) {
+  if (!organizeGroupList) return;
+  organizeGroups?.classList.toggle("hidden", !groups.length);
+  organizeGroupList.innerHTML = groups.map(g => `
+    <div class="panel-item">
+      <span class="plan-color" style="background:${PLAN_COLORS[g.color] || PLAN_COLORS.grey}"></span>
+      <span class="panel-item-text">${escapeHtml(g.title || "Untitled group")} · ${g.tabCount}</span>
+      <button class="group-lock-btn ${g.locked ? 'locked' : ''}" data-group-id="${g.id}" data-locked="${g.locked}"
+        title="${g.locked ? (g.lockReason === 'user-made' ? "You made this group, so organizing leaves it alone" : "Locked: organizing leaves it alone") : "Organizing may regroup these tabs"}">
+        ${g.locked ? "🔒 Locked" : "🔓 Lock"}
+      </button>
+    </div>
+  `).join('');
+}
+
+function refreshOrganizeGroups() {
+  chrome.runtime.sendMessage({ type: "GET_TAB_GROUPS" }, (response) => {
+    if (response?.ok) renderOrganizeGroups(response.groups);
+  });
+}
+
+organizeGroupList?.addEventListener("click", (e) => {
+  const btn = e.target.closest(".group-lock-btn");
+  if (!btn) return;
+  const locked = btn.dataset.locked === "true";
+  chrome.runtime.sendMessage({ type: locked ? "UNLOCK_GROUP" : "LOCK_GROUP", groupId: Number(btn.dataset.groupId) }, (response) => {
+    showToast(!response?.ok ? "that group is gone"
+      : locked ? "unlocked, organizing can use it again" : "locked, organizing will leave it alone");
+    refreshOrganizeGroups();
+  });
+});
+
+// ============================================================================
+// 🗂️ WORKSPACES
+// ============================================================================
+function describeWorkspace(ws) {
+  return `${ws.tabCount} tab${ws.tabCount === 1 ? '' : 's'}${ws.windowCount > 1 ? ` · ${ws.windowCount} windows` : ''} · ${new Date(ws.savedAt).toLocaleDateString()}`;
+}
+
+function renderWorkspaces(workspaces) {
+  if (!workspaceList) return;
+  workspaceList.innerHTML = workspaces.length ? workspaces.map(ws => `
+    <div class="panel-item">
+      <span class="panel-item-text" title="${escapeHtml(ws.groups.map(g => g.title).filter(Boolean).join(', '))}">${escapeHtml(ws.name)}</span>
+      <span class="panel-item-meta">${describeWorkspace(ws)}</span>
+      <button class="group-lock-btn" data-workspace-id="${ws.id}" data-action="open" title="Open in new windows, next to what's open now">Open</button>
+      <button class="group-lock-btn" data-workspace-id="${ws.id}" data-action="switch" title="Save what's open as &quot;Before switching&quot;, close it and open this">Switch</button>
+      <button class="group-lock-btn" data-workspace-id="${ws.id}" data-action="delete" title="Delete">✕</button>
+    </div>
+  `).join('') : `<div class="panel-item"><span class="panel-item-meta">Nothing saved yet. Name what's open now to come back to it later.</span></div>`;
+}
+
+function refreshWorkspaces() {
+  chrome.runtime.sendMessage({ type: "LIST_WORKSPACES" }, (response) => {
+    if (response?.ok) renderWorkspaces(response.workspaces);
+  });
+}
+
+saveWorkspaceBtn?.addEventListener("click", () => {
+  const name = workspaceNameInput?.value.trim();
+  if (!name) {
+    workspaceNameInput?.focus();
+    return;
+  }
+  chrome.runtime.sendMessage({ type: "SAVE_WORKSPACE", name }, (response) => {
+    if (response?.ok) {
+      showToast(`${response.replaced ? 'updated' : 'saved'} "${response.workspace.name}" (${response.workspace.tabCount} tabs)`);
+      workspaceNameInput.value = "";
+      refreshWorkspaces();
+    } else {
+      showToast(response?.error === 'nothing_to_save' ? "no tabs worth saving"
+        : response?.error === 'too_many_workspaces' ? `${response.max} workspaces is the limit; delete one first`
+        : "couldn't save that");
+    }
+  });
+});
+
+workspaceNameInput?.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") saveWorkspaceBtn?.click();
+});
+
+workspaceList?.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-workspace-id]");
+  if (!btn) return;
+  const id = btn.dataset.workspaceId;
+  if (btn.dataset.action === "delete") {
+    chrome.runtime.sendMessage({ type: "DELETE_WORKSPACE", id }, (response) => {
+      showToast(response?.ok ? `deleted "${response.workspace.name}"` : "that workspace is gone");
+      refreshWorkspaces();
+    });
+    return;
+  }
+  // The popup closes as the new windows take focus, so only failures get a toast
+  chrome.runtime.sendMessage({ type: "OPEN_WORKSPACE", id, replace: btn.dataset.action === "switch" }, (response) => {
+    if (!response?.ok) {
+      showToast(response?.error === 'autosave_failed' ? "couldn't save what's open, so nothing was switched" : "couldn't open that workspace");
+      refreshWorkspaces();
+    }
+  });
+});
+
+// Keep organized (slot new tabs into the last run's groups)
+keepOrganizedToggle?.addEventListener("change", (e) => {
+  setSetting('organize.keepOrganized', e.target.checked);
+  showToast(e.target.checked ? "new tabs will join their groups" : "okay, new tabs stay where they open");
+});
+
+loadSettings().then(() => {
+  if (keepOrganizedToggle) keepOrganizedToggle.checked = getSetting('organize.keepOrganized');
+});
 
 // Undo organize
-undoOrganizeBtn?.addEventListener("click", () => {
+undoOrganizeBtn?.addEventListener("click", async () => {
   if (floatingChip) {
     floatingChip.classList.add("hidden");
   }
   setOrganizeState(OrganizeStates.IDLE);
   log("Undo organize clicked");
+
+  const res = await new Promise((resolve) =>
+    chrome.runtime.sendMessage({ type: "UNDO_LAST_LAYOUT" }, resolve)
+  );
+  refreshOrganizeGroups();
+  if (res?.ok) {
+    showToast(res.missingTabs
+      ? `tabs are back where they were (${res.missingTabs} closed since)`
+      : "tabs are back where they were");
+  } else if (res?.error === 'nothing_to_undo') {
+    showToast("nothing to undo");
+  } else {
+    showToast("couldn't undo that");
+  }
 });
 
 
@@ -2350,6 +3031,8 @@ soundingTabs?.addEventListener("click", (e) => {
       muteTabById(tabId, true); // true = by user
     } else if (action === 'unmute') {
       unmuteTabById(tabId);
+    } else if (action === 'prioritize') {
+      prioritizeMeetingTab(tabId);
     }
   }
 });
@@ -2362,6 +3045,8 @@ silentTabs?.addEventListener("click", (e) => {
     
     if (action === 'unmute') {
       unmuteTabById(tabId);
+    } else if (action === 'prioritize') {
+      prioritizeMeetingTab(tabId);
     }
   }
 });
@@ -2386,7 +3071,7 @@ autoMuteToggle?.addEventListener("change", (e) => {
 rememberMuteToggle?.addEventListener("change", (e) => {
   const isEnabled = e.target.checked;
   log(`Remember mute preferences ${isEnabled ? 'enabled' : 'disabled'}`);
-  chrome.storage.local.set({ rememberMute: isEnabled });
+  setSetting('mute.rememberPreferences', isEnabled);
 });
 
 // Meeting nudge buttons
@@ -2451,6 +3136,21 @@ function unmuteTabById(tabId) {
   });
 }
 
+// Make another meeting tab the priority one (it goes live, the current one is muted)
+function prioritizeMeetingTab(tabId) {
+  chrome.runtime.sendMessage({
+    type: "SET_MEETING_PRIORITY",
+    tabId
+  }, (response) => {
+    if (response?.ok) {
+      showToast("meeting switched");
+      refreshMuteDashboard();
+    } else {
+      showToast("failed to switch meeting");
+    }
+  });
+}
+
 // Refresh the mute dashboard with real data from background script
 function refreshMuteDashboard() {
   log("Refreshing mute dashboard...");
@@ -2508,6 +3208,21 @@ function updateMuteInterface(data) {
     autoMuteToggle.checked = data.autoMuteDuringMeetings;
   }
   
+  renderFocusStatus(data.focus);
+
+  // Upcoming calendar meeting (if any calendars were imported)
+  if (upcomingMeeting && upcomingMeetingText) {
+    const m = data.upcomingMeeting;
+    if (m) {
+      const start = new Date(m.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      const when = m.start <= Date.now() ? 'now' : `at ${start}`;
+      upcomingMeetingText.textContent = `${m.summary} ${when}${m.armed ? ' — auto-mute armed' : ''}`;
+      upcomingMeeting.classList.remove("hidden");
+    } else {
+      upcomingMeeting.classList.add("hidden");
+    }
+  }
+
   // Show meeting nudge if meeting detected
   if (data.meeting && meetingNudge) {
     meetingNudge.classList.remove("hidden");
@@ -2538,9 +3253,10 @@ function createTabItem(tab) {
         <span class="bar"></span>
       </div>
     `;
-  } else if (tab.muted) {
+  } else if (tab.muted || tab.ducked) {
     indicatorClass = tab.label.includes('Tabitha') ? 'muted-auto' : 'muted';
-    indicatorContent = '<div class="muted-icon">🔇</div>';
+    const icon = tab.ducked === 'pause' ? '⏸️' : tab.ducked ? '🔉' : '🔇';
+    indicatorContent = `<div class="muted-icon">${icon}</div>`;
   }
   
   // Determine button state
@@ -2552,6 +3268,12 @@ function createTabItem(tab) {
     buttonText = 'Keep Live';
     buttonAction = 'mute';
     buttonDisabled = true;
+  } else if (tab.secondaryMeeting) {
+    buttonText = 'Prioritize';
+    buttonAction = 'prioritize';
+  } else if (tab.ducked) {
+    buttonText = 'Restore';
+    buttonAction = 'unmute';
   } else if (tab.muted) {
     buttonText = 'Unmute';
     buttonAction = 'unmute';
@@ -2576,6 +3298,454 @@ function createTabItem(tab) {
   return tabItem;
 }
 
+// Focus session panel: timer controls + quiet-hour schedules
+let currentFocusSchedules = [];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function renderFocusStatus(focus) {
+  if (!focusStatusText || !focusToggleBtn) return;
+  if (focus?.active) {
+    const until = new Date(focus.endsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    focusStatusText.textContent = `Focusing until ${until}${focus.source === 'schedule' ? ' (quiet hours)' : ''}`;
+    focusToggleBtn.textContent = 'End';
+    focusToggleBtn.dataset.active = 'true';
+  } else {
+    focusStatusText.textContent = 'Quiet time without a meeting.';
+    focusToggleBtn.textContent = 'Start';
+    focusToggleBtn.dataset.active = '';
+  }
+}
+
+function renderFocusSchedules(schedules) {
+  currentFocusSchedules = schedules || [];
+  if (!focusSchedules) return;
+  focusSchedules.innerHTML = '';
+  currentFocusSchedules.forEach(schedule => {
+    const item = document.createElement('div');
+    item.className = 'panel-item';
+    item.innerHTML = `
+      <span class="panel-item-text">${schedule.days.map(d => DAY_NAMES[d]).join(' ')} · ${escapeHtml(schedule.start)}–${escapeHtml(schedule.end)}</span>
+      <button class="mute-btn focus-schedule-remove" data-schedule-id="${escapeHtml(schedule.id)}">Remove</button>
+    `;
+    focusSchedules.appendChild(item);
+  });
+}
+
+function refreshFocusPanel() {
+  chrome.runtime.sendMessage({ type: "GET_FOCUS" }, (response) => {
+    if (!response?.ok) return;
+    renderFocusStatus(response.focus);
+    renderFocusSchedules(response.schedules);
+  });
+}
+
+function saveFocusSchedules(schedules, okText) {
+  chrome.runtime.sendMessage({ type: "SET_FOCUS_SCHEDULES", schedules }, (response) => {
+    if (response?.ok) {
+      renderFocusSchedules(response.schedules);
+      showToast(okText);
+      refreshFocusPanel();
+    } else {
+      showToast("that schedule doesn't look right");
+    }
+  });
+}
+
+focusToggleBtn?.addEventListener("click", () => {
+  const active = focusToggleBtn.dataset.active === 'true';
+  const msg = active
+    ? { type: "STOP_FOCUS" }
+    : { type: "START_FOCUS", minutes: Number(focusMinutesInput?.value) || 45, discard: !!focusDiscardToggle?.checked };
+  chrome.runtime.sendMessage(msg, (response) => {
+    if (response?.ok) {
+      showToast(active ? "focus over — sound is back" : "focus on. i'll keep things quiet 🎧");
+      refreshFocusPanel();
+      refreshMuteDashboard();
+    }
+  });
+});
+
+focusSchedules?.addEventListener("click", (e) => {
+  const id = e.target.dataset?.scheduleId;
+  if (!id) return;
+  saveFocusSchedules(currentFocusSchedules.filter(s => s.id !== id), "quiet hours removed");
+});
+
+addFocusScheduleBtn?.addEventListener("click", () => {
+  const schedule = {
+    days: (focusDaysSelect?.value || '').split(',').map(Number),
+    start: focusStartInput?.value,
+    end: focusEndInput?.value,
+    discard: !!focusDiscardToggle?.checked
+  };
+  saveFocusSchedules([...currentFocusSchedules, schedule], "quiet hours saved");
+});
+
+// Meeting history: noisiest sites first, then the most recent meetings
+function renderMeetingHistory(data) {
+  if (!noiseReport || !meetingSessions || !meetingHistorySummary) return;
+  noiseReport.innerHTML = '';
+  meetingSessions.innerHTML = '';
+
+  if (!data?.totalSessions && !data?.current) {
+    meetingHistorySummary.textContent = 'No meetings logged yet.';
+    return;
+  }
+  meetingHistorySummary.textContent = data.current
+    ? `In a meeting for ${data.current.durationMinutes} min — ${data.current.suppressedCount} sound(s) suppressed so far`
+    : `${data.totalSessions} meeting${data.totalSessions !== 1 ? 's' : ''} logged. Noisiest sites:`;
+
+  (data.report || []).slice(0, 5).forEach(row => {
+    const item = document.createElement('div');
+    item.className = 'panel-item';
+    item.innerHTML = `
+      <span class="panel-item-text">${escapeHtml(row.domain)}</span>
+      <span class="panel-item-meta">${row.autoMuted} auto · ${row.userMuted} by you · ${row.suppressed} sounds</span>
+      <button class="mute-btn" data-policy-domain="${escapeHtml(row.domain)}">Mute in meetings</button>
+    `;
+    noiseReport.appendChild(item);
+  });
+
+  (data.sessions || []).slice(0, 5).forEach(session => {
+    const item = document.createElement('div');
+    item.className = 'panel-item';
+    const when = new Date(session.startedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    item.innerHTML = `
+      <span class="panel-item-text">${escapeHtml(session.calendarEvent || session.meetingDomain || 'Meeting')}</span>
+      <span class="panel-item-meta">${when} · ${session.durationMinutes} min · ${session.autoMuted.length} muted · ${session.suppressedCount} sounds</span>
+    `;
+    meetingSessions.appendChild(item);
+  });
+}
+
+function refreshMeetingHistory() {
+  chrome.runtime.sendMessage({ type: "GET_MEETING_HISTORY", limit: 5 }, (response) => {
+    if (response?.ok) renderMeetingHistory(response);
+  });
+}
+
+noiseReport?.addEventListener("click", (e) => {
+  const domain = e.target.dataset?.policyDomain;
+  if (!domain) return;
+  setMutePolicy(domain, 'meeting', `${domain} will be muted in meetings`);
+});
+
+// Render per-domain mute policies with an inline policy picker
+function renderMutePolicies(policies) {
+  if (!mutePolicies) return;
+  mutePolicies.innerHTML = '';
+  (policies || []).forEach(({ domain, policy }) => {
+    const item = document.createElement('div');
+    item.className = 'panel-item';
+    item.innerHTML = `
+      <span class="panel-item-text">${escapeHtml(domain)}</span>
+      <select class="panel-select policy-edit-select" data-domain="${escapeHtml(domain)}">
+        <option value="meeting" ${policy === 'meeting' ? 'selected' : ''}>Mute in meetings</option>
+        <option value="never" ${policy === 'never' ? 'selected' : ''}>Never mute</option>
+        <option value="always" ${policy === 'always' ? 'selected' : ''}>Always mute</option>
+      </select>
+      <button class="mute-btn policy-remove-btn" data-domain="${escapeHtml(domain)}">Remove</button>
+    `;
+    mutePolicies.appendChild(item);
+  });
+}
+
+function refreshMutePolicies() {
+  chrome.runtime.sendMessage({ type: "GET_MUTE_POLICIES" }, (response) => {
+    if (response?.ok) renderMutePolicies(response.policies);
+  });
+}
+
+function setMutePolicy(domain, policy, okText) {
+  chrome.runtime.sendMessage({ type: "SET_MUTE_POLICY", domain, policy }, (response) => {
+    if (response?.ok) {
+      renderMutePolicies(response.policies);
+      showToast(okText);
+      refreshMuteDashboard();
+    } else {
+      showToast(response?.error === 'invalid_domain' ? "that doesn't look like a domain" : "couldn't save policy");
+    }
+  });
+}
+
+mutePolicies?.addEventListener("change", (e) => {
+  if (!e.target.classList.contains('policy-edit-select')) return;
+  setMutePolicy(e.target.dataset.domain, e.target.value, "policy updated");
+});
+
+mutePolicies?.addEventListener("click", (e) => {
+  if (!e.target.classList.contains('policy-remove-btn')) return;
+  setMutePolicy(e.target.dataset.domain, null, "policy removed");
+});
+
+addPolicyBtn?.addEventListener("click", () => {
+  const domain = policyDomainInput?.value.trim();
+  if (!domain) return;
+  setMutePolicy(domain, policySelect?.value || 'meeting', "policy saved");
+  policyDomainInput.value = '';
+});
+
+// Meeting nudge preferences: quiet mode, snooze, per-meeting opt-out
+function renderNudgePanel(nudge) {
+  if (!nudge) return;
+  if (nudgeQuietToggle) nudgeQuietToggle.checked = !!nudge.quiet;
+  const snoozed = !!nudge.snoozedUntil;
+  if (nudgeStatusText) {
+    const until = snoozed ? new Date(nudge.snoozedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+    nudgeStatusText.textContent = snoozed
+      ? `Nudges snoozed until ${until}.`
+      : nudge.quiet ? 'Only the toolbar badge shows when a meeting starts.' : 'Tabitha lets you know when a meeting starts.';
+  }
+  if (nudgeSnoozeBtn) {
+    nudgeSnoozeBtn.textContent = snoozed ? 'Resume' : 'Snooze 1 hour';
+    nudgeSnoozeBtn.dataset.snoozed = snoozed ? 'true' : '';
+  }
+  if (nudgeNeverBtn) {
+    nudgeNeverBtn.disabled = !nudge.currentMeeting || nudge.neverFor.includes(nudge.currentMeeting);
+  }
+  if (!nudgeNeverList) return;
+  nudgeNeverList.innerHTML = '';
+  (nudge.neverFor || []).forEach((key) => {
+    const item = document.createElement('div');
+    item.className = 'panel-item';
+    item.innerHTML = `
+      <span class="panel-item-text">${escapeHtml(key)}</span>
+      <button class="mute-btn nudge-forget-btn" data-key="${escapeHtml(key)}">Remove</button>
+    `;
+    nudgeNeverList.appendChild(item);
+  });
+}
+
+function refreshNudgePanel() {
+  chrome.runtime.sendMessage({ type: "GET_NUDGE_SETTINGS" }, (response) => {
+    if (response?.ok) renderNudgePanel(response.nudge);
+  });
+}
+
+function sendNudgeMessage(message, okText) {
+  chrome.runtime.sendMessage(message, (response) => {
+    if (response?.ok) {
+      renderNudgePanel(response.nudge);
+      if (okText) showToast(okText);
+    } else {
+      showToast(response?.error === 'no_meeting' ? "no meeting right now" : "couldn't save that");
+    }
+  });
+}
+
+nudgeQuietToggle?.addEventListener("change", (e) => {
+  sendNudgeMessage({ type: "SET_NUDGE_QUIET", enabled: e.target.checked });
+});
+
+nudgeSnoozeBtn?.addEventListener("click", () => {
+  const snoozed = nudgeSnoozeBtn.dataset.snoozed === 'true';
+  sendNudgeMessage({ type: "SNOOZE_NUDGES", minutes: snoozed ? 0 : 60 }, snoozed ? "nudges back on" : "nudges snoozed for an hour");
+});
+
+nudgeNeverBtn?.addEventListener("click", () => {
+  sendNudgeMessage({ type: "NEVER_NUDGE_MEETING" }, "won't ask for this meeting again");
+});
+
+nudgeNeverList?.addEventListener("click", (e) => {
+  if (!e.target.classList.contains('nudge-forget-btn')) return;
+  sendNudgeMessage({ type: "FORGET_NEVER_NUDGE", key: e.target.dataset.key });
+});
+
+// Render per-domain meeting actions (turn down / pause instead of mute)
+function renderMuteActions({ actions, duckLevel }) {
+  if (duckLevelInput && typeof duckLevel === 'number') {
+    duckLevelInput.value = Math.round(duckLevel * 100);
+    if (duckLevelValue) duckLevelValue.textContent = `${duckLevelInput.value}%`;
+  }
+  if (!muteActionsList) return;
+  muteActionsList.innerHTML = '';
+  (actions || []).forEach(({ domain, action }) => {
+    const item = document.createElement('div');
+    item.className = 'panel-item';
+    item.innerHTML = `
+      <span class="panel-item-text">${escapeHtml(domain)}</span>
+      <select class="panel-select mute-action-edit-select" data-domain="${escapeHtml(domain)}">
+        <option value="duck" ${action === 'duck' ? 'selected' : ''}>Turn down</option>
+        <option value="pause" ${action === 'pause' ? 'selected' : ''}>Pause</option>
+      </select>
+      <button class="mute-btn mute-action-remove-btn" data-domain="${escapeHtml(domain)}">Remove</button>
+    `;
+    muteActionsList.appendChild(item);
+  });
+}
+
+function refreshMuteActions() {
+  chrome.runtime.sendMessage({ type: "GET_MUTE_ACTIONS" }, (response) => {
+    if (response?.ok) renderMuteActions(response);
+  });
+}
+
+function setMuteAction(domain, action, okText) {
+  chrome.runtime.sendMessage({ type: "SET_MUTE_ACTION", domain, action }, (response) => {
+    if (response?.ok) {
+      renderMuteActions(response);
+      showToast(okText);
+    } else {
+      showToast(response?.error === 'invalid_domain' ? "that doesn't look like a domain" : "couldn't save that");
+    }
+  });
+}
+
+muteActionsList?.addEventListener("change", (e) => {
+  if (!e.target.classList.contains('mute-action-edit-select')) return;
+  setMuteAction(e.target.dataset.domain, e.target.value, "updated");
+});
+
+muteActionsList?.addEventListener("click", (e) => {
+  if (!e.target.classList.contains('mute-action-remove-btn')) return;
+  setMuteAction(e.target.dataset.domain, null, `${e.target.dataset.domain} will be muted`);
+});
+
+addMuteActionBtn?.addEventListener("click", () => {
+  const domain = muteActionDomainInput?.value.trim();
+  if (!domain) return;
+  setMuteAction(domain, muteActionSelect?.value || 'duck', "saved");
+  muteActionDomainInput.value = '';
+});
+
+duckLevelInput?.addEventListener("input", () => {
+  if (duckLevelValue) duckLevelValue.textContent = `${duckLevelInput.value}%`;
+});
+
+duckLevelInput?.addEventListener("change", () => {
+  chrome.runtime.sendMessage({ type: "SET_DUCK_LEVEL", level: Number(duckLevelInput.value) / 100 }, (response) => {
+    if (response?.ok) renderMuteActions(response);
+  });
+});
+
+// Render meeting/buzzy site rules; each pattern is edited in place
+function renderMuteRules(rules) {
+  const lists = { meeting: meetingRules, buzzy: buzzyRules };
+  for (const [kind, container] of Object.entries(lists)) {
+    if (!container) continue;
+    container.innerHTML = '';
+    (rules?.[kind] || []).forEach(rule => {
+      const item = document.createElement('div');
+      item.className = 'panel-item';
+      item.innerHTML = `
+        <input type="text" class="panel-input rule-edit-input" value="${escapeHtml(rule.pattern)}" data-pattern="${escapeHtml(rule.pattern)}">
+        <span class="panel-item-meta">${rule.type || 'invalid'}</span>
+        <button class="mute-btn rule-remove-btn" data-pattern="${escapeHtml(rule.pattern)}">Remove</button>
+      `;
+      container.appendChild(item);
+    });
+  }
+}
+
+function refreshMuteRules() {
+  chrome.runtime.sendMessage({ type: "GET_MUTE_RULES" }, (response) => {
+    if (response?.ok) renderMuteRules(response.rules);
+  });
+}
+
+function handleRuleResponse(response, okText) {
+  if (response?.ok) {
+    renderMuteRules(response.rules);
+    if (okText) showToast(okText);
+    refreshMuteDashboard();
+  } else {
+    showToast(response?.error === 'invalid_pattern' ? "that pattern doesn't look right" : "couldn't update rules");
+    refreshMuteRules();
+  }
+}
+
+[meetingRules, buzzyRules].forEach(container => {
+  container?.addEventListener("click", (e) => {
+    if (!e.target.classList.contains('rule-remove-btn')) return;
+    chrome.runtime.sendMessage({
+      type: "REMOVE_MUTE_RULE",
+      kind: container.dataset.kind,
+      pattern: e.target.dataset.pattern
+    }, (response) => handleRuleResponse(response, "rule removed"));
+  });
+
+  container?.addEventListener("change", (e) => {
+    if (!e.target.classList.contains('rule-edit-input')) return;
+    chrome.runtime.sendMessage({
+      type: "UPDATE_MUTE_RULE",
+      kind: container.dataset.kind,
+      oldPattern: e.target.dataset.pattern,
+      pattern: e.target.value
+    }, (response) => handleRuleResponse(response, "rule updated"));
+  });
+});
+
+document.querySelectorAll(".rule-add-btn").forEach(btn => {
+  btn.addEventListener("click", () => {
+    const kind = btn.dataset.kind;
+    const input = document.querySelector(`.rule-add-input[data-kind="${kind}"]`);
+    const pattern = input?.value.trim();
+    if (!pattern) return;
+    chrome.runtime.sendMessage({ type: "ADD_MUTE_RULE", kind, pattern }, (response) => {
+      if (response?.ok) input.value = '';
+      handleRuleResponse(response, "rule added");
+    });
+  });
+});
+
+// Load imported calendars into the Calendars panel
+function refreshCalendarSources() {
+  if (!calendarSources) return;
+  chrome.runtime.sendMessage({ type: "GET_CALENDARS" }, (response) => {
+    calendarSources.innerHTML = '';
+    (response?.sources || []).forEach(source => {
+      const item = document.createElement('div');
+      item.className = 'panel-item';
+      item.innerHTML = `
+        <span class="panel-item-text">${escapeHtml(source.name)}</span>
+        <span class="panel-item-meta">${source.eventCount} event${source.eventCount !== 1 ? 's' : ''}</span>
+        <button class="mute-btn" data-calendar-id="${escapeHtml(source.id)}">Remove</button>
+      `;
+      calendarSources.appendChild(item);
+    });
+  });
+}
+
+calendarSources?.addEventListener("click", (e) => {
+  const id = e.target.dataset?.calendarId;
+  if (!id) return;
+  chrome.runtime.sendMessage({ type: "REMOVE_CALENDAR", id }, (response) => {
+    if (response?.ok) {
+      showToast("calendar removed");
+      refreshCalendarSources();
+      refreshMuteDashboard();
+    }
+  });
+});
+
+calendarFileInput?.addEventListener("change", async (e) => {
+  const files = Array.from(e.target.files || []);
+  for (const file of files) {
+    const text = await file.text();
+    const response = await sendBackgroundMessage({ type: "IMPORT_CALENDAR_ICS", name: file.name, text }).catch(() => null);
+    showToast(response?.ok
+      ? `imported ${response.source.eventCount} events from ${file.name}`
+      : `couldn't read ${file.name}`);
+  }
+  e.target.value = '';
+  refreshCalendarSources();
+  refreshMuteDashboard();
+});
+
+addCalendarUrlBtn?.addEventListener("click", async () => {
+  const url = calendarUrlInput?.value.trim();
+  if (!url) return;
+  const response = await sendBackgroundMessage({ type: "ADD_CALENDAR_URL", url }).catch(() => null);
+  if (response?.ok) {
+    calendarUrlInput.value = '';
+    showToast(`cached ${response.source.eventCount} events`);
+    refreshCalendarSources();
+    refreshMuteDashboard();
+  } else {
+    showToast("couldn't fetch that calendar");
+  }
+});
+
 // Hide meeting nudge
 function hideMeetingNudge() {
   if (meetingNudge) {
@@ -2649,10 +3819,10 @@ chrome.runtime.sendMessage({
     }
   }
   
-  // Load remember mute preference from local storage
-  chrome.storage.local.get(['rememberMute'], (result) => {
+  // Load remember mute preference from the shared settings store
+  loadSettings().then(() => {
     if (rememberMuteToggle) {
-      rememberMuteToggle.checked = result.rememberMute || false;
+      rememberMuteToggle.checked = getSetting('mute.rememberPreferences');
     }
   });
 });
@@ -2734,11 +3904,12 @@ liveCaptionsToggle?.addEventListener("change", (e) => {
   }
   
   // Store the preference
-  chrome.storage.local.set({ liveCaptions: isEnabled });
+  setSetting('talk.liveCaptions', isEnabled);
 });
 
 // Load saved Live Captions preference on popup open
-chrome.storage.local.get(['liveCaptions'], (result) => {
+loadSettings().then(() => {
+  const result = { liveCaptions: getSetting('talk.liveCaptions') };
   log('Loading Live Captions preference:', result);
   log('Toggle element:', liveCaptionsToggle);
   log('Transcript element:', transcript);
@@ -2765,6 +3936,15 @@ chrome.storage.local.get(['liveCaptions'], (result) => {
   }
 });
 
+// Voice preferences from the options page
+function voiceOptions() {
+  return {
+    lang: getSetting('talk.language'),
+    voice: getSetting('talk.voice') || null,
+    rate: getSetting('talk.rate')
+  };
+}
+
 // ============================================================================
 // 🎙️ VOICE HUB REAL ASR/TTS INTEGRATION
 // ============================================================================
@@ -2781,7 +3961,8 @@ let latencyTimeout = null;
 async function initVoiceModules() {
   try {
     // Create managers (modules already imported at top of file)
-    ASRManager = await createASRManager({ language: 'en-US' });
+    await loadSettings();
+    ASRManager = await createASRManager({ language: getSetting('talk.language') });
     TTSManager = await createTTSManager({ useOffscreen: true, preferChromeTTS: true });
     
     if (!ASRManager) {
@@ -2925,7 +4106,7 @@ async function processVoiceQuery(text) {
       
       // Speak error if TTS available
       if (TTSManager && response?.spokenSummary) {
-        await TTSManager.speak(response.spokenSummary);
+        await TTSManager.speak(response.spokenSummary, voiceOptions());
       }
       return;
     }
@@ -2941,7 +4122,7 @@ async function processVoiceQuery(text) {
       
       // Speak confirmation prompt
       if (TTSManager && response.spokenSummary) {
-        await TTSManager.speak(response.spokenSummary);
+        await TTSManager.speak(response.spokenSummary, voiceOptions());
       }
       
       setState(States.IDLE);
@@ -2969,7 +4150,7 @@ async function processVoiceQuery(text) {
       
       // Speak disambiguation prompt
       if (TTSManager && response.spokenSummary) {
-        await TTSManager.speak(response.spokenSummary);
+        await TTSManager.speak(response.spokenSummary, voiceOptions());
       }
       
       setState(States.IDLE);
@@ -2980,7 +4161,7 @@ async function processVoiceQuery(text) {
     if (response.autoExecute) {
       // Speak success message
       if (TTSManager && response.spokenSummary) {
-        await TTSManager.speak(response.spokenSummary);
+        await TTSManager.speak(response.spokenSummary, voiceOptions());
       } else {
         setState(States.IDLE);
       }
@@ -2989,7 +4170,7 @@ async function processVoiceQuery(text) {
     
     // Default: speak response
     if (TTSManager && response.spokenSummary) {
-      await TTSManager.speak(response.spokenSummary);
+      await TTSManager.speak(response.spokenSummary, voiceOptions());
     } else {
       setState(States.IDLE);
     }
@@ -3092,7 +4273,7 @@ async function handleVoiceConfirmation(text) {
         addBubble(response.spokenSummary, 'her');
       }
       if (TTSManager) {
-        await TTSManager.speak(response.spokenSummary);
+        await TTSManager.speak(response.spokenSummary, voiceOptions());
       } else {
         setState(States.IDLE);
       }
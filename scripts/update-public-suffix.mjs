@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Regenerates shared/public-suffix-data.js from the Public Suffix List
+// (https://publicsuffix.org/list/). Run it from the repo root now and then,
+// as new suffixes get added upstream:
+//
+//   node scripts/update-public-suffix.mjs              downloads the list
+//   node scripts/update-public-suffix.mjs list.dat     uses a local copy
+//
+// Rules are stored punycoded (Chrome hands us ASCII hostnames), space
+// separated, with the list's ICANN/PRIVATE section markers kept.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { domainToASCII } from 'node:url';
+
+const LIST_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const OUT = new URL('../shared/public-suffix-data.js', import.meta.url);
+const WIDTH = 100;
+
+async function readList(path) {
+  if (path) return readFile(path, 'utf8');
+  const res = await fetch(LIST_URL);
+  if (!res.ok) throw new Error(`GET ${LIST_URL}: ${res.status}`);
+  return res.text();
+}
+
+// "!www.ck" / "*.ck" / "公司.cn" -> ASCII, keeping the prefix
+function toAscii(rule) {
+  const [, prefix, name] = rule.match(/^(!|\*\.)?(.*)$/);
+  const ascii = domainToASCII(name);
+  if (!ascii) throw new Error(`Can't punycode rule "${rule}"`);
+  return (prefix || '') + ascii;
+}
+
+const text = await readList(process.argv[2]);
+const lines = [];
+let row = [];
+const flush = () => {
+  if (row.length) lines.push(row.join(' '));
+  row = [];
+};
+let count = 0;
+for (const raw of text.split('\n')) {
+  const line = raw.trim();
+  if (/^\/\/ ===(BEGIN|END) (ICANN|PRIVATE) DOMAINS===/.test(line)) {
+    flush();
+    lines.push(line);
+    continue;
+  }
+  if (!line || line.startsWith('//')) continue;
+  const rule = toAscii(line.split(/\s/)[0].toLowerCase());
+  if ([...row, rule].join(' ').length > WIDTH) flush();
+  row.push(rule);
+  count++;
+}
+flush();
+
+await writeFile(OUT, `// Public Suffix List data: generated by scripts/update-public-suffix.mjs
+// from ${process.argv[2] ? 'a local copy of ' : ''}${LIST_URL}
+// on ${new Date().toISOString().slice(0, 10)} (${count} rules). Don't edit by hand; re-run the script.
+// The list is under the Mozilla Public License 2.0: https://mozilla.org/MPL/2.0/
+
+export const PUBLIC_SUFFIX_RULES = \`
+${lines.join('\n')}
+\`;
+`);
+console.log(`Wrote ${count} rules to ${OUT.pathname}`);
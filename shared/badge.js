@@ -0,0 +1,22 @@
+// Toolbar badge
+// Two features share the one badge: mute-tabs shows "MEET" / "FOCUS" while a
+// meeting or focus session runs, organize-tabs shows the duplicate count
+// otherwise. Status badges win; when one comes down, whoever keeps a count
+// hears about it and puts theirs back.
+
+const clearedListeners = new Set();
+
+/**
+ * Call listener() whenever a status badge is taken down. Returns an
+ * unsubscribe function.
+ */
+export function onStatusBadgeCleared(listener) {
+  clearedListeners.add(listener);
+  return () => clearedListeners.delete(listener);
+}
+
+// Take down the "MEET" / "FOCUS" badge
+export async function clearStatusBadge() {
+  await chrome.action.setBadgeText({ text: "" }).catch(() => {});
+  for (const listener of clearedListeners) listener();
+}
@@ -1,11 +1,14 @@
 // Shared configuration constants
+// Default mute rules; users can edit both lists (see features/mute-tabs/rules.js
+// for the pattern syntax: "host", "*.host", "host/path/*")
 export const MEETING_DOMAINS = [
   "meet.google.com",
-  "zoom.us",
+  "*.zoom.us",
   "teams.microsoft.com",
-  "webex.com",
+  "teams.live.com",
+  "*.webex.com",
   "whereby.com",
-  "slack.com" // huddles
+  "app.slack.com/huddle/*"
 ];
 
 export const BUZZY_DOMAINS_DEFAULT = [
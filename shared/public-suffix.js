@@ -0,0 +1,53 @@
+// Public suffix list
+// Lookups against the bundled Public Suffix List (public-suffix-data.js,
+// generated from https://publicsuffix.org/list/ by
+// scripts/update-public-suffix.mjs; re-run that to refresh it). Rules use the
+// upstream syntax: "*." wildcards and "!" exceptions, plus the list's implicit
+// "*" rule, so any unlisted TLD is a public suffix on its own.
+
+import { PUBLIC_SUFFIX_RULES } from './public-suffix-data.js';
+
+const exact = new Set();
+const wildcard = new Set();   // "*.ck" stored as "ck"
+const exceptions = new Set(); // "!www.ck" stored as "www.ck"
+
+for (const line of PUBLIC_SUFFIX_RULES.split('\n')) {
+  if (line.startsWith('//')) continue;
+  for (const rule of line.split(/\s+/).filter(Boolean)) {
+    if (rule.startsWith('!')) exceptions.add(rule.slice(1));
+    else if (rule.startsWith('*.')) wildcard.add(rule.slice(2));
+    else exact.add(rule);
+  }
+}
+
+/**
+ * Number of labels in the public suffix of a hostname ("bbc.co.uk" -> 2)
+ */
+function suffixLength(labels) {
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    const parent = labels.slice(i + 1).join('.');
+    if (exceptions.has(candidate)) return labels.length - i - 1;
+    if (exact.has(candidate)) return labels.length - i;
+    if (parent && wildcard.has(parent)) return labels.length - i;
+  }
+  return 1; // default rule: the TLD alone
+}
+
+/**
+ * eTLD+1 of a hostname: "news.bbc.co.uk" -> "bbc.co.uk", "me.github.io" ->
+ * "me.github.io". Returns the hostname unchanged when it is itself a public
+ * suffix or has a single label.
+ */
+export function getRegistrableDomain(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  const labels = host.split('.').filter(Boolean);
+  if (labels.length < 2) return host;
+  const n = suffixLength(labels);
+  return labels.length > n ? labels.slice(-(n + 1)).join('.') : host;
+}
+
+export function isPublicSuffix(hostname) {
+  const labels = String(hostname || '').toLowerCase().split('.').filter(Boolean);
+  return labels.length > 0 && suffixLength(labels) === labels.length;
+}
@@ -0,0 +1,345 @@
+// Shared settings store
+// One versioned record for every user preference, so a toggle flipped in the
+// popup is what the service worker sees after a restart. Feature modules read
+// through getSetting(), write through setSettings(), and subscribe with
+// onSettingsChanged() — changes made in any context (popup, worker, options)
+// reach every subscriber through chrome.storage.onChanged.
+//
+// Editable rule lists that have their own CRUD modules (mute rules, policies,
+// focus schedules, mute actions) keep their chrome.storage.sync keys.
+
+const log = (...a) => console.log("[Tabitha::settings]", ...a);
+
+const STORAGE_KEY = 'tabitha_settings';
+export const SETTINGS_VERSION = 1;
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+// type: 'boolean' | 'number' | 'string' | 'array' | 'object'
+// number settings may set min/max (values are clamped); strings may set enum.
+// personal: learned or per-person state, left out of exported configurations.
+
+export const SETTINGS_SCHEMA = {
+  'mute.autoMuteDuringMeetings': { type: 'boolean', default: true },
+  'mute.rememberPreferences': { type: 'boolean', default: true },   // learn from manual mutes
+  'mute.preferredDomains': { type: 'array', default: [], personal: true }, // learned buzzy domains
+  'mute.duckLevel': { type: 'number', default: 0.15, min: 0.05, max: 0.5 },
+  'mute.nudge': { type: 'object', default: { quiet: false, snoozedUntil: null, neverFor: [] }, personal: true },
+  'organize.domainToGroup': { type: 'object', default: {} },        // domain -> group name hints
+  'organize.domainRules': { type: 'object', default: {} },          // domain -> intent overrides
+  'organize.keepOrganized': { type: 'boolean', default: false },     // slot new tabs into existing groups
+  'organize.protectUserGroups': { type: 'boolean', default: true }, // lock groups made by hand
+  'organize.splitSubdomains': { type: 'array', default: [] },        // base domains grouped per subdomain
+  'organize.customBuckets': { type: 'array', default: [] },         // user-defined intent buckets
+  'organize.duplicateBadge': { type: 'boolean', default: true },    // count duplicate tabs on the toolbar icon
+  'organize.archiveStale': { type: 'boolean', default: false },     // offer to archive tabs left unused
+  'organize.archiveAfterDays': { type: 'number', default: 7, min: 1, max: 90 }, // ...for this many days
+  'chat.userHints': { type: 'object', default: { phraseToDomain: [], phraseToType: [] }, personal: true },
+  'talk.liveCaptions': { type: 'boolean', default: false },
+  'talk.language': { type: 'string', default: 'en-US' },            // speech recognition + TTS
+  'talk.voice': { type: 'string', default: '' },                    // TTS voice name, '' = automatic
+  'talk.rate': { type: 'number', default: 1.0, min: 0.5, max: 2 },
+  'privacy.chatTelemetry': { type: 'boolean', default: true },      // local-only usage counters
+  'privacy.meetingHistory': { type: 'boolean', default: true }      // keep meeting logs (history.js)
+};
+
+function defaultValue(key) {
+  // Deep copy so callers can't mutate the schema defaults
+  return structuredClone(SETTINGS_SCHEMA[key].default);
+}
+
+export function getDefaultSettings() {
+  const out = {};
+  for (const key of Object.keys(SETTINGS_SCHEMA)) out[key] = defaultValue(key);
+  return out;
+}
+
+/**
+ * Validate one value against the schema. Returns { ok, value } with numbers
+ * clamped, or { ok: false } when the type is wrong.
+ */
+function coerce(key, value) {
+  const def = SETTINGS_SCHEMA[key];
+  switch (def.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? { ok: true, value } : { ok: false };
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { ok: false };
+      const min = def.min ?? -Infinity;
+      const max = def.max ?? Infinity;
+      return { ok: true, value: Math.min(max, Math.max(min, value)) };
+    }
+    case 'string':
+      if (typeof value !== 'string') return { ok: false };
+      return !def.enum || def.enum.includes(value) ? { ok: true, value } : { ok: false };
+    case 'array':
+      return Array.isArray(value) ? { ok: true, value } : { ok: false };
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value)
+        ? { ok: true, value: { ...defaultValue(key), ...value } }
+        : { ok: false };
+    default:
+      return { ok: false };
+  }
+}
+
+// Drop unknown keys and fill gaps with defaults (used on load and import)
+function sanitize(values = {}) {
+  const out = getDefaultSettings();
+  for (const [key, value] of Object.entries(values)) {
+    if (!(key in SETTINGS_SCHEMA)) continue;
+    const res = coerce(key, value);
+    if (res.ok) out[key] = res.value;
+    else log(`Ignoring invalid value for ${key}:`, value);
+  }
+  return out;
+}
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+// Each migration takes the stored values and returns the next version's
+// values. They run in order on first load after an update. cleanup() drops
+// what a migration moved, once the migrated record is stored.
+
+// Where v0 kept them; cleanup() removes them once v1 is stored
+const V0_LOCAL_KEYS = ['autoMuteDuringMeetings', 'autoMutePreferredDomains', 'muteNudge',
+  'rememberMute', 'liveCaptions', 'domainToGroup', 'tabitha_domainRules', 'chatUserHints'];
+
+const MIGRATIONS = [
+  {
+    // v0 → v1: gather the loose keys every feature used to write on its own
+    version: 1,
+    async migrate(values) {
+      const local = await chrome.storage.local.get(V0_LOCAL_KEYS);
+      const sync = await chrome.storage.sync.get(['settings', 'duckLevel']);
+
+      const next = { ...values };
+      const put = (key, value) => { if (value !== undefined && next[key] === undefined) next[key] = value; };
+      put('mute.autoMuteDuringMeetings', local.autoMuteDuringMeetings ?? sync.settings?.autoMuteDuringMeetings);
+      put('mute.preferredDomains', local.autoMutePreferredDomains);
+      put('mute.nudge', local.muteNudge);
+      put('mute.rememberPreferences', local.rememberMute);
+      put('mute.duckLevel', sync.duckLevel);
+      put('organize.domainToGroup', local.domainToGroup);
+      put('organize.domainRules', local.tabitha_domainRules);
+      put('chat.userHints', local.chatUserHints);
+      put('talk.liveCaptions', local.liveCaptions);
+      return next;
+    },
+    async cleanup() {
+      await chrome.storage.local.remove(V0_LOCAL_KEYS);
+      await chrome.storage.sync.remove(['settings', 'duckLevel']);
+    }
+  }
+];
+
+async function migrate(record) {
+  let { version = 0, values = {} } = record || {};
+  for (const m of MIGRATIONS) {
+    if (m.version <= version) continue;
+    values = await m.migrate(values);
+    version = m.version;
+    log(`Migrated settings to v${version}`);
+  }
+  return { version, values };
+}
+
+// The worker, popup and options page can all migrate on the same update. The
+// first to finish wins: a later one keeps the stored record instead of its
+// own, which may have missed keys the winner's cleanup had already removed.
+async function commitMigration(values, fromVersion) {
+  const { [STORAGE_KEY]: stored } = await chrome.storage.local.get(STORAGE_KEY);
+  if ((stored?.version || 0) >= SETTINGS_VERSION) return sanitize(stored.values);
+  await write(values);
+  for (const m of MIGRATIONS) {
+    if (m.version > fromVersion) await m.cleanup?.();
+  }
+  return values;
+}
+
+// ============================================================================
+// LOAD / READ / WRITE
+// ============================================================================
+
+let cache = null;    // sanitized values, once loaded
+let loading = null;  // Promise, resolved once per context
+
+/**
+ * Load (and migrate, first time) the settings. Safe to call repeatedly.
+ */
+export function loadSettings() {
+  if (cache) return Promise.resolve(cache);
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const { [STORAGE_KEY]: stored } = await chrome.storage.local.get(STORAGE_KEY);
+        const needsMigration = (stored?.version || 0) < SETTINGS_VERSION;
+        const record = needsMigration ? await migrate(stored) : stored;
+        cache = sanitize(record.values);
+        if (needsMigration) cache = await commitMigration(cache, stored?.version || 0);
+      } catch (err) {
+        log('Failed to load settings, using defaults:', err);
+        cache = getDefaultSettings();
+      }
+      watchStorage();
+      return cache;
+    })();
+  }
+  return loading;
+}
+
+function write(values) {
+  return chrome.storage.local.set({ [STORAGE_KEY]: { version: SETTINGS_VERSION, values } });
+}
+
+// Each context writes from its own cache, which can be behind another
+// context's last write. So re-read the stored record and change only the
+// keys in `patch`, one write at a time. Returns the values before and after.
+let writing = Promise.resolve();
+function writeChanges(patch) {
+  const run = writing.then(async () => {
+    const { [STORAGE_KEY]: stored } = await chrome.storage.local.get(STORAGE_KEY);
+    const prev = cache;
+    cache = { ...sanitize(stored?.values), ...patch };
+    await write(cache);
+    return { prev, next: cache };
+  });
+  writing = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Current value of a setting. Call after loadSettings() has resolved;
+ * returns the default until then.
+ */
+export function getSetting(key) {
+  if (!(key in SETTINGS_SCHEMA)) throw new Error(`Unknown setting: ${key}`);
+  return cache ? structuredClone(cache[key]) : defaultValue(key); // copies: mutate via setSettings()
+}
+
+/**
+ * Every setting, or only those in a section ("mute", "organize", ...)
+ */
+export function getSettings(section = null) {
+  const values = cache ? structuredClone(cache) : getDefaultSettings();
+  if (!section) return values;
+  const prefix = `${section}.`;
+  return Object.fromEntries(Object.entries(values).filter(([key]) => key.startsWith(prefix)));
+}
+
+/**
+ * Update several settings at once. Returns { ok, settings } or
+ * { ok: false, error } without writing anything if a value is invalid.
+ */
+export async function setSettings(patch) {
+  await loadSettings();
+  const changes = {};
+  for (const [key, value] of Object.entries(patch || {})) {
+    if (!(key in SETTINGS_SCHEMA)) return { ok: false, error: `unknown_setting:${key}` };
+    const res = coerce(key, value);
+    if (!res.ok) return { ok: false, error: `invalid_value:${key}` };
+    changes[key] = res.value;
+  }
+  const { prev, next } = await writeChanges(changes);
+  notify(diffValues(prev, next)); // local subscribers hear it now, other contexts via onChanged
+  return { ok: true, settings: getSettings() };
+}
+
+export function setSetting(key, value) {
+  return setSettings({ [key]: value });
+}
+
+/**
+ * Replace everything (options-page import / reset). Unknown keys are dropped.
+ */
+export async function replaceSettings(values) {
+  await loadSettings();
+  const prev = cache;
+  cache = sanitize(values);
+  await write(cache);
+  notify(diffValues(prev, cache));
+  return { ok: true, settings: getSettings() };
+}
+
+export function resetSettings() {
+  return replaceSettings({});
+}
+
+/**
+ * Shareable settings for an exported configuration (personal ones left out)
+ */
+export function exportSettings() {
+  const values = getSettings();
+  for (const [key, def] of Object.entries(SETTINGS_SCHEMA)) {
+    if (def.personal) delete values[key];
+  }
+  return { version: SETTINGS_VERSION, values };
+}
+
+/**
+ * Apply an exported configuration on top of the current settings. Unknown
+ * keys and invalid values are skipped rather than failing the whole import.
+ */
+export async function importSettings({ values = {} } = {}) {
+  await loadSettings();
+  const patch = {};
+  const skipped = [];
+  for (const [key, value] of Object.entries(values)) {
+    if (key in SETTINGS_SCHEMA && coerce(key, value).ok) patch[key] = value;
+    else skipped.push(key);
+  }
+  const res = await setSettings(patch);
+  return { ...res, applied: Object.keys(patch), skipped };
+}
+
+// ============================================================================
+// CHANGE NOTIFICATIONS
+// ============================================================================
+
+const listeners = new Set();
+let watching = false;
+
+/**
+ * Subscribe to setting changes: listener({ [key]: { oldValue, newValue } }).
+ * Returns an unsubscribe function.
+ */
+export function onSettingsChanged(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function diffValues(prev, next) {
+  const changes = {};
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    if (JSON.stringify(prev[key]) !== JSON.stringify(next[key])) {
+      changes[key] = { oldValue: prev[key], newValue: next[key] };
+    }
+  }
+  return changes;
+}
+
+function notify(changes) {
+  if (!Object.keys(changes).length) return;
+  for (const listener of listeners) {
+    try {
+      listener(changes);
+    } catch (err) {
+      log('Settings listener failed:', err);
+    }
+  }
+}
+
+// Writes from other contexts (popup → worker and back)
+function watchStorage() {
+  if (watching) return;
+  watching = true;
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes[STORAGE_KEY]) return;
+    const values = sanitize(changes[STORAGE_KEY].newValue?.values);
+    const prev = cache || getDefaultSettings();
+    cache = values;
+    notify(diffValues(prev, values)); // empty for our own writes: cache already matched
+  });
+}
@@ -1,4 +1,7 @@
 // Shared utility functions
+import { getRegistrableDomain } from './public-suffix.js';
+import { getSetting } from './settings.js';
+
 export const log = (...a) => console.log("[Tabitha::bg]", ...a);
 
 export function getDomain(url = "") {
@@ -6,19 +9,56 @@ export function getDomain(url = "") {
   catch { return ""; }
 }
 
+// Hosts where the port tells sites apart (dev servers): localhost, IPs, intranet names
+function isLocalHost(hostname) {
+  return !hostname.includes(".") || /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith("[");
+}
+
+/**
+ * Site a URL belongs to: its eTLD+1 per the public suffix list ("bbc.co.uk",
+ * "me.github.io"), or host:port for localhost and IPs ("localhost:3000").
+ */
 export function getBaseDomain(url) {
   try {
-    const domain = getDomain(url);
-    const parts = domain.split(".");
-    if (parts.length >= 2) {
-      return parts.slice(-2).join(".");
-    }
-    return domain;
+    const u = new URL(url);
+    const hostname = u.hostname.replace(/^www\./, "");
+    if (!hostname) return "";
+    if (isLocalHost(hostname)) return u.port ? `${hostname}:${u.port}` : hostname;
+    return getRegistrableDomain(hostname);
   } catch {
     return "";
   }
 }
 
+/**
+ * Domain to group a URL under: its base domain, or the full host for sites
+ * listed in organize.splitSubdomains ("docs.google.com" and "mail.google.com"
+ * stay apart when "google.com" is listed).
+ */
+export function getGroupingDomain(url) {
+  const base = getBaseDomain(url);
+  if (!base || !getSetting('organize.splitSubdomains').includes(base)) return base;
+  return getDomain(url) || base;
+}
+
+/**
+ * A host and its parents down to the base domain, most specific first:
+ * "colab.research.google.com" -> [itself, "research.google.com", "google.com"]
+ */
+export function getDomainCandidates(host) {
+  const h = String(host || "").toLowerCase().replace(/^www\./, "");
+  if (!h) return [];
+  const base = getRegistrableDomain(h);
+  const labels = h.split(".");
+  const out = [];
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join(".");
+    out.push(candidate);
+    if (candidate === base) break;
+  }
+  return out;
+}
+
 // URL normalization for dedupe & "is already open": strip #..., known utm_*, fbclid, gclid, etc.
 export function normalizeUrl(url) {
   if (!url || typeof url !== 'string') return '';